@@ -0,0 +1,645 @@
+#!/usr/bin/env node
+const path = require('path');
+const fs = require('fs');
+const { startVideoJob, JobCancelledError } = require('../public/processVideo');
+const { detectKeyColor } = require('../public/keyColorDetection');
+const {
+  KEYERS,
+  AUDIO_MODES,
+  OUTPUT_MODES,
+  BACKGROUND_FITS,
+  DEFAULT_BACKGROUND_FIT,
+  BACKGROUND_ENDS,
+  GRADIENT_TYPES,
+  validateProcessOptions
+} = require('../public/validateOptions');
+const {
+  EXPORT_FORMATS,
+  EXPORT_PRESETS,
+  IMAGE_EXTENSIONS,
+  formatForPath,
+  isStillImage
+} = require('../public/exportFormats');
+
+// Exit codes
+const EXIT_OK = 0;
+// FFmpeg or anything else failed
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_CANCELLED = 130;
+
+const USAGE = `Usage: greenscreen-remover key <input> -o <output> [options]
+
+The input is a video or a still image (png, jpg, tif).
+
+Options:
+  -o, --output <path>        Output file; image sequences are numbered (out.png -> out_00001.png, ...)
+  --format <name>            mp4, webm, prores4444, qtrle, pngmov or pngseq; png, webp or jpg for a single image
+                             (default: from the output extension; .mov is prores4444, .png is pngseq for a video
+                             input and png for an image input)
+  --preset <name>            Export preset, sets the format and encoder settings:
+                             youtube-1080p, web-overlay-webm or editing-intermediate
+  --crf <n>                  Constant quality for mp4 (0-51, default 23) and webm (0-63, default 31)
+  --video-bitrate <kbps>     Target video bitrate instead of --crf
+  --encoder-preset <name>    x264 preset for mp4 (default: medium), VP9 deadline for webm (default: good)
+  --resolution <height>      Output height, width follows the aspect ratio (default: source)
+  --fps <n>                  Output frame rate (default: source)
+  --audio-codec <name>       aac for mp4; libopus or libvorbis for webm; pcm_s16le, pcm_s24le or aac for mov
+  --audio-bitrate <kbps>     Bitrate of lossy audio codecs (default: 192)
+  --start <seconds>          Start processing this far into the input (default: 0)
+  --duration <seconds>       Process only this many seconds (default: to the end)
+  --color <hex|auto>         Key color as 0xRRGGBB or #RRGGBB, or 'auto' to detect it (default: 0x00ff00)
+  --similarity <0.01-1>      Chromakey similarity (default: 0.127, or detected with --color auto)
+  --blend <0-1>              Keyer blend (default: 0.1)
+  --keyer <name>             chromakey (YUV), colorkey (RGB) or hsvkey (default: chromakey)
+  --hsv <hue:sat:val>        hsvkey parameters, e.g. 120:0.5:0.4 (required with --keyer hsvkey)
+  --despill <green|blue>     Suppress green or blue spill on the kept pixels
+  --despill-mix <0-1>        Despill mix (default: 0.5)
+  --despill-expand <0-1>     Despill expand (default: 0)
+  --choke <0-10>             Pixels to erode the matte by (default: 0)
+  --expand <0-10>            Pixels to dilate the matte by (default: 0)
+  --feather <0-10>           Gaussian blur of the matte edge (default: 0)
+  --garbage-mattes <file>    JSON file with garbage mattes: [{ "mode": "remove"|"keep", "points": [{ "x", "y" }] }],
+                             points normalized to 0-1
+  --keyframes <file>         JSON file with keyframed key settings:
+                             [{ "time", "color": "0xRRGGBB", "similarity", "matteFeather", "interpolation": "linear"|"hold" }],
+                             times in seconds of the input
+  --layers <file>            JSON file with more keyed clips to stack with the input:
+                             [{ "inputPath", "color", "similarity", "blend", "fgScale", "fgOffsetX", "fgOffsetY",
+                             "startOffset", "zIndex", "fgLutPath", ... }], paths relative to the file; the input is
+                             at zIndex 0
+  --background <path>        Background image or video
+  --background-type <type>   'image' or 'video' (default: from file extension)
+  --background-end <mode>    When a background video is shorter than the input: loop, freeze (last frame)
+                             or stop (end the output) (default: loop)
+  --background-color <hex>   Solid color background instead of a file
+  --gradient <spec>          Gradient background: linear:<start>:<end>[:<angle>] or radial:<center>:<edge>,
+                             e.g. linear:0x1e3a8a:0x60a5fa:90 (angle 0 runs left to right)
+  --blur-background <1-100>  Use the original video, blurred by this sigma, as the background
+  --fit <mode>               Background fit: stretch, contain or cover (default: ${DEFAULT_BACKGROUND_FIT})
+  --letterbox <hex>          Bar color with --fit contain (default: 0x000000)
+  --fg-scale <0.1-4>         Scale of the keyed subject relative to the frame (default: 1)
+  --fg-offset <x:y>          Subject offset from the center as fractions of the frame, e.g. -0.25:0.1
+  --flip <h|v|hv>            Mirror the subject horizontally, vertically or both
+  --exposure <-2-2>          Subject exposure in stops (default: 0)
+  --contrast <0.25-2>        Subject contrast (default: 1)
+  --saturation <0-2>         Subject saturation (default: 1)
+  --temperature <-1-1>       Subject color temperature, warmer above 0 (default: 0)
+  --tint <-1-1>              Subject tint, magenta above 0 and green below (default: 0)
+  --lut <file>               3D LUT (.cube) applied to the subject before the corrections above
+  --audio <mode>             foreground, background, mix or none (default: foreground)
+  --output-mode <mode>       composite, or a debug view: matte, split or checkerboard (default: composite)
+  -v, --verbose              Print FFmpeg diagnostics
+  -h, --help                 Show this help
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = {
+    positional: [],
+    color: '0x00ff00',
+    // Same default as the UI's Strength slider (30)
+    similarity: 0.01 + 0.3 * 0.39,
+    similaritySet: false,
+    blend: 0.1,
+    keyer: 'chromakey',
+    hsv: null,
+    despill: null,
+    despillMix: 0.5,
+    despillExpand: 0,
+    matteChoke: 0,
+    matteExpand: 0,
+    matteFeather: 0,
+    garbageMattes: null,
+    keyframes: null,
+    layers: null,
+    background: null,
+    backgroundType: null,
+    backgroundEnd: 'loop',
+    backgroundColor: null,
+    gradient: null,
+    blurBackground: null,
+    fit: DEFAULT_BACKGROUND_FIT,
+    letterbox: '0x000000',
+    fgScale: 1,
+    fgOffset: null,
+    flip: '',
+    exposure: 0,
+    contrast: 1,
+    saturation: 1,
+    temperature: 0,
+    tint: 0,
+    lut: null,
+    audio: 'foreground',
+    outputMode: 'composite',
+    start: 0,
+    duration: null,
+    format: null,
+    preset: null,
+    encoder: {},
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '-o':
+      case '--output':
+        args.output = next();
+        break;
+      case '--start':
+        args.start = parseNumber(arg, next(), 0, 86400);
+        break;
+      case '--duration':
+        args.duration = parseNumber(arg, next(), 0.01, 86400);
+        break;
+      case '--color':
+        args.color = next();
+        break;
+      case '--similarity':
+        args.similarity = parseNumber(arg, next(), 0.01, 1);
+        args.similaritySet = true;
+        break;
+      case '--blend':
+        args.blend = parseNumber(arg, next(), 0, 1);
+        break;
+      case '--keyer':
+        args.keyer = next();
+        break;
+      case '--hsv':
+        args.hsv = next();
+        break;
+      case '--despill':
+        args.despill = next();
+        break;
+      case '--despill-mix':
+        args.despillMix = parseNumber(arg, next(), 0, 1);
+        break;
+      case '--despill-expand':
+        args.despillExpand = parseNumber(arg, next(), 0, 1);
+        break;
+      case '--choke':
+        args.matteChoke = parseInteger(arg, next(), 0, 10);
+        break;
+      case '--expand':
+        args.matteExpand = parseInteger(arg, next(), 0, 10);
+        break;
+      case '--feather':
+        args.matteFeather = parseNumber(arg, next(), 0, 10);
+        break;
+      case '--garbage-mattes':
+        args.garbageMattes = next();
+        break;
+      case '--keyframes':
+        args.keyframes = next();
+        break;
+      case '--layers':
+        args.layers = next();
+        break;
+      case '--background':
+        args.background = next();
+        break;
+      case '--background-type':
+        args.backgroundType = next();
+        break;
+      case '--background-end':
+        args.backgroundEnd = next();
+        break;
+      case '--background-color':
+        args.backgroundColor = next();
+        break;
+      case '--gradient':
+        args.gradient = next();
+        break;
+      case '--blur-background':
+        args.blurBackground = parseNumber(arg, next(), 1, 100);
+        break;
+      case '--fit':
+        args.fit = next();
+        break;
+      case '--letterbox':
+        args.letterbox = next();
+        break;
+      case '--fg-scale':
+        args.fgScale = parseNumber(arg, next(), 0.1, 4);
+        break;
+      case '--fg-offset':
+        args.fgOffset = next();
+        break;
+      case '--flip':
+        args.flip = next();
+        break;
+      case '--exposure':
+        args.exposure = parseNumber(arg, next(), -2, 2);
+        break;
+      case '--contrast':
+        args.contrast = parseNumber(arg, next(), 0.25, 2);
+        break;
+      case '--saturation':
+        args.saturation = parseNumber(arg, next(), 0, 2);
+        break;
+      case '--temperature':
+        args.temperature = parseNumber(arg, next(), -1, 1);
+        break;
+      case '--tint':
+        args.tint = parseNumber(arg, next(), -1, 1);
+        break;
+      case '--lut':
+        args.lut = next();
+        break;
+      case '--audio':
+        args.audio = next();
+        break;
+      case '--format':
+        args.format = next();
+        break;
+      case '--preset':
+        args.preset = next();
+        break;
+      case '--crf':
+        args.encoder.rateControl = 'crf';
+        args.encoder.crf = parseInteger(arg, next(), 0, 63);
+        break;
+      case '--video-bitrate':
+        args.encoder.rateControl = 'bitrate';
+        args.encoder.videoBitrate = parseInteger(arg, next(), 100, 200000);
+        break;
+      case '--encoder-preset':
+        args.encoder.preset = next();
+        break;
+      case '--resolution':
+        args.encoder.resolution = parseInteger(arg, next(), 16, 4320);
+        break;
+      case '--fps':
+        args.encoder.fps = parseNumber(arg, next(), 1, 240);
+        break;
+      case '--audio-codec':
+        args.encoder.audioCodec = next();
+        break;
+      case '--audio-bitrate':
+        args.encoder.audioBitrate = parseInteger(arg, next(), 32, 512);
+        break;
+      case '--output-mode':
+        args.outputMode = next();
+        break;
+      case '-v':
+      case '--verbose':
+        args.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        args.positional.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function parseNumber(name, value, min, max) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < min || number > max) {
+    throw new UsageError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseInteger(name, value, min, max) {
+  const number = parseNumber(name, value, min, max);
+  if (!Number.isInteger(number)) {
+    throw new UsageError(`${name} must be a whole number`);
+  }
+  return number;
+}
+
+/**
+ * Options for a generated background from --background-color, --gradient or
+ * --blur-background, or null when none is given.
+ */
+function buildGeneratedBackground(args) {
+  const given = [args.backgroundColor, args.gradient, args.blurBackground].filter(value => value !== null);
+  if (given.length > 1) {
+    throw new UsageError('Use only one of --background-color, --gradient and --blur-background');
+  }
+  if (args.backgroundColor !== null) {
+    return { backgroundType: 'color', backgroundColor: normalizeColor(args.backgroundColor) };
+  }
+  if (args.blurBackground !== null) {
+    return { backgroundType: 'blur', backgroundBlur: args.blurBackground };
+  }
+  if (args.gradient !== null) {
+    const [type, start, end, angle] = args.gradient.split(':');
+    if (!GRADIENT_TYPES.includes(type) || !start || !end) {
+      throw new UsageError('--gradient must be linear:<start>:<end>[:<angle>] or radial:<center>:<edge>');
+    }
+    return {
+      backgroundType: 'gradient',
+      gradientType: type,
+      gradientStart: normalizeColor(start),
+      gradientEnd: normalizeColor(end),
+      gradientAngle: angle === undefined ? 0 : parseNumber('--gradient angle', angle, 0, 360)
+    };
+  }
+  return null;
+}
+
+function normalizeColor(value) {
+  if (value === 'auto') {
+    return value;
+  }
+  const hex = value.replace(/^(0x|#)/i, '');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new UsageError(`Invalid color: ${value} (expected 0xRRGGBB or #RRGGBB)`);
+  }
+  return `0x${hex.toLowerCase()}`;
+}
+
+function detectBackgroundType(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return IMAGE_EXTENSIONS.includes(extension) ? 'image' : 'video';
+}
+
+function buildOptions(args) {
+  const [command, inputPath] = args.positional;
+  if (command !== 'key') {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (!inputPath) {
+    throw new UsageError('Missing input file');
+  }
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`Input file not found: ${inputPath}`);
+  }
+  if (!args.output) {
+    throw new UsageError('Missing output file (-o)');
+  }
+  if (!KEYERS.includes(args.keyer)) {
+    throw new UsageError(`--keyer must be one of: ${KEYERS.join(', ')}`);
+  }
+  let hsv = {};
+  if (args.keyer === 'hsvkey') {
+    if (!args.hsv) {
+      throw new UsageError('--hsv is required with --keyer hsvkey');
+    }
+    const [hue, sat, val] = args.hsv.split(':');
+    hsv = {
+      hsvHue: parseNumber('--hsv hue', hue, 0, 360),
+      hsvSat: parseNumber('--hsv saturation', sat, -1, 1),
+      hsvVal: parseNumber('--hsv value', val, -1, 1)
+    };
+  }
+  let despill = { despill: false };
+  if (args.despill) {
+    if (args.despill !== 'green' && args.despill !== 'blue') {
+      throw new UsageError("--despill must be 'green' or 'blue'");
+    }
+    despill = {
+      despill: true,
+      despillType: args.despill,
+      despillMix: args.despillMix,
+      despillExpand: args.despillExpand
+    };
+  }
+  const generated = buildGeneratedBackground(args);
+  if (generated && args.background) {
+    throw new UsageError('Use only one of --background, --background-color, --gradient and --blur-background');
+  }
+
+  if (!BACKGROUND_ENDS.includes(args.backgroundEnd)) {
+    throw new UsageError(`--background-end must be one of: ${BACKGROUND_ENDS.join(', ')}`);
+  }
+  if (!BACKGROUND_FITS.includes(args.fit)) {
+    throw new UsageError(`--fit must be one of: ${BACKGROUND_FITS.join(', ')}`);
+  }
+  if (!['', 'h', 'v', 'hv', 'vh'].includes(args.flip)) {
+    throw new UsageError("--flip must be 'h', 'v' or 'hv'");
+  }
+  let fgOffset = { fgOffsetX: 0, fgOffsetY: 0 };
+  if (args.fgOffset) {
+    const [x, y] = args.fgOffset.split(':');
+    fgOffset = {
+      fgOffsetX: parseNumber('--fg-offset x', x, -1, 1),
+      fgOffsetY: parseNumber('--fg-offset y', y, -1, 1)
+    };
+  }
+
+  if (!AUDIO_MODES.includes(args.audio)) {
+    throw new UsageError(`--audio must be one of: ${AUDIO_MODES.join(', ')}`);
+  }
+
+  if (args.preset && !EXPORT_PRESETS[args.preset]) {
+    throw new UsageError(`--preset must be one of: ${Object.keys(EXPORT_PRESETS).join(', ')}`);
+  }
+  if (args.preset && args.format) {
+    throw new UsageError('--preset already sets the format, drop --format');
+  }
+  // Encoder settings are checked against the format when the job is validated
+  const format = args.preset ? EXPORT_PRESETS[args.preset].format : (args.format || formatForPath(args.output, isStillImage(inputPath)));
+  if (!EXPORT_FORMATS[format]) {
+    throw new UsageError(`--format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!OUTPUT_MODES.includes(args.outputMode)) {
+    throw new UsageError(`--output-mode must be one of: ${OUTPUT_MODES.join(', ')}`);
+  }
+
+  let garbageMattes = [];
+  if (args.garbageMattes) {
+    try {
+      garbageMattes = JSON.parse(fs.readFileSync(args.garbageMattes, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Could not read garbage mattes from ${args.garbageMattes}: ${error.message}`);
+    }
+  }
+
+  let keyframes = [];
+  if (args.keyframes) {
+    try {
+      keyframes = JSON.parse(fs.readFileSync(args.keyframes, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Could not read keyframes from ${args.keyframes}: ${error.message}`);
+    }
+  }
+
+  let layers = [];
+  if (args.layers) {
+    try {
+      layers = JSON.parse(fs.readFileSync(args.layers, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Could not read layers from ${args.layers}: ${error.message}`);
+    }
+    if (!Array.isArray(layers)) {
+      throw new UsageError(`${args.layers} must hold an array of layers`);
+    }
+    layers = layers.map((layer) => {
+      if (!layer || typeof layer.inputPath !== 'string' || !layer.inputPath) {
+        throw new UsageError(`Every layer in ${args.layers} needs an inputPath`);
+      }
+      if (layer.fgLutPath && typeof layer.fgLutPath !== 'string') {
+        throw new UsageError(`fgLutPath in ${args.layers} must be a file path`);
+      }
+      const layerPath = path.resolve(path.dirname(args.layers), layer.inputPath);
+      if (!fs.existsSync(layerPath)) {
+        throw new UsageError(`Layer file not found: ${layerPath}`);
+      }
+      const lutPath = layer.fgLutPath && path.resolve(path.dirname(args.layers), layer.fgLutPath);
+      if (lutPath && !fs.existsSync(lutPath)) {
+        throw new UsageError(`LUT file not found: ${lutPath}`);
+      }
+      return { ...layer, inputPath: layerPath, ...(lutPath ? { fgLutPath: lutPath } : {}) };
+    });
+  }
+
+  if (args.lut && !fs.existsSync(args.lut)) {
+    throw new UsageError(`LUT file not found: ${args.lut}`);
+  }
+
+  let backgroundType = null;
+  if (args.background) {
+    if (!fs.existsSync(args.background)) {
+      throw new UsageError(`Background file not found: ${args.background}`);
+    }
+    backgroundType = args.backgroundType || detectBackgroundType(args.background);
+    if (backgroundType !== 'image' && backgroundType !== 'video') {
+      throw new UsageError("--background-type must be 'image' or 'video'");
+    }
+  }
+
+  return {
+    inputPath: path.resolve(inputPath),
+    outputPath: path.resolve(args.output),
+    format,
+    ...(args.preset ? { exportPreset: args.preset } : {}),
+    encoder: args.encoder,
+    start: args.start,
+    duration: args.duration,
+    keyer: args.keyer,
+    color: normalizeColor(args.color),
+    similarity: args.similarity,
+    blend: args.blend,
+    ...hsv,
+    ...despill,
+    matteChoke: args.matteChoke,
+    matteExpand: args.matteExpand,
+    matteFeather: args.matteFeather,
+    garbageMattes,
+    keyframes,
+    layers,
+    backgroundPath: args.background ? path.resolve(args.background) : null,
+    backgroundType,
+    ...generated,
+    backgroundEnd: args.backgroundEnd,
+    backgroundFit: args.fit,
+    letterboxColor: normalizeColor(args.letterbox),
+    fgScale: args.fgScale,
+    ...fgOffset,
+    fgFlipH: args.flip.includes('h'),
+    fgFlipV: args.flip.includes('v'),
+    fgExposure: args.exposure,
+    fgContrast: args.contrast,
+    fgSaturation: args.saturation,
+    fgTemperature: args.temperature,
+    fgTint: args.tint,
+    fgLutPath: args.lut ? path.resolve(args.lut) : null,
+    audioMode: args.audio,
+    outputMode: args.outputMode
+  };
+}
+
+function printProgress(data) {
+  if (data.status === 'processing') {
+    const time = data.time ? ` (${data.time})` : '';
+    const eta = data.eta != null ? `, ${data.eta}s left` : '';
+    console.log(`Processing: ${data.percent.toFixed(0)}%${time}${eta}`);
+  } else if (data.status === 'started') {
+    console.log('Processing started');
+  } else if (data.status === 'completed') {
+    console.log('Processing completed');
+  } else if (data.status === 'cancelled') {
+    console.log('Processing cancelled, partial output removed');
+  }
+}
+
+async function main(argv) {
+  let args;
+  let options;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return EXIT_OK;
+    }
+    options = buildOptions(args);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      console.error(USAGE);
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+
+  const quiet = () => {};
+
+  if (options.color === 'auto') {
+    const detection = await detectKeyColor(options.inputPath, { logError: args.verbose ? console.error : quiet });
+    if (detection.confidence === 0) {
+      console.log('No green or blue screen detected, using 0x00ff00');
+    } else {
+      console.log(`Detected ${detection.screen} screen ${detection.color} (${Math.round(detection.confidence * 100)}% confidence)`);
+    }
+    options.color = `0x${detection.color.slice(1)}`;
+    if (!args.similaritySet && detection.similarity !== null) {
+      options.similarity = detection.similarity;
+    }
+  }
+
+  // Values from the JSON files are only checked here, so a bad one is a usage
+  // error rather than a failed job
+  try {
+    validateProcessOptions(options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  const job = startVideoJob(options, {
+    onProgress: printProgress,
+    log: args.verbose ? console.log : quiet,
+    logError: args.verbose ? console.error : quiet
+  });
+  // Ctrl+C stops FFmpeg and cleans up the partial output
+  process.once('SIGINT', () => job.cancel());
+
+  try {
+    const result = await job.promise;
+    console.log(`Saved to ${result.outputPath}`);
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      return EXIT_CANCELLED;
+    }
+    console.error(`FFmpeg failed: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = EXIT_ERROR;
+});
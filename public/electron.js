@@ -1,22 +1,64 @@
 const { app, BrowserWindow, ipcMain, dialog, protocol } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const ffmpeg = require('fluent-ffmpeg');
 const isDev = require('electron-is-dev');
+const { startVideoJob, JobCancelledError } = require('./processVideo');
+const { JobQueue } = require('./jobQueue');
+const { sampleRegionColor, convertStillToPng } = require('./frameSampling');
+const { detectKeyColor } = require('./keyColorDetection');
+const { estimateLightMatch } = require('./lightMatch');
+const { colorGains } = require('./filterGraph');
+const { keyframeSpans } = require('./keyframes');
+const { probeMedia } = require('./probe');
+const { DEFAULT_BACKGROUND_FIT } = require('./validateOptions');
+const {
+  PROJECT_EXTENSION,
+  writeProject,
+  readProject,
+  findMovedMedia,
+  getRecentProjects,
+  addRecentProject
+} = require('./projectFile');
+const {
+  loadPresets,
+  savePreset,
+  renamePreset,
+  deletePreset,
+  exportPresets,
+  importPresets
+} = require('./presetLibrary');
+const {
+  EXPORT_FORMATS,
+  STILL_EXTENSIONS,
+  IMAGE_EXTENSIONS,
+  describeExportFormats,
+  adaptEncoderSettings
+} = require('./exportFormats');
 
-// Try to set FFmpeg path from ffmpeg-static, fallback to system FFmpeg
-try {
-  const ffmpegPath = require('ffmpeg-static');
-  if (ffmpegPath) {
-    ffmpeg.setFfmpegPath(ffmpegPath);
-    console.log('Using bundled FFmpeg:', ffmpegPath);
-  }
-} catch (error) {
-  console.log('ffmpeg-static not found, using system FFmpeg');
-}
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'avi', 'mkv', 'webm'];
+// Batch queue outputs: clip_keyed, clip_keyed_2 and PNG sequence frames such as
+// clip_keyed_2_00001 (see getOutputPath in src/components/QueuePanel.jsx)
+const KEYED_OUTPUT_NAME = /_keyed(_\d+){0,2}$/;
+// Clips to key: videos, or stills keyed into a single picture
+const INPUT_FILTERS = [
+  { name: 'Videos and Images', extensions: [...VIDEO_EXTENSIONS, ...STILL_EXTENSIONS] },
+  { name: 'Videos', extensions: VIDEO_EXTENSIONS },
+  { name: 'Images', extensions: STILL_EXTENSIONS }
+];
 
 let mainWindow;
 
+// Single preview/export jobs started through `process-video`, keyed by job id
+const activeJobs = new Map();
+let nextProcessId = 1;
+
+const jobQueue = new JobQueue();
+jobQueue.on('update', (jobs) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('queue-update', jobs);
+  }
+});
+
 function waitForServer(url, maxAttempts = 30, interval = 1000) {
   return new Promise((resolve, reject) => {
     const http = require('http');
@@ -78,6 +120,15 @@ function createWindow() {
   });
 }
 
+// Must run before the app is ready. corsEnabled + the CORS header below let the
+// renderer read local-video:// frames into WebGL for the live preview.
+protocol.registerSchemesAsPrivileged([
+  {
+    scheme: 'local-video',
+    privileges: { secure: true, supportFetchAPI: true, corsEnabled: true, stream: true }
+  }
+]);
+
 app.on('ready', () => {
   // Register the protocol before creating the window  
   protocol.registerFileProtocol('local-video', (request, callback) => {
@@ -97,7 +148,10 @@ app.on('ready', () => {
       }
       
       console.log('Loading video from:', normalizedPath);
-      callback({ path: normalizedPath });
+      callback({
+        path: normalizedPath,
+        headers: { 'Access-Control-Allow-Origin': '*' }
+      });
     } catch (error) {
       console.error('Error in protocol handler:', error);
       console.error('Request URL:', request.url);
@@ -121,10 +175,65 @@ app.on('activate', () => {
 
 // IPC Handlers
 ipcMain.handle('select-video-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: INPUT_FILTERS
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+ipcMain.handle('select-video-files', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile', 'multiSelections'],
+    filters: INPUT_FILTERS
+  });
+
+  if (!result.canceled) {
+    return result.filePaths;
+  }
+  return [];
+});
+
+ipcMain.handle('select-video-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return [];
+  }
+
+  // Collect the videos and images directly inside the chosen folder, leaving
+  // out the queue's own outputs when it is also the output folder
+  const folder = result.filePaths[0];
+  const extensions = [...VIDEO_EXTENSIONS, ...STILL_EXTENSIONS];
+  return fs.readdirSync(folder)
+    .filter(name => extensions.includes(path.extname(name).slice(1).toLowerCase()))
+    .filter(name => !KEYED_OUTPUT_NAME.test(path.parse(name).name))
+    .sort()
+    .map(name => path.join(folder, name));
+});
+
+ipcMain.handle('select-output-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+ipcMain.handle('select-image-file', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile'],
     filters: [
-      { name: 'Videos', extensions: ['mp4', 'mov', 'avi', 'mkv', 'webm'] }
+      { name: 'Images', extensions: IMAGE_EXTENSIONS }
     ]
   });
 
@@ -134,11 +243,11 @@ ipcMain.handle('select-video-file', async () => {
   return null;
 });
 
-ipcMain.handle('select-image-file', async () => {
+ipcMain.handle('select-lut-file', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile'],
     filters: [
-      { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'bmp', 'gif', 'webp'] }
+      { name: '3D LUTs', extensions: ['cube'] }
     ]
   });
 
@@ -148,20 +257,61 @@ ipcMain.handle('select-image-file', async () => {
   return null;
 });
 
-ipcMain.handle('save-video-file', async () => {
+// Read synchronously by the preload script, so the renderer has the formats
+// before its first render
+ipcMain.on('get-export-formats', (event) => {
+  event.returnValue = describeExportFormats();
+});
+
+// The preview applies the export's channel gains, read synchronously when the
+// color correction changes
+ipcMain.on('get-color-gains', (event, correction) => {
+  event.returnValue = colorGains(correction || {});
+});
+
+// The preview reads the keyframes as the export renders them; a sync reply
+// must always be set, so bad keyframes just animate nothing
+ipcMain.on('get-keyframe-spans', (event, keyframes) => {
+  try {
+    event.returnValue = keyframeSpans(keyframes);
+  } catch (error) {
+    console.error('Failed to read keyframes:', error);
+    event.returnValue = [];
+  }
+});
+
+// Settings the UI starts from, so a GUI job matches a CLI job, preset or
+// project that leaves them out
+ipcMain.on('get-process-defaults', (event) => {
+  event.returnValue = { backgroundFit: DEFAULT_BACKGROUND_FIT };
+});
+
+ipcMain.handle('adapt-encoder-settings', async (event, format, encoder) => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return adaptEncoderSettings(format, encoder);
+});
+
+ipcMain.handle('save-video-file', async (event, format = 'mp4') => {
+  const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.mp4;
   const result = await dialog.showSaveDialog(mainWindow, {
+    title: exportFormat.sequence ? 'Save PNG sequence (frames are numbered)' : undefined,
     filters: [
-      { name: 'Videos', extensions: ['mp4'] },
-      { name: 'WebM', extensions: ['webm'] },
+      { name: exportFormat.label, extensions: [exportFormat.extension] },
       { name: 'All Files', extensions: ['*'] }
     ],
-    defaultPath: 'output.mp4'
+    defaultPath: `output.${exportFormat.extension}`
   });
 
-  if (!result.canceled) {
-    return result.filePath;
+  if (result.canceled) {
+    return null;
   }
-  return null;
+  // The format decides the codec, so make sure the file name agrees with it
+  const extension = `.${exportFormat.extension}`;
+  return result.filePath.toLowerCase().endsWith(extension)
+    ? result.filePath
+    : `${result.filePath}${extension}`;
 });
 
 ipcMain.handle('get-video-url', async (event, filePath) => {
@@ -171,380 +321,252 @@ ipcMain.handle('get-video-url', async (event, filePath) => {
   return `local-video://${encodedPath}`;
 });
 
-ipcMain.handle('get-temp-video-path', async () => {
+// PNG copies of TIFF stills shown in the app, by role ('input' or
+// 'background'); a role's copy is removed when it shows another still
+const stillPreviews = new Map();
+
+function removeStillPreview(role) {
+  const previewPath = stillPreviews.get(role);
+  if (!previewPath) {
+    return;
+  }
+  stillPreviews.delete(role);
+  try {
+    fs.unlinkSync(previewPath);
+  } catch (error) {
+    console.error('Failed to remove still preview:', error);
+  }
+}
+
+app.on('will-quit', () => {
+  for (const role of [...stillPreviews.keys()]) {
+    removeStillPreview(role);
+  }
+});
+
+ipcMain.handle('get-still-url', async (event, filePath, role = 'input') => {
+  removeStillPreview(role);
+  // Chromium can't show TIFF, so those are previewed from a PNG copy
+  let displayPath = filePath;
+  if (/\.tiff?$/i.test(filePath)) {
+    displayPath = await convertStillToPng(filePath);
+    stillPreviews.set(role, displayPath);
+  }
+  const encodedPath = displayPath.split(path.sep).map(segment => encodeURIComponent(segment)).join('/');
+  return `local-video://${encodedPath}`;
+});
+
+ipcMain.handle('get-temp-video-path', async (event, extension = 'webm') => {
   // Get the OS temp directory and create a temporary file path
-  // Use WebM for preview to support transparency
+  // Previews are WebM (or PNG for stills) to support transparency
   const os = require('os');
   const tempDir = os.tmpdir();
-  const tempFileName = `preview_${Date.now()}.webm`;
+  // The extension comes from the renderer and ends up in the file name, so
+  // only an export format's is taken
+  const known = Object.values(EXPORT_FORMATS).some(format => format.extension === extension);
+  const tempFileName = `preview_${Date.now()}.${known ? extension : 'webm'}`;
   return path.join(tempDir, tempFileName);
 });
 
-ipcMain.handle('detect-green-color', async (event, videoPath) => {
-  return new Promise((resolve, reject) => {
-    // Validate video path
-    if (!videoPath || !fs.existsSync(videoPath)) {
-      console.error('Video path is invalid or file does not exist:', videoPath);
-      resolve('#00ff00'); // Fallback to default green
-      return;
+// Project files
+const PROJECT_FILTERS = [
+  { name: 'Green Screen Project', extensions: [PROJECT_EXTENSION] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+ipcMain.handle('save-project', async (event, project, projectPath = null) => {
+  if (!projectPath) {
+    const input = project.media.input;
+    const result = await dialog.showSaveDialog(mainWindow, {
+      filters: PROJECT_FILTERS,
+      defaultPath: `${input ? path.parse(input).name : 'project'}.${PROJECT_EXTENSION}`
+    });
+    if (result.canceled) {
+      return null;
     }
+    projectPath = result.filePath.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`)
+      ? result.filePath
+      : `${result.filePath}.${PROJECT_EXTENSION}`;
+  }
+  writeProject(projectPath, project);
+  addRecentProject(app.getPath('userData'), projectPath);
+  return projectPath;
+});
 
-    const os = require('os');
-    const tempDir = os.tmpdir();
-    const tempFramePath = path.join(tempDir, `frame_${Date.now()}.png`);
-    
-    // Extract a frame from the video using standard FFmpeg command
-    // This is more reliable than .screenshots()
-    ffmpeg(videoPath)
-      .outputOptions([
-        '-ss', '00:00:01.000', // Seek to 1 second
-        '-vframes', '1',        // Extract 1 frame
-        '-vf', 'scale=320:240'  // Scale to small size for faster processing
-      ])
-      .output(tempFramePath)
-      .on('end', async () => {
-        try {
-          // Read the frame image and sample corner/edge pixels
-          // For simplicity, we'll use a basic approach: sample corner regions
-          // Use FFmpeg to extract corner pixel values
-          const corners = [
-            { x: 0, y: 0 },      // Top-left
-            { x: 319, y: 0 },    // Top-right
-            { x: 0, y: 239 },    // Bottom-left
-            { x: 319, y: 239 }   // Bottom-right
-          ];
-          
-          // Use FFmpeg to get pixel values from corners
-          // Extract a 1x1 pixel from each corner
-          const timestamp = Date.now();
-          const pixelPromises = corners.map((corner, index) => {
-            return new Promise((resolvePixel) => {
-              const tempPixelPath = path.join(tempDir, `pixel_${timestamp}_${index}.raw`);
-              ffmpeg(tempFramePath)
-                .videoFilters(`crop=1:1:${corner.x}:${corner.y}`)
-                .outputOptions([
-                  '-pix_fmt', 'rgb24',
-                  '-frames:v', '1',
-                  '-f', 'rawvideo'
-                ])
-                .output(tempPixelPath)
-                .on('end', () => {
-                  try {
-                    if (fs.existsSync(tempPixelPath)) {
-                      const pixelData = fs.readFileSync(tempPixelPath);
-                      if (pixelData.length >= 3) {
-                        const r = pixelData[0];
-                        const g = pixelData[1];
-                        const b = pixelData[2];
-                        fs.unlinkSync(tempPixelPath);
-                        resolvePixel({ r, g, b });
-                      } else {
-                        if (fs.existsSync(tempPixelPath)) fs.unlinkSync(tempPixelPath);
-                        resolvePixel(null);
-                      }
-                    } else {
-                      resolvePixel(null);
-                    }
-                  } catch (err) {
-                    try {
-                      if (fs.existsSync(tempPixelPath)) fs.unlinkSync(tempPixelPath);
-                    } catch (e) {}
-                    resolvePixel(null);
-                  }
-                })
-                .on('error', (err) => {
-                  console.error(`Error extracting pixel at corner ${index}:`, err);
-                  try {
-                    if (fs.existsSync(tempPixelPath)) fs.unlinkSync(tempPixelPath);
-                  } catch (e) {}
-                  resolvePixel(null);
-                })
-                .run();
-            });
-          });
-          
-          const pixels = await Promise.all(pixelPromises);
-          const validPixels = pixels.filter(p => p !== null);
-          
-          if (validPixels.length === 0) {
-            // Fallback to default green
-            fs.unlinkSync(tempFramePath);
-            resolve('#00ff00');
-            return;
-          }
-          
-          // Find the pixel with highest green value (most likely green screen)
-          let maxGreen = 0;
-          let bestPixel = validPixels[0];
-          for (const pixel of validPixels) {
-            // Check if it's green-ish (green > red and green > blue)
-            if (pixel.g > pixel.r && pixel.g > pixel.b && pixel.g > maxGreen) {
-              maxGreen = pixel.g;
-              bestPixel = pixel;
-            }
-          }
-          
-          // Convert to hex
-          const hexColor = '#' + 
-            bestPixel.r.toString(16).padStart(2, '0') +
-            bestPixel.g.toString(16).padStart(2, '0') +
-            bestPixel.b.toString(16).padStart(2, '0');
-          
-          // Clean up
-          fs.unlinkSync(tempFramePath);
-          resolve(hexColor);
-        } catch (error) {
-          console.error('Error detecting green color:', error);
-          // Clean up on error
-          try {
-            if (fs.existsSync(tempFramePath)) {
-              fs.unlinkSync(tempFramePath);
-            }
-          } catch (e) {}
-          resolve('#00ff00'); // Fallback to default green
-        }
-      })
-      .on('error', (err) => {
-        console.error('Error extracting frame:', err);
-        resolve('#00ff00'); // Fallback to default green
-      })
-      .run();
+ipcMain.handle('open-project', async (event, projectPath = null) => {
+  if (!projectPath) {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      filters: PROJECT_FILTERS
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
+    projectPath = result.filePaths[0];
+  }
+  const project = readProject(projectPath);
+  addRecentProject(app.getPath('userData'), projectPath);
+  return { path: projectPath, ...project };
+});
+
+ipcMain.handle('get-recent-projects', async () => {
+  return getRecentProjects(app.getPath('userData'));
+});
+
+// Asks for the new location of one missing file, then looks for the other
+// missing files next to it. Resolves to the found paths by role, or null.
+ipcMain.handle('relink-media', async (event, missing, role) => {
+  const fileName = path.basename(missing[role].split(/[/\\]/).join(path.sep));
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: `Locate ${fileName}`,
+    properties: ['openFile']
   });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+  const chosen = result.filePaths[0];
+  const others = { ...missing };
+  delete others[role];
+  return { ...findMovedMedia(others, path.dirname(chosen)), [role]: chosen };
+});
+
+// User presets, stored in the userData folder
+const PRESET_FILTERS = [
+  { name: 'Presets', extensions: ['json'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+ipcMain.handle('get-presets', async () => {
+  return loadPresets(app.getPath('userData'));
+});
+
+ipcMain.handle('save-preset', async (event, name, options) => {
+  return savePreset(app.getPath('userData'), name, options);
+});
+
+ipcMain.handle('rename-preset', async (event, name, newName) => {
+  return renamePreset(app.getPath('userData'), name, newName);
+});
+
+ipcMain.handle('delete-preset', async (event, name) => {
+  return deletePreset(app.getPath('userData'), name);
+});
+
+// Resolves to the number of exported presets, or null when canceled
+ipcMain.handle('export-presets', async (event, names = null) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    filters: PRESET_FILTERS,
+    defaultPath: 'greenscreen-presets.json'
+  });
+  if (result.canceled) {
+    return null;
+  }
+  return exportPresets(app.getPath('userData'), result.filePath, names);
+});
+
+// Resolves to { presets, imported }, or null when canceled
+ipcMain.handle('import-presets', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: PRESET_FILTERS
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+  return importPresets(app.getPath('userData'), result.filePaths[0]);
+});
+
+ipcMain.handle('detect-key-color', async (event, videoPath) => {
+  // Validate video path
+  if (!videoPath || !fs.existsSync(videoPath)) {
+    console.error('Video path is invalid or file does not exist:', videoPath);
+    return { color: '#00ff00', screen: 'green', confidence: 0, similarity: null };
+  }
+  return detectKeyColor(videoPath);
+});
+
+ipcMain.handle('probe-media', async (event, filePath) => {
+  // Rejects for missing or unreadable files, so the renderer can say so
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return probeMedia(filePath);
+});
+
+ipcMain.handle('sample-color', async (event, videoPath, time, region) => {
+  // Eyedropper: average the original pixels under the picked region
+  return sampleRegionColor(videoPath, time, region);
+});
+
+ipcMain.handle('match-lighting', async (event, options) => {
+  // Auto-match: foreground corrections from the average subject and background colors
+  if (!options.inputPath || !fs.existsSync(options.inputPath)) {
+    throw new Error(`File not found: ${options.inputPath}`);
+  }
+  return estimateLightMatch(options);
 });
 
 ipcMain.handle('process-video', async (event, options) => {
-  const { inputPath, outputPath, color, similarity, blend, edgeBlur, backgroundPath, backgroundType, audioMode } = options;
+  const jobId = `process-${nextProcessId++}`;
+  const handle = startVideoJob(options, {
+    onProgress: (data) => event.sender.send('process-progress', { ...data, jobId })
+  });
+  activeJobs.set(jobId, handle);
 
-  return new Promise((resolve, reject) => {
-    // If background is provided, we need to add it as an input
-    let command;
-    if (backgroundPath && backgroundType) {
-      command = ffmpeg().input(inputPath);
-      if (backgroundType === 'image') {
-        // For images, use loop input option to repeat the image
-        command.input(backgroundPath).inputOptions(['-loop', '1']);
-      } else {
-        command.input(backgroundPath);
-      }
-    } else {
-      command = ffmpeg(inputPath);
-    }
-    
-    // Determine output format based on file extension
-    const isWebM = outputPath.toLowerCase().endsWith('.webm');
-    const outputCodec = isWebM ? 'libvpx-vp9' : 'libx264';
-    
-    // Build filter chain using chromakey
-    // Extract RGB values from color (for logging)
-    const colorInt = parseInt(color.replace('0x', ''), 16);
-    const r = (colorInt >> 16) & 0xFF;
-    const g = (colorInt >> 8) & 0xFF;
-    const b = colorInt & 0xFF;
-    
-    let filterString;
-    
-    if (isWebM) {
-      // For WebM, we can either keep transparency or composite over background
-      if (backgroundPath && backgroundType) {
-        // Composite over background for WebM too
-        let webmFilters = [];
-        
-        // Apply chromakey to input video
-        let foregroundFilter = `[0:v]chromakey=${color}:${similarity}:${blend}`;
-        if (edgeBlur > 0) {
-          foregroundFilter += `,boxblur=${edgeBlur}:${edgeBlur}:chroma_power=1`;
-        }
-        foregroundFilter += '[fg]';
-        webmFilters.push(foregroundFilter);
-        
-        // Handle background
-        if (backgroundType === 'image') {
-          // For images, we need to set framerate and scale to match foreground
-          // scale2ref will scale the background to match foreground dimensions
-          webmFilters.push(`[1:v]fps=fps=25[bgfps]`);
-          webmFilters.push(`[bgfps][fg]scale2ref[bg][fg_scaled]`);
-        } else if (backgroundType === 'video') {
-          // Scale background video to match foreground dimensions
-          webmFilters.push(`[1:v][fg]scale2ref[bg][fg_scaled]`);
-        }
-        
-        webmFilters.push(`[bg][fg_scaled]overlay=shortest=1[out]`);
-        filterString = webmFilters.join(';');
-      } else {
-        // For WebM without background, use chromakey which supports transparency (alpha channel)
-        let webmFilters = [`chromakey=${color}:${similarity}:${blend}`];
-        
-        // Add edge blur AFTER chromakey for smoother edges
-        if (edgeBlur > 0) {
-          webmFilters.push(`boxblur=${edgeBlur}:${edgeBlur}:chroma_power=1`);
-        }
-        
-        // Join filters with comma for simple filter chain
-        filterString = webmFilters.join(',');
-      }
-    } else {
-      // For MP4, composite keyed video onto background (image/video or black)
-      // MP4/H.264 doesn't support transparency, so we overlay on background
-      let mp4Filters = [];
-      
-      // Apply chromakey to input video and optionally blur, label as [fg]
-      // [0:v] references the video stream from first input
-      let foregroundFilter = `[0:v]chromakey=${color}:${similarity}:${blend}`;
-      if (edgeBlur > 0) {
-        foregroundFilter += `,boxblur=${edgeBlur}:${edgeBlur}:chroma_power=1`;
-      }
-      foregroundFilter += '[fg]';
-      mp4Filters.push(foregroundFilter);
-      
-      // Determine background source
-      if (backgroundPath && backgroundType) {
-        if (backgroundType === 'image') {
-          // For image background, set framerate and scale to match foreground video dimensions
-          mp4Filters.push(`[1:v]fps=fps=25[bgfps]`);
-          mp4Filters.push(`[bgfps][fg]scale2ref[bg][fg_scaled]`);
-        } else if (backgroundType === 'video') {
-          // For video background, scale background video to match foreground dimensions
-          mp4Filters.push(`[1:v][fg]scale2ref[bg][fg_scaled]`);
-        }
-      } else {
-        // No background specified, use black
-        mp4Filters.push(`color=c=black:size=2x2:rate=25[bgsrc]`);
-        mp4Filters.push(`[bgsrc][fg]scale2ref[bg][fg_scaled]`);
-      }
-      
-      // Overlay the scaled foreground on the background
-      // shortest=1 ensures output stops when shortest input ends
-      mp4Filters.push(`[bg][fg_scaled]overlay=shortest=1[out]`);
-      
-      // Join with semicolons for complex filter chain
-      filterString = mp4Filters.join(';');
-    }
-    
-    console.log('Applying filter chain:', filterString);
-    console.log('Output format:', isWebM ? 'WebM' : 'MP4');
-    console.log('Color values - R:', r, 'G:', g, 'B:', b);
-    console.log('Similarity:', similarity, 'Blend:', blend);
-    console.log('Input path:', inputPath);
-    console.log('Output path:', outputPath);
-    
-    // Apply filters using -vf for simple chains, -filter_complex for complex chains
-    const hasBackground = backgroundPath && backgroundType;
-    const hasVideoBackground = hasBackground && backgroundType === 'video';
-    
-    // Handle audio based on audioMode
-    // Safety check: if audioMode requires background video but we don't have it, use foreground
-    let effectiveAudioMode = audioMode;
-    if ((audioMode === 'background' || audioMode === 'mix') && !hasVideoBackground) {
-      effectiveAudioMode = 'foreground';
-    }
-    
-    let audioFilterString = null;
-    if (effectiveAudioMode === 'mix' && hasVideoBackground) {
-      // Mix both audio tracks using amix filter
-      audioFilterString = '[0:a][1:a]amix=inputs=2:duration=longest:dropout_transition=2[audio_out]';
-    }
-    
-    if (isWebM && !hasBackground) {
-      // Simple filter chain for WebM without background
-      command.outputOptions(['-vf', filterString]);
-      // Map audio based on mode
-      if (effectiveAudioMode !== 'none') {
-        command.outputOptions(['-map', '0:a?']);
-      }
-    } else {
-      // Use -filter_complex for complex chains (with background or MP4)
-      let complexFilter = filterString;
-      if (audioFilterString) {
-        // Combine video and audio filters
-        complexFilter = `${filterString};${audioFilterString}`;
-      }
-      command.outputOptions(['-filter_complex', complexFilter]);
-      // Map the filtered video output
-      command.outputOptions(['-map', '[out]']);
-      
-      // Map audio based on effective mode
-      if (effectiveAudioMode === 'foreground') {
-        command.outputOptions(['-map', '0:a?']);
-      } else if (effectiveAudioMode === 'background' && hasVideoBackground) {
-        command.outputOptions(['-map', '1:a?']);
-      } else if (effectiveAudioMode === 'mix' && hasVideoBackground) {
-        command.outputOptions(['-map', '[audio_out]']);
-      }
-      // If effectiveAudioMode is 'none', don't map any audio
-    }
-    
-    // Set output options
-    const outputOpts = ['-c:v', outputCodec];
-    
-    // Set pixel format - WebM supports transparency, MP4 needs yuv420p
-    if (isWebM) {
-      // If using background, we don't need alpha channel (yuva420p)
-      // If no background, use yuva420p for transparency
-      if (backgroundPath && backgroundType) {
-        outputOpts.push('-pix_fmt', 'yuv420p');
-      } else {
-        outputOpts.push('-pix_fmt', 'yuva420p');
-      }
-    } else {
-      // For MP4, use yuv420p (no transparency support)
-      outputOpts.push('-pix_fmt', 'yuv420p');
-    }
-    
-    command.outputOptions(outputOpts);
-
-    // Audio and codec options
-    if (isWebM) {
-      // WebM specific options for transparency
-      command.outputOptions([
-        '-c:a', 'libopus',  // Opus audio codec for WebM
-        '-b:a', '192k',
-        '-auto-alt-ref', '0',
-        '-lag-in-frames', '0'
-      ]);
-    } else {
-      // H.264 doesn't support transparency, green will be replaced with black
-      // For true transparency, user should use WebM format
-      command.outputOptions([
-        '-c:a', 'aac',
-        '-b:a', '192k'
-      ]);
+  try {
+    return await handle.promise;
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      return { success: false, cancelled: true, outputPath: options.outputPath };
     }
+    throw error;
+  } finally {
+    activeJobs.delete(jobId);
+  }
+});
 
-    // Add additional options to ensure chromakey works correctly
-    command.outputOptions([
-      '-avoid_negative_ts', 'make_zero',
-      '-fflags', '+genpts'
-    ]);
-    
-    command
-      .output(outputPath)
-      .on('start', (commandLine) => {
-        console.log('FFmpeg process started:', commandLine);
-        console.log('Filter chain:', filterString);
-        console.log('Color:', color, 'Similarity:', similarity, 'Blend:', blend);
-        event.sender.send('process-progress', { status: 'started', percent: 0 });
-      })
-      .on('progress', (progress) => {
-        const percent = progress.percent || 0;
-        event.sender.send('process-progress', {
-          status: 'processing',
-          percent: Math.min(percent, 99), // Cap at 99% until end
-          time: progress.timemark
-        });
-      })
-      .on('end', () => {
-        console.log('FFmpeg process completed');
-        event.sender.send('process-progress', { status: 'completed', percent: 100 });
-        resolve({ success: true, outputPath });
-      })
-      .on('error', (err, stdout, stderr) => {
-        console.error('FFmpeg error:', err);
-        console.error('FFmpeg stderr:', stderr);
-        console.error('FFmpeg stdout:', stdout);
-        const errorMessage = stderr || err.message || 'Unknown FFmpeg error';
-        event.sender.send('process-progress', { status: 'error', error: errorMessage });
-        reject(new Error(errorMessage));
-      })
-      .run();
-  });
+// Job control for both single jobs and batch queue jobs
+function controlJob(jobId, action) {
+  const handle = activeJobs.get(jobId);
+  if (handle) {
+    return handle[action]();
+  }
+  return jobQueue[action](jobId);
+}
+
+ipcMain.handle('cancel-processing', async (event, jobId) => {
+  return controlJob(jobId, 'cancel');
+});
+
+ipcMain.handle('pause-processing', async (event, jobId) => {
+  return controlJob(jobId, 'pause');
+});
+
+ipcMain.handle('resume-processing', async (event, jobId) => {
+  return controlJob(jobId, 'resume');
+});
+
+// Batch queue handlers
+ipcMain.handle('queue-add', async (event, jobs) => {
+  return jobQueue.add(jobs);
+});
+
+ipcMain.handle('queue-update-job', async (event, jobId, options) => {
+  return jobQueue.update(jobId, options);
+});
+
+ipcMain.handle('queue-remove', async (event, jobId) => {
+  return jobQueue.remove(jobId);
+});
+
+ipcMain.handle('queue-clear-finished', async () => {
+  jobQueue.clearFinished();
+});
+
+ipcMain.handle('queue-set-concurrency', async (event, concurrency) => {
+  jobQueue.setConcurrency(concurrency);
+});
+
+ipcMain.handle('queue-list', async () => {
+  return jobQueue.list();
 });
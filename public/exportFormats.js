@@ -0,0 +1,315 @@
+const path = require('path');
+
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const VP9_DEADLINES = ['realtime', 'good', 'best'];
+const MOV_AUDIO_CODECS = ['pcm_s16le', 'pcm_s24le', 'aac'];
+
+// Audio codecs that take a bitrate; PCM is uncompressed
+const LOSSY_AUDIO_CODECS = ['aac', 'libopus', 'libvorbis'];
+
+// Target heights offered for resizing; width follows the aspect ratio
+const RESOLUTIONS = [2160, 1440, 1080, 720, 480, 360];
+
+// Still image inputs, keyed into a single picture
+const STILL_EXTENSIONS = ['png', 'jpg', 'jpeg', 'tif', 'tiff'];
+// Background images: the stills, plus formats only used behind the subject
+const IMAGE_EXTENSIONS = [...STILL_EXTENSIONS, 'bmp', 'gif', 'webp'];
+
+/**
+ * Export formats offered by the app and the CLI. Each one names its codec and
+ * pixel formats explicitly; the output file's extension is never used to pick them.
+ * `alphaPixelFormat` is used when the output keeps transparency (no background,
+ * composite output mode); formats without one are always composited.
+ * `encoder` describes which encoder settings apply: `crf` is null for formats
+ * without rate control (ProRes, lossless), `presets` is the speed/quality
+ * trade-off passed with `presetOption`, and the first audio codec is the default.
+ * `still` formats write a single picture, the first frame of the (trimmed) input.
+ */
+const EXPORT_FORMATS = {
+  mp4: {
+    label: 'MP4 (H.264)',
+    extension: 'mp4',
+    videoOptions: ['-c:v', 'libx264'],
+    pixelFormat: 'yuv420p',
+    alphaPixelFormat: null,
+    encoder: {
+      crf: { min: 0, max: 51, default: 23 },
+      presets: X264_PRESETS,
+      presetOption: '-preset',
+      defaultPreset: 'medium',
+      audioCodecs: ['aac']
+    }
+  },
+  webm: {
+    label: 'WebM (VP9, transparent)',
+    extension: 'webm',
+    videoOptions: ['-c:v', 'libvpx-vp9'],
+    // Alt-ref frames are not supported together with alpha
+    alphaVideoOptions: ['-auto-alt-ref', '0', '-lag-in-frames', '0'],
+    pixelFormat: 'yuv420p',
+    alphaPixelFormat: 'yuva420p',
+    encoder: {
+      // VP9 only treats -crf as constant quality when the bitrate cap is 0
+      crf: { min: 0, max: 63, default: 31, options: ['-b:v', '0'] },
+      presets: VP9_DEADLINES,
+      presetOption: '-deadline',
+      defaultPreset: 'good',
+      audioCodecs: ['libopus', 'libvorbis']
+    }
+  },
+  prores4444: {
+    label: 'MOV (ProRes 4444, transparent)',
+    extension: 'mov',
+    // The Apple vendor tag makes Premiere and Resolve trust the alpha channel
+    videoOptions: ['-c:v', 'prores_ks', '-profile:v', '4444', '-vendor', 'apl0'],
+    pixelFormat: 'yuv444p10le',
+    alphaPixelFormat: 'yuva444p10le',
+    encoder: { crf: null, presets: null, audioCodecs: MOV_AUDIO_CODECS }
+  },
+  qtrle: {
+    label: 'MOV (QuickTime Animation, transparent)',
+    extension: 'mov',
+    videoOptions: ['-c:v', 'qtrle'],
+    pixelFormat: 'rgb24',
+    alphaPixelFormat: 'argb',
+    encoder: { crf: null, presets: null, audioCodecs: MOV_AUDIO_CODECS }
+  },
+  pngmov: {
+    label: 'MOV (PNG, transparent)',
+    extension: 'mov',
+    videoOptions: ['-c:v', 'png'],
+    pixelFormat: 'rgb24',
+    alphaPixelFormat: 'rgba',
+    encoder: { crf: null, presets: null, audioCodecs: MOV_AUDIO_CODECS }
+  },
+  pngseq: {
+    label: 'PNG sequence (transparent)',
+    extension: 'png',
+    videoOptions: ['-c:v', 'png'],
+    pixelFormat: 'rgb24',
+    alphaPixelFormat: 'rgba',
+    // Image sequences carry no audio
+    encoder: { crf: null, presets: null, audioCodecs: [] },
+    sequence: true
+  },
+  png: {
+    label: 'PNG image (transparent)',
+    extension: 'png',
+    videoOptions: ['-c:v', 'png'],
+    pixelFormat: 'rgb24',
+    alphaPixelFormat: 'rgba',
+    encoder: { crf: null, presets: null, audioCodecs: [] },
+    still: true
+  },
+  webp: {
+    label: 'WebP image (transparent)',
+    extension: 'webp',
+    videoOptions: ['-c:v', 'libwebp', '-quality', '90'],
+    pixelFormat: 'yuv420p',
+    alphaPixelFormat: 'yuva420p',
+    encoder: { crf: null, presets: null, audioCodecs: [] },
+    still: true
+  },
+  jpg: {
+    label: 'JPEG image',
+    extension: 'jpg',
+    videoOptions: ['-c:v', 'mjpeg', '-q:v', '2'],
+    pixelFormat: 'yuvj444p',
+    alphaPixelFormat: null,
+    encoder: { crf: null, presets: null, audioCodecs: [] },
+    still: true
+  }
+};
+
+/**
+ * Named export presets: a format plus encoder settings. Settings left out use
+ * the format's defaults (see resolveEncoderSettings).
+ */
+const EXPORT_PRESETS = {
+  'youtube-1080p': {
+    label: 'YouTube 1080p',
+    format: 'mp4',
+    encoder: { rateControl: 'crf', crf: 18, preset: 'slow', resolution: 1080, audioCodec: 'aac', audioBitrate: 192 }
+  },
+  'web-overlay-webm': {
+    label: 'Web overlay WebM alpha',
+    format: 'webm',
+    encoder: { rateControl: 'crf', crf: 32, preset: 'good', resolution: 720, audioCodec: 'libopus', audioBitrate: 128 }
+  },
+  'editing-intermediate': {
+    label: 'Editing intermediate',
+    format: 'prores4444',
+    encoder: { audioCodec: 'pcm_s24le' }
+  }
+};
+
+/**
+ * Fills in the format's defaults for any encoder setting that isn't given.
+ * `resolution` (target height) and `fps` stay null to keep the source's.
+ */
+function resolveEncoderSettings(format, encoder = {}) {
+  const capabilities = EXPORT_FORMATS[format].encoder;
+  return {
+    rateControl: capabilities.crf ? (encoder.rateControl || 'crf') : null,
+    crf: capabilities.crf
+      ? (encoder.crf !== undefined ? encoder.crf : capabilities.crf.default)
+      : null,
+    videoBitrate: capabilities.crf ? (encoder.videoBitrate || 8000) : null,
+    preset: capabilities.presets ? (encoder.preset || capabilities.defaultPreset) : null,
+    resolution: encoder.resolution || null,
+    fps: encoder.fps || null,
+    audioCodec: capabilities.audioCodecs.length > 0
+      ? (encoder.audioCodec || capabilities.audioCodecs[0])
+      : null,
+    audioBitrate: encoder.audioBitrate || 192
+  };
+}
+
+/**
+ * Encoder settings carried over to another format: the settings it supports
+ * are kept (a CRF clamped to its range), the rest fall back to its defaults.
+ * Used by the app when the export format is switched.
+ */
+function adaptEncoderSettings(format, encoder = {}) {
+  const { crf, presets, audioCodecs } = EXPORT_FORMATS[format].encoder;
+  return resolveEncoderSettings(format, {
+    ...encoder,
+    crf: crf && Number.isInteger(encoder.crf) ? Math.min(crf.max, Math.max(crf.min, encoder.crf)) : undefined,
+    preset: presets && presets.includes(encoder.preset) ? encoder.preset : undefined,
+    audioCodec: audioCodecs.includes(encoder.audioCodec) ? encoder.audioCodec : undefined
+  });
+}
+
+/**
+ * The formats and presets as the app's export settings show them, sent to the
+ * renderer (see src/exportFormats.js) so it offers exactly what the encoder
+ * supports. `defaults` and a preset's `encoder` are resolved encoder settings.
+ */
+function describeExportFormats() {
+  return {
+    formats: Object.entries(EXPORT_FORMATS).map(([value, format]) => ({
+      value,
+      label: format.label,
+      extension: format.extension,
+      alpha: Boolean(format.alphaPixelFormat),
+      still: Boolean(format.still),
+      sequence: Boolean(format.sequence),
+      crf: format.encoder.crf && { min: format.encoder.crf.min, max: format.encoder.crf.max },
+      presets: format.encoder.presets,
+      audioCodecs: format.encoder.audioCodecs,
+      defaults: resolveEncoderSettings(value)
+    })),
+    presets: Object.entries(EXPORT_PRESETS).map(([value, preset]) => ({
+      value,
+      label: preset.label,
+      format: preset.format,
+      encoder: resolveEncoderSettings(preset.format, preset.encoder)
+    })),
+    lossyAudioCodecs: LOSSY_AUDIO_CODECS,
+    resolutions: RESOLUTIONS,
+    stillExtensions: STILL_EXTENSIONS
+  };
+}
+
+/**
+ * Video filters for the encoder's resolution and frame rate, applied to the
+ * final picture. Returns an empty list when the source's are kept.
+ */
+function buildEncoderFilters({ resolution, fps }) {
+  const filters = [];
+  if (resolution) {
+    // -2 keeps the aspect ratio with an even width, as most encoders need
+    filters.push(`scale=-2:${resolution}`);
+  }
+  if (fps) {
+    filters.push(`fps=fps=${fps}`);
+  }
+  return filters;
+}
+
+/**
+ * Translates a format and resolved encoder settings into FFmpeg output options.
+ *
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} encoder - As returned by resolveEncoderSettings
+ * @param {boolean} keepsAlpha - Whether the output keeps transparency
+ * @returns {string[]}
+ */
+function buildEncoderOptions(format, encoder, keepsAlpha) {
+  const exportFormat = EXPORT_FORMATS[format];
+  const capabilities = exportFormat.encoder;
+  const options = [...exportFormat.videoOptions];
+
+  if (keepsAlpha && exportFormat.alphaVideoOptions) {
+    options.push(...exportFormat.alphaVideoOptions);
+  }
+  options.push('-pix_fmt', keepsAlpha ? exportFormat.alphaPixelFormat : exportFormat.pixelFormat);
+
+  if (encoder.rateControl === 'crf') {
+    options.push('-crf', String(encoder.crf), ...(capabilities.crf.options || []));
+  } else if (encoder.rateControl === 'bitrate') {
+    options.push('-b:v', `${encoder.videoBitrate}k`);
+  }
+  if (encoder.preset) {
+    options.push(capabilities.presetOption, encoder.preset);
+  }
+
+  if (encoder.audioCodec) {
+    options.push('-c:a', encoder.audioCodec);
+    if (LOSSY_AUDIO_CODECS.includes(encoder.audioCodec)) {
+      options.push('-b:a', `${encoder.audioBitrate}k`);
+    }
+  }
+  if (exportFormat.still) {
+    // One picture, written to the file name as given rather than as a sequence
+    options.push('-frames:v', '1', '-update', '1');
+  }
+  return options;
+}
+
+/**
+ * Output path actually written for a format. Image sequences turn `shot.png`
+ * into the numbered pattern `shot_%05d.png`.
+ */
+function resolveOutputPath(outputPath, format) {
+  if (!EXPORT_FORMATS[format].sequence || outputPath.includes('%')) {
+    return outputPath;
+  }
+  const parsed = path.parse(outputPath);
+  return path.join(parsed.dir, `${parsed.name}_%05d.${EXPORT_FORMATS[format].extension}`);
+}
+
+/**
+ * Whether an input is a still image rather than a video, by its extension.
+ */
+function isStillImage(filePath) {
+  return STILL_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+/**
+ * Default format for a file name, for callers that only have a path (the CLI).
+ * `.mov` defaults to ProRes 4444 and `.png` to a PNG sequence, or to a single
+ * PNG for a still input; `.jpg` and `.webp` are always stills.
+ */
+function formatForPath(filePath, stillInput = false) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const matches = Object.keys(EXPORT_FORMATS).filter(name => EXPORT_FORMATS[name].extension === extension);
+  const preferred = matches.find(name => Boolean(EXPORT_FORMATS[name].still) === stillInput);
+  return preferred || matches[0] || 'mp4';
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_PRESETS,
+  RESOLUTIONS,
+  STILL_EXTENSIONS,
+  IMAGE_EXTENSIONS,
+  resolveEncoderSettings,
+  adaptEncoderSettings,
+  describeExportFormats,
+  buildEncoderFilters,
+  buildEncoderOptions,
+  resolveOutputPath,
+  isStillImage,
+  formatForPath
+};
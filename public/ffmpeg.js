@@ -0,0 +1,24 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Try to set FFmpeg path from ffmpeg-static, fallback to system FFmpeg.
+// Nothing is printed here: the CLI's stdout is parsed for progress
+try {
+  const ffmpegPath = require('ffmpeg-static');
+  if (ffmpegPath) {
+    ffmpeg.setFfmpegPath(ffmpegPath);
+  }
+} catch (error) {
+  // fluent-ffmpeg looks for ffmpeg on the PATH
+}
+
+// Same for FFprobe, used to read durations and stream info
+try {
+  const ffprobePath = require('ffprobe-static').path;
+  if (ffprobePath) {
+    ffmpeg.setFfprobePath(ffprobePath);
+  }
+} catch (error) {
+  // fluent-ffmpeg looks for ffprobe on the PATH
+}
+
+module.exports = ffmpeg;
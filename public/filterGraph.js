@@ -0,0 +1,750 @@
+/**
+ * Pure construction of the FFmpeg arguments for the chroma-key pipeline.
+ * Nothing here touches the filesystem or spawns FFmpeg, so keying behavior
+ * can be changed and checked without launching Electron.
+ */
+
+const {
+  EXPORT_FORMATS,
+  resolveEncoderSettings,
+  buildEncoderFilters,
+  buildEncoderOptions,
+  resolveOutputPath,
+  isStillImage
+} = require('./exportFormats');
+const { GENERATED_BACKGROUNDS, DEFAULT_BACKGROUND_FIT } = require('./validateOptions');
+const { keyframeSpans, keyframeValuesAt, animatesFeather, buildKeyframeCommands } = require('./keyframes');
+
+/**
+ * Resolves which audio source can actually be used.
+ * Background and mix modes need a background video; otherwise fall back to the foreground.
+ * When the inputs were probed, mixing falls back to the side that has audio,
+ * and a chosen side without audio means no audio. Unknown presence (undefined)
+ * is left to the optional `?` maps.
+ */
+function resolveAudioMode(audioMode, hasVideoBackground, { foregroundHasAudio, backgroundHasAudio } = {}) {
+  let mode = audioMode || 'foreground';
+  if ((mode === 'background' || mode === 'mix') && !hasVideoBackground) {
+    mode = 'foreground';
+  }
+  if (mode === 'mix' && backgroundHasAudio === false) {
+    mode = 'foreground';
+  } else if (mode === 'mix' && foregroundHasAudio === false) {
+    mode = 'background';
+  }
+  if ((mode === 'foreground' && foregroundHasAudio === false) ||
+      (mode === 'background' && backgroundHasAudio === false)) {
+    return 'none';
+  }
+  return mode;
+}
+
+/**
+ * Builds the keying filter for the selected keyer.
+ * chromakey measures distance in YUV chroma, colorkey in RGB, hsvkey in HSV.
+ * `name` gives the filter an instance name (`chromakey@key`) that keyframe commands address.
+ */
+function buildKeyFilter({ keyer = 'chromakey', color, similarity, blend, hsvHue, hsvSat, hsvVal }, name = null) {
+  const filter = name ? `${keyer}@${name}` : keyer;
+  if (keyer === 'hsvkey') {
+    return `${filter}=hue=${hsvHue}:sat=${hsvSat}:val=${hsvVal}:similarity=${similarity}:blend=${blend}`;
+  }
+  return `${filter}=${color}:${similarity}:${blend}`;
+}
+
+/**
+ * Builds the spill suppression filter. FFmpeg's despill only pulls down the
+ * green channel by default, so blue screens need the scales swapped.
+ */
+function buildDespillFilter({ despillType, despillMix, despillExpand }) {
+  const scales = despillType === 'blue' ? 'green=0:blue=-1' : 'green=-1:blue=0';
+  return `despill=type=${despillType}:mix=${despillMix}:expand=${despillExpand}:${scales}`;
+}
+
+/**
+ * Builds the alpha-only matte operations: choke (erode) and expand (dilate)
+ * by whole pixels, then feather with a gaussian blur. Returns null when the
+ * matte is left untouched. A keyframed feather keeps the blur as
+ * `gblur@feather`, even at 0, so commands can change it.
+ */
+function buildMatteFilter({ matteChoke = 0, matteExpand = 0, matteFeather = 0 }, animatedFeather = false) {
+  const steps = [];
+  // erosion/dilation work on a 3x3 neighbourhood, so each pass moves the edge by one pixel
+  for (let i = 0; i < matteChoke; i++) {
+    steps.push('erosion');
+  }
+  for (let i = 0; i < matteExpand; i++) {
+    steps.push('dilation');
+  }
+  if (animatedFeather) {
+    steps.push(`gblur@feather=sigma=${matteFeather}`);
+  } else if (matteFeather > 0) {
+    steps.push(`gblur=sigma=${matteFeather}`);
+  }
+  return steps.length > 0 ? steps.join(',') : null;
+}
+
+// Temperature and tint move the channel gains by up to this fraction
+const COLOR_SHIFT = 0.2;
+// Rec. 709 luma weights, the ones saturation is adjusted around
+const LUMA_WEIGHTS = [0.2126, 0.7152, 0.0722];
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Per-channel gains for exposure (stops), temperature (warm > 0) and tint
+ * (magenta > 0).
+ */
+function colorGains({ fgExposure = 0, fgTemperature = 0, fgTint = 0 }) {
+  const exposure = Math.pow(2, fgExposure);
+  return [
+    exposure * (1 + COLOR_SHIFT * fgTemperature),
+    exposure * (1 - COLOR_SHIFT * fgTint),
+    exposure * (1 - COLOR_SHIFT * fgTemperature)
+  ];
+}
+
+/**
+ * Escapes a file path for a filter option inside filter_complex: once for the
+ * option value, once for the graph. Backslashes become slashes, which FFmpeg
+ * accepts on Windows too.
+ */
+function escapeFilterPath(filePath) {
+  const value = filePath.replace(/\\/g, '/').replace(/[':]/g, '\\$&');
+  return value.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Builds the color correction of a keyed foreground: an optional 3D LUT
+ * (.cube) first, then exposure, temperature, tint and contrast as one
+ * per-channel lookup, then saturation as a channel mix. All three leave the
+ * alpha channel alone. Returns null when nothing is corrected.
+ */
+function buildColorCorrectionFilter(options) {
+  const { fgContrast = 1, fgSaturation = 1, fgLutPath = null } = options;
+  const steps = [];
+  if (fgLutPath) {
+    steps.push(`lut3d=file=${escapeFilterPath(fgLutPath)}`);
+  }
+  const gains = colorGains(options);
+  if (fgContrast !== 1 || gains.some(gain => round(gain) !== 1)) {
+    // Contrast pivots around mid-gray
+    const channel = gain => `'clip(128+(val*${round(gain)}-128)*${round(fgContrast)},0,255)'`;
+    steps.push(`lutrgb=r=${channel(gains[0])}:g=${channel(gains[1])}:b=${channel(gains[2])}`);
+  }
+  if (fgSaturation !== 1) {
+    // Each channel moves away from (or toward) the pixel's luma
+    const rows = ['r', 'g', 'b'].map((out, row) => ['r', 'g', 'b'].map((input, column) => {
+      const weight = LUMA_WEIGHTS[column] * (1 - fgSaturation) + (row === column ? fgSaturation : 0);
+      return `${out}${input}=${round(weight)}`;
+    }).join(':'));
+    steps.push(`colorchannelmixer=${rows.join(':')}`);
+  }
+  return steps.length > 0 ? steps.join(',') : null;
+}
+
+// Merges the keyed alpha (A) with the garbage mask (B, see garbageMatte.js):
+// black forces transparency, white forces opacity, mid-gray keeps the key
+const GARBAGE_MATTE_EXPR = 'if(lt(B,64),0,if(gt(B,192),255,A))';
+
+/**
+ * Builds the keyed foreground chain: the keyer, optional despill, then the
+ * garbage mask and matte refinement. The matte is split off with alphaextract
+ * so only the alpha plane is masked/eroded/dilated/feathered, then merged
+ * back onto the untouched color. Color correction comes last, so it can't
+ * change what is keyed. Produces `[${label}]`.
+ * With keyframes, the chain starts with the values at the trim start and a
+ * sendcmd filter that changes them over time.
+ *
+ * @param {Object} streams
+ * @param {string} [streams.source] - Foreground video stream to key
+ * @param {string} streams.label - Output label
+ * @param {number|null} [streams.garbageInput] - Input index of the garbage mask image, if any
+ * @param {string} [streams.prefix] - Prefix for the chain's internal labels, to key several clips in one graph
+ */
+function buildForegroundFilters(options, { source = '0:v', label, garbageInput = null, prefix = '' }) {
+  const keyframes = options.keyframes || [];
+  let keyChain;
+  let matteFilter;
+  if (keyframes.length > 0) {
+    const feather = animatesFeather(keyframes);
+    const initial = { ...options, ...keyframeValuesAt(keyframeSpans(keyframes), options.start || 0) };
+    const commands = buildKeyframeCommands(keyframes, { keyer: initial.keyer || 'chromakey', feather, offset: options.start || 0 });
+    keyChain = [buildKeyFilter(initial, 'key')];
+    if (commands) {
+      keyChain.unshift(`sendcmd=c='${commands}'`);
+    }
+    matteFilter = buildMatteFilter(initial, feather);
+  } else {
+    keyChain = [buildKeyFilter(options)];
+    matteFilter = buildMatteFilter(options);
+  }
+  if (options.despill) {
+    // Remove the screen's color cast from edges before anything is composited
+    keyChain.push(buildDespillFilter(options));
+  }
+
+  const correction = buildColorCorrectionFilter(options);
+  if (garbageInput === null && !matteFilter) {
+    if (correction) {
+      keyChain.push(correction);
+    }
+    return [`[${source}]${keyChain.join(',')}[${label}]`];
+  }
+
+  const filters = [`[${source}]${keyChain.join(',')},split[${prefix}fgcolor][${prefix}fgalpha]`];
+  let alphaChain = `[${prefix}fgalpha]alphaextract`;
+  if (garbageInput !== null) {
+    // The mask is rendered at the clip's size; scale2ref only guards against a mismatch
+    filters.push(
+      `${alphaChain}[${prefix}keyalpha]`,
+      `[${garbageInput}:v]format=gray[${prefix}garbagesrc]`,
+      `[${prefix}garbagesrc][${prefix}keyalpha]scale2ref=flags=neighbor[${prefix}garbage][${prefix}keyalpharef]`
+    );
+    alphaChain = `[${prefix}keyalpharef][${prefix}garbage]blend=all_expr='${GARBAGE_MATTE_EXPR}':shortest=1`;
+  }
+  if (matteFilter) {
+    alphaChain += `,${matteFilter}`;
+  }
+  filters.push(
+    `${alphaChain}[${prefix}matte]`,
+    `[${prefix}fgcolor][${prefix}matte]alphamerge${correction ? `,${correction}` : ''}[${label}]`
+  );
+  return filters;
+}
+
+// Gradients are drawn at 1/8 of the frame size and scaled up, which keeps
+// geq cheap; a smooth gradient loses nothing in the upscale
+const GRADIENT_DOWNSCALE = 8;
+
+/**
+ * geq expressions for a two-color gradient. Linear gradients run along
+ * `gradientAngle` (0 = left to right, 90 = top to bottom) and span the frame
+ * exactly; radial gradients run from the center to the corners.
+ */
+function buildGradientExpr({ gradientType, gradientStart, gradientEnd, gradientAngle = 0 }) {
+  let position;
+  if (gradientType === 'radial') {
+    position = 'min(1,hypot(X/W-0.5,Y/H-0.5)/hypot(0.5,0.5))';
+  } else {
+    const radians = (gradientAngle * Math.PI) / 180;
+    const cos = Number(Math.cos(radians).toFixed(6));
+    const sin = Number(Math.sin(radians).toFixed(6));
+    const span = Number((Math.abs(cos) + Math.abs(sin)).toFixed(6));
+    position = `0.5+((X/W-0.5)*${cos}+(Y/H-0.5)*${sin})/${span}`;
+  }
+
+  const start = parseInt(gradientStart.slice(2), 16);
+  const end = parseInt(gradientEnd.slice(2), 16);
+  const channel = (shift) => {
+    const from = (start >> shift) & 0xff;
+    const to = (end >> shift) & 0xff;
+    return `'${from}+${to - from}*(${position})'`;
+  };
+  return `r=${channel(16)}:g=${channel(8)}:b=${channel(0)}`;
+}
+
+/**
+ * Frame rate conversion that puts a background on the foreground's probed
+ * frame rate and timebase (`frameRate`, `timeBase`), 25 fps if unknown.
+ */
+function buildTimingFilter({ frameRate, timeBase }) {
+  const filter = `fps=fps=${frameRate || 25}`;
+  return timeBase ? `${filter},settb=${timeBase}` : filter;
+}
+
+/**
+ * Builds the background chain, sized to the keyed foreground.
+ * Consumes `[${fgLabel}]` and produces `[bg]` and `[fg_scaled]`.
+ *
+ * Background types:
+ * - 'image' / 'video': input 1, converted to the foreground's frame rate. A video
+ *   shorter than the foreground loops (input option), freezes on its last
+ *   frame or ends the output early, following `backgroundEnd`
+ * - 'color': `backgroundColor`; no background at all is black
+ * - 'gradient': see buildGradientExpr
+ * - 'blur': the unkeyed source `[blursrc]` blurred by `backgroundBlur`
+ *
+ * `backgroundFit` decides how an image or video of another aspect ratio is sized:
+ * 'stretch' (default) distorts it to the frame, 'contain' fits it inside and
+ * fills the bars with `letterboxColor`, 'cover' fills the frame and crops the rest.
+ * Generated backgrounds always match the frame.
+ */
+function buildBackgroundFilters(backgroundType, fgLabel = 'fg', options = {}) {
+  const filters = [];
+  let source;
+  if (backgroundType === 'image') {
+    // For images, we need to set framerate and scale to match foreground
+    filters.push(`[1:v]${buildTimingFilter(options)}[bgfps]`);
+    source = 'bgfps';
+  } else if (backgroundType === 'video') {
+    // tpad repeats the last frame for as long as the foreground needs it
+    const freeze = options.backgroundEnd === 'freeze' ? 'tpad=stop_mode=clone:stop=-1,' : '';
+    filters.push(`[1:v]${freeze}${buildTimingFilter(options)}[bgfps]`);
+    source = 'bgfps';
+  } else if (backgroundType === 'gradient') {
+    // Drawn on a shrunken copy of the foreground, so its aspect ratio matches
+    filters.push(
+      `[${fgLabel}]split[fggradient][fggradientsrc]`,
+      `[fggradientsrc]scale=w=iw/${GRADIENT_DOWNSCALE}:h=ih/${GRADIENT_DOWNSCALE},format=gbrp,` +
+        `geq=${buildGradientExpr(options)}[bgsrc]`
+    );
+    fgLabel = 'fggradient';
+    source = 'bgsrc';
+  } else if (backgroundType === 'blur') {
+    filters.push(`[blursrc]gblur=sigma=${options.backgroundBlur}[bgsrc]`);
+    source = 'bgsrc';
+  } else {
+    // A solid color, black when there is no background
+    const color = backgroundType === 'color' ? options.backgroundColor : 'black';
+    const timeBase = options.timeBase ? `,settb=${options.timeBase}` : '';
+    filters.push(`color=c=${color}:size=2x2:rate=${options.frameRate || 25}${timeBase}[bgsrc]`);
+    source = 'bgsrc';
+  }
+
+  const fit = backgroundType === 'image' || backgroundType === 'video'
+    ? options.backgroundFit || DEFAULT_BACKGROUND_FIT
+    : 'stretch';
+  if (fit === 'stretch') {
+    // scale2ref will scale the background to match foreground dimensions
+    filters.push(`[${source}][${fgLabel}]scale2ref[bg][fg_scaled]`);
+    return filters;
+  }
+
+  // The canvas is a filled copy of the foreground, so it has the frame's size
+  // and timing; the background keeps its aspect ratio and is centered on it,
+  // and overlay crops whatever a covering background leaves outside the frame
+  const aspect = fit === 'contain' ? 'decrease' : 'increase';
+  filters.push(
+    `[${fgLabel}]split[fg_scaled][fgcanvas]`,
+    `[fgcanvas]format=yuv420p,drawbox=c=${options.letterboxColor || '0x000000'}:t=fill[canvassrc]`,
+    `[${source}][canvassrc]scale2ref=w=main_w:h=main_h:force_original_aspect_ratio=${aspect}[bgfit][canvas]`,
+    '[canvas][bgfit]overlay=x=(W-w)/2:y=(H-h)/2:shortest=1[bg]'
+  );
+  return filters;
+}
+
+function signed(value) {
+  return value < 0 ? `-${-value}` : `+${value}`;
+}
+
+/**
+ * Scale and flip filters for the keyed foreground and its overlay position.
+ * `fgScale` is relative to the frame, `fgOffsetX`/`fgOffsetY` move the centered
+ * foreground by a fraction of the frame width/height.
+ * @returns {{ filter: string|null, position: string|null }} null where the defaults apply
+ */
+function buildForegroundTransform({ fgScale = 1, fgOffsetX = 0, fgOffsetY = 0, fgFlipH = false, fgFlipV = false }) {
+  const filters = [];
+  if (fgScale !== 1) {
+    // Even sizes keep 4:2:0 chroma aligned
+    filters.push(`scale=w=trunc(iw*${fgScale}/2)*2:h=trunc(ih*${fgScale}/2)*2`);
+  }
+  if (fgFlipH) {
+    filters.push('hflip');
+  }
+  if (fgFlipV) {
+    filters.push('vflip');
+  }
+  const moved = fgScale !== 1 || fgOffsetX !== 0 || fgOffsetY !== 0;
+  return {
+    filter: filters.length > 0 ? filters.join(',') : null,
+    position: moved ? `x=(W-w)/2${signed(fgOffsetX)}*W:y=(H-h)/2${signed(fgOffsetY)}*H` : null
+  };
+}
+
+/**
+ * Overlays the transformed foreground `[${fgLabel}]` on `[${bgLabel}]`,
+ * producing `[${label}]`.
+ */
+function buildPlacementFilters(fgLabel, bgLabel, label, options, overlayOptions = 'shortest=1') {
+  const transform = buildForegroundTransform(options);
+  const filters = [];
+  let placed = fgLabel;
+  if (transform.filter) {
+    placed = `${fgLabel}_placed`;
+    filters.push(`[${fgLabel}]${transform.filter}[${placed}]`);
+  }
+  const position = transform.position ? `${transform.position}:` : '';
+  filters.push(`[${bgLabel}][${placed}]overlay=${position}${overlayOptions}[${label}]`);
+  return filters;
+}
+
+/**
+ * Scale of a layer relative to its own size: fitted inside the main clip's
+ * frame (`frameWidth` x `frameHeight`), then scaled by the layer's `fgScale`.
+ * Without probed sizes the layer is scaled from its own size.
+ */
+function layerScale(layer, { frameWidth, frameHeight }) {
+  if (!frameWidth || !frameHeight || !layer.sourceWidth || !layer.sourceHeight) {
+    return layer.fgScale;
+  }
+  const fit = Math.min(frameWidth / layer.sourceWidth, frameHeight / layer.sourceHeight);
+  return Number((fit * layer.fgScale).toFixed(6));
+}
+
+/**
+ * Keys a layer clip on the main clip's frame rate and timeline: the layer
+ * appears `startOffset` seconds into the main clip. A trim start that falls
+ * after the offset seeks the layer input instead (see buildFilterGraph).
+ * Produces `[layer${number}]`.
+ */
+function buildLayerFilters(layer, number, inputIndex, options) {
+  const delay = Math.max(0, layer.startOffset - (options.start || 0));
+  const prefix = `layer${number}`;
+  return [
+    `[${inputIndex}:v]${buildTimingFilter(options)},setpts=PTS-STARTPTS+${formatSeconds(delay)}/TB[${prefix}src]`,
+    // Keyframes and garbage mattes belong to the main clip
+    ...buildForegroundFilters({ ...layer, keyframes: [] }, { source: `${prefix}src`, label: prefix, prefix })
+  ];
+}
+
+/**
+ * Overlays the transformed foreground `[${fgLabel}]` and the keyed layers on
+ * `[${bgLabel}]` in z-order, producing `[${label}]`. The main clip is at z 0,
+ * below layers with the same z, and sets the output's length; a layer
+ * disappears once its clip ends.
+ * @param {Array<Object>} layers - Layer options, each with its `label`
+ * @param {string} [overlayFormat] - overlay's pixel format option, e.g. 'auto' to keep alpha
+ */
+function buildStackFilters(fgLabel, bgLabel, label, options, layers = [], overlayFormat = null) {
+  const format = overlayFormat ? `format=${overlayFormat}:` : '';
+  const stack = [
+    { label: fgLabel, options, zIndex: 0, overlayOptions: `${format}shortest=1` },
+    ...layers.map(layer => ({
+      label: layer.label,
+      options: { ...layer, fgScale: layerScale(layer, options) },
+      zIndex: layer.zIndex,
+      overlayOptions: `${format}eof_action=pass`
+    }))
+  ].sort((a, b) => a.zIndex - b.zIndex);
+
+  const filters = [];
+  let below = bgLabel;
+  stack.forEach((entry, index) => {
+    const stacked = index === stack.length - 1 ? label : `stack${index + 1}`;
+    filters.push(...buildPlacementFilters(entry.label, below, stacked, entry.options, entry.overlayOptions));
+    below = stacked;
+  });
+  return filters;
+}
+
+/**
+ * Overlays the keyed foreground and layers on the background (or black).
+ * Consumes `[${fgLabel}]` and produces `[${label}]`.
+ */
+function buildCompositeFilters(backgroundType, fgLabel, label, options = {}, layers = []) {
+  return [
+    ...buildBackgroundFilters(backgroundType, fgLabel, options),
+    // Overlay the scaled foreground on the background
+    // shortest=1 ensures output stops when shortest input ends
+    ...buildStackFilters('fg_scaled', 'bg', label, options, layers)
+  ];
+}
+
+/**
+ * Places the keyed foreground and layers on a transparent canvas of the
+ * frame's size, for transparent output with a foreground transform or layers.
+ * Consumes `[${fgLabel}]` and produces `[${label}]`.
+ */
+function buildTransparentPlacementFilters(fgLabel, label, options, layers = []) {
+  return [
+    `[${fgLabel}]split[fgplace][fgcanvas]`,
+    '[fgcanvas]format=rgba,colorchannelmixer=aa=0[canvas]',
+    ...buildStackFilters('fgplace', 'canvas', label, options, layers, 'auto')
+  ];
+}
+
+// Light/dark 16px squares, the same grays as the live preview's checkerboard
+const CHECKERBOARD_EXPR = "lum='if(mod(floor(X/16)+floor(Y/16),2),153,204)':cb=128:cr=128";
+
+/**
+ * Overlays the keyed foreground on a transparency checkerboard. The board is
+ * drawn with geq on a copy of the foreground so size and timing always match.
+ * Consumes `[${fgLabel}]` and produces `[${label}]`.
+ */
+function buildCheckerboardFilters(fgLabel, label) {
+  return [
+    `[${fgLabel}]split[${fgLabel}over][${fgLabel}board]`,
+    `[${fgLabel}board]format=yuv420p,geq=${CHECKERBOARD_EXPR}[${fgLabel}checker]`,
+    `[${fgLabel}checker][${fgLabel}over]overlay=shortest=1[${label}]`
+  ];
+}
+
+/**
+ * Builds the debug views of the keyed foreground `[fg]`, producing `[label]`:
+ * - matte: the alpha channel as black/white video
+ * - checkerboard: the foreground over a transparency checkerboard
+ * - split: original | matte | result side by side, where the result uses the
+ *   background if there is one and the checkerboard otherwise
+ */
+function buildDebugFilters(outputMode, backgroundType, label = 'out', options = {}) {
+  if (outputMode === 'matte') {
+    return [`[fg]alphaextract,format=yuv420p[${label}]`];
+  }
+  if (outputMode === 'checkerboard') {
+    return buildCheckerboardFilters('fg', label);
+  }
+  // hstack needs matching pixel formats, so every panel is converted to yuv420p
+  return [
+    '[fg]split[fgresult][fgmatte]',
+    '[fgmatte]alphaextract,format=yuv420p[matteview]',
+    ...(backgroundType
+      ? buildCompositeFilters(backgroundType, 'fgresult', 'result', options)
+      : buildCheckerboardFilters('fgresult', 'result')),
+    '[result]format=yuv420p[resultview]',
+    '[original]format=yuv420p[originalview]',
+    `[originalview][matteview][resultview]hstack=inputs=3[${label}]`
+  ];
+}
+
+/**
+ * Seconds as an FFmpeg time option, to the millisecond.
+ */
+function formatSeconds(seconds) {
+  return String(Math.round(seconds * 1000) / 1000);
+}
+
+/**
+ * Where a background video starts when the foreground is trimmed, so a trimmed
+ * job shows the same stretch of background as the full one. Looped backgrounds
+ * wrap around; frozen and stopping ones are seeked no further than their last
+ * frame. Without a probed duration the background is seeked like the foreground.
+ */
+function backgroundStart({ start = 0, backgroundEnd = 'loop', backgroundDuration, backgroundFrameRate }) {
+  if (!start || !backgroundDuration) {
+    return start;
+  }
+  if (backgroundEnd === 'loop') {
+    return start % backgroundDuration;
+  }
+  const [numerator, denominator] = (backgroundFrameRate || '25/1').split('/').map(Number);
+  return Math.min(start, Math.max(0, backgroundDuration - denominator / numerator));
+}
+
+/**
+ * Builds the FFmpeg inputs, filter graph and output options for a job.
+ *
+ * @param {Object} options - The `process-video` options
+ * @param {string} options.inputPath - Foreground video or still image
+ * @param {string} options.outputPath - Output file; image sequences get a frame number pattern
+ * @param {string} [options.format] - Key of EXPORT_FORMATS, 'mp4' by default
+ * @param {string} [options.keyer] - 'chromakey' (default), 'colorkey' or 'hsvkey'
+ * @param {string} options.color - Key color as 0xRRGGBB
+ * @param {number} options.similarity - Keyer similarity
+ * @param {number} options.blend - Keyer blend
+ * @param {number} [options.hsvHue] - hsvkey hue in degrees
+ * @param {number} [options.hsvSat] - hsvkey saturation (-1 to 1)
+ * @param {number} [options.hsvVal] - hsvkey value (-1 to 1)
+ * @param {boolean} [options.despill] - Enables spill suppression
+ * @param {string} [options.despillType] - 'green' or 'blue'
+ * @param {number} [options.despillMix] - despill mix (0-1)
+ * @param {number} [options.despillExpand] - despill expand (0-1)
+ * @param {number} [options.matteChoke] - Pixels to erode the matte by (0-10)
+ * @param {number} [options.matteExpand] - Pixels to dilate the matte by (0-10)
+ * @param {number} [options.matteFeather] - Gaussian sigma for softening the matte edge (0-10)
+ * @param {number} [options.fgExposure] - Exposure correction of the keyed foreground in stops (-2 to 2)
+ * @param {number} [options.fgContrast] - Contrast (1 = unchanged)
+ * @param {number} [options.fgSaturation] - Saturation (1 = unchanged, 0 = gray)
+ * @param {number} [options.fgTemperature] - Warmer (> 0) or cooler (< 0), -1 to 1
+ * @param {number} [options.fgTint] - More magenta (> 0) or green (< 0), -1 to 1
+ * @param {string} [options.fgLutPath] - 3D LUT (.cube) applied before the other corrections
+ * @param {Array<Object>} [options.keyframes] - Keyframed color, similarity and feather (see keyframes.js);
+ *   they replace the constant values of those settings
+ * @param {string} [options.garbageMaskPath] - Rendered garbage matte mask (see garbageMatte.js)
+ * @param {Array<Object>} [options.layers] - More keyed clips stacked with the main one in the composite,
+ *   each with `inputPath`, its own key, matte, placement and color correction options, `startOffset` (seconds into the
+ *   main clip), `zIndex` (the main clip is at 0) and the probed `sourceWidth`/`sourceHeight`.
+ *   Still image layers are held for the whole clip. Debug views show the main clip only
+ * @param {number} [options.frameWidth] - Probed foreground width, for fitting layers of another size
+ * @param {number} [options.frameHeight] - Probed foreground height
+ * @param {string} [options.backgroundPath] - Background image or video
+ * @param {string} [options.backgroundType] - 'image' or 'video' (with backgroundPath), or a generated
+ *   background: 'color', 'gradient' or 'blur'
+ * @param {string} [options.backgroundColor] - 'color' background as 0xRRGGBB
+ * @param {string} [options.gradientType] - 'linear' or 'radial'
+ * @param {string} [options.gradientStart] - Gradient start color as 0xRRGGBB
+ * @param {string} [options.gradientEnd] - Gradient end color as 0xRRGGBB
+ * @param {number} [options.gradientAngle] - Linear gradient direction in degrees
+ * @param {number} [options.backgroundBlur] - Gaussian sigma of the 'blur' background
+ * @param {string} [options.backgroundEnd] - What a background video shorter than the foreground does:
+ *   'loop' (default), 'freeze' on its last frame or 'stop' the output
+ * @param {number} [options.start] - Trim start in seconds
+ * @param {number} [options.duration] - Trim length in seconds; the clip runs to its end without one
+ * @param {number} [options.backgroundDuration] - Probed background video duration, for seeking it along with a trim
+ * @param {string} [options.backgroundFrameRate] - Probed background video frame rate
+ * @param {string} [options.frameRate] - Probed foreground frame rate, e.g. '30000/1001'
+ * @param {string} [options.timeBase] - Probed foreground timebase, e.g. '1/30000'
+ * @param {string} [options.backgroundFit] - 'stretch' (default), 'contain' or 'cover'
+ * @param {string} [options.letterboxColor] - Bar color for 'contain' as 0xRRGGBB
+ * @param {number} [options.fgScale] - Foreground scale (1 = frame size)
+ * @param {number} [options.fgOffsetX] - Horizontal offset of the foreground, as a fraction of the frame width
+ * @param {number} [options.fgOffsetY] - Vertical offset of the foreground, as a fraction of the frame height
+ * @param {boolean} [options.fgFlipH] - Mirrors the foreground horizontally
+ * @param {boolean} [options.fgFlipV] - Mirrors the foreground vertically
+ * @param {string} [options.audioMode] - 'foreground', 'background', 'mix' or 'none'
+ * @param {boolean} [options.foregroundHasAudio] - Probed audio presence of the foreground, if known
+ * @param {boolean} [options.backgroundHasAudio] - Probed audio presence of the background video, if known
+ * @param {string} [options.outputMode] - 'composite' (default), or a debug view: 'matte', 'split' or 'checkerboard'
+ * @param {Object} [options.encoder] - Encoder settings (see resolveEncoderSettings in exportFormats.js)
+ * @returns {{ inputs: Array<{ path: string, options: string[] }>, outputPath: string, filterComplex: string, maps: string[], outputOptions: string[] }}
+ */
+function buildFilterGraph(options) {
+  const { inputPath, outputPath, backgroundPath, backgroundType, audioMode, garbageMaskPath } = options;
+  const outputMode = options.outputMode || 'composite';
+  const format = options.format || 'mp4';
+  const exportFormat = EXPORT_FORMATS[format];
+  const encoder = resolveEncoderSettings(format, options.encoder);
+
+  const hasFileBackground = Boolean(backgroundPath) && (backgroundType === 'image' || backgroundType === 'video');
+  const hasBackground = hasFileBackground || GENERATED_BACKGROUNDS.includes(backgroundType);
+  // Only the plain composite without a background stays transparent, and only
+  // in formats with an alpha pixel format; the debug views are always opaque
+  const keepsAlpha = Boolean(exportFormat.alphaPixelFormat) && !hasBackground && outputMode === 'composite';
+  const hasVideoBackground = hasFileBackground && backgroundType === 'video';
+  const backgroundEnd = options.backgroundEnd || 'loop';
+  const loopsBackground = hasVideoBackground && backgroundEnd === 'loop';
+  // The video ends with the background; the audio has to as well
+  const stopsWithBackground = hasVideoBackground && backgroundEnd === 'stop';
+  const effectiveAudioMode = encoder.audioCodec
+    ? resolveAudioMode(audioMode, hasVideoBackground, options)
+    : 'none';
+
+  // Trimming seeks the inputs, so FFmpeg doesn't decode what comes before
+  const inputs = [{ path: inputPath, options: options.start ? ['-ss', formatSeconds(options.start)] : [] }];
+  if (hasFileBackground) {
+    // For images, use loop input option to repeat the image; looped videos
+    // restart for as long as the foreground runs
+    let backgroundOptions = [];
+    if (backgroundType === 'image') {
+      backgroundOptions = ['-loop', '1'];
+    } else if (loopsBackground) {
+      backgroundOptions = ['-stream_loop', '-1'];
+    }
+    const seek = hasVideoBackground ? backgroundStart(options) : 0;
+    if (seek) {
+      backgroundOptions.push('-ss', formatSeconds(seek));
+    }
+    inputs.push({ path: backgroundPath, options: backgroundOptions });
+  }
+
+  // The garbage mask is a still image, looped like a background image
+  let garbageInput = null;
+  if (garbageMaskPath) {
+    garbageInput = inputs.length;
+    inputs.push({ path: garbageMaskPath, options: ['-loop', '1'] });
+  }
+
+  // Layers only take part in the composite
+  const layers = outputMode === 'composite' ? options.layers || [] : [];
+  const layerFilters = [];
+  const stackedLayers = layers.map((layer, index) => {
+    layerFilters.push(...buildLayerFilters(layer, index + 1, inputs.length, options));
+    if (isStillImage(layer.inputPath)) {
+      // A still layer is held for as long as the main clip runs
+      inputs.push({ path: layer.inputPath, options: ['-loop', '1'] });
+    } else {
+      // A layer that started before the trim start is seeked to where the trimmed output begins
+      const seek = Math.max(0, (options.start || 0) - layer.startOffset);
+      inputs.push({ path: layer.inputPath, options: seek ? ['-ss', formatSeconds(seek)] : [] });
+    }
+    return { ...layer, label: `layer${index + 1}` };
+  });
+
+  const filters = [];
+  let source = '0:v';
+  // The split view shows the untouched source next to the matte and result,
+  // and the blurred background is made from it. The matte and checkerboard
+  // views leave the background out, so nothing is blurred for them
+  const sourceCopies = [];
+  if (outputMode === 'split') {
+    sourceCopies.push('[original]');
+  }
+  if (backgroundType === 'blur' && (outputMode === 'composite' || outputMode === 'split')) {
+    sourceCopies.push('[blursrc]');
+  }
+  if (sourceCopies.length > 0) {
+    filters.push(`[0:v]split=${sourceCopies.length + 1}[fgsrc]${sourceCopies.join('')}`);
+    source = 'fgsrc';
+  }
+
+  // Resizing and frame rate conversion apply to the finished picture
+  const encoderFilters = buildEncoderFilters(encoder);
+  const pictureLabel = encoderFilters.length > 0 ? 'picture' : 'out';
+
+  const transform = buildForegroundTransform(options);
+  if (keepsAlpha && !transform.filter && !transform.position && layers.length === 0) {
+    // The alpha channel from the keyer is kept, nothing to composite
+    filters.push(...buildForegroundFilters(options, { source, label: pictureLabel, garbageInput }));
+  } else if (keepsAlpha) {
+    filters.push(...buildForegroundFilters(options, { source, label: 'fg', garbageInput }));
+    filters.push(...buildTransparentPlacementFilters('fg', pictureLabel, options, stackedLayers));
+  } else if (outputMode !== 'composite') {
+    filters.push(...buildForegroundFilters(options, { source, label: 'fg', garbageInput }));
+    filters.push(...buildDebugFilters(outputMode, hasBackground ? backgroundType : null, pictureLabel, options));
+  } else {
+    // Opaque output: overlay on the background (black without one)
+    filters.push(...buildForegroundFilters(options, { source, label: 'fg', garbageInput }));
+    filters.push(...buildCompositeFilters(hasBackground ? backgroundType : null, 'fg', pictureLabel, options, stackedLayers));
+  }
+  filters.push(...layerFilters);
+
+  if (encoderFilters.length > 0) {
+    filters.push(`[${pictureLabel}]${encoderFilters.join(',')}[out]`);
+  }
+
+  if (effectiveAudioMode === 'mix') {
+    // Mix both audio tracks using amix filter, ending with the video: a looped
+    // background's audio never ends and a frozen one runs as long as the
+    // foreground, so the foreground's sets the length, unless the background
+    // stops the output
+    const duration = stopsWithBackground ? 'shortest' : 'first';
+    filters.push(`[0:a][1:a]amix=inputs=2:duration=${duration}:dropout_transition=2[audio_out]`);
+  }
+
+  const maps = ['-map', '[out]'];
+  if (effectiveAudioMode === 'foreground') {
+    maps.push('-map', '0:a?');
+  } else if (effectiveAudioMode === 'background') {
+    maps.push('-map', '1:a?');
+  } else if (effectiveAudioMode === 'mix') {
+    maps.push('-map', '[audio_out]');
+  }
+  // If effectiveAudioMode is 'none', don't map any audio
+
+  // Codec and pixel format come from the chosen format, never from the file extension
+  const outputOptions = buildEncoderOptions(format, encoder, keepsAlpha);
+
+  // Add additional options to ensure chromakey works correctly
+  outputOptions.push(
+    '-avoid_negative_ts', 'make_zero',
+    '-fflags', '+genpts'
+  );
+  if (loopsBackground || stopsWithBackground) {
+    // The looped background audio would otherwise run forever, and the
+    // foreground audio past the end of a stopping background
+    outputOptions.push('-shortest');
+  }
+  if (options.duration) {
+    outputOptions.push('-t', formatSeconds(options.duration));
+  }
+
+  return {
+    inputs,
+    outputPath: resolveOutputPath(outputPath, format),
+    filterComplex: filters.join(';'),
+    maps,
+    outputOptions
+  };
+}
+
+module.exports = {
+  buildFilterGraph,
+  buildKeyFilter,
+  buildColorCorrectionFilter,
+  resolveAudioMode,
+  COLOR_SHIFT,
+  colorGains
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+
+let nextSampleId = 1;
+
+/**
+ * Decodes a single frame to raw RGB24 pixels.
+ *
+ * @param {string} videoPath - Source video
+ * @param {Object} options
+ * @param {number} options.time - Timestamp in seconds
+ * @param {string[]} [options.filters] - Video filters applied before conversion (crop, scale, ...)
+ * @param {number} options.width - Output width in pixels after `filters`
+ * @param {number} options.height - Output height in pixels after `filters`
+ * @returns {Promise<{ width: number, height: number, data: Buffer }>}
+ */
+function extractFrameRgb(videoPath, { time, filters = [], width, height }) {
+  return new Promise((resolve, reject) => {
+    const tempPath = path.join(os.tmpdir(), `sample_${Date.now()}_${nextSampleId++}.raw`);
+
+    const cleanUp = () => {
+      try {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      } catch (e) {}
+    };
+
+    const command = ffmpeg(videoPath).seekInput(Math.max(0, time));
+    if (filters.length > 0) {
+      command.videoFilters(filters);
+    }
+
+    command
+      .outputOptions([
+        '-pix_fmt', 'rgb24',
+        '-frames:v', '1',
+        '-f', 'rawvideo'
+      ])
+      .output(tempPath)
+      .on('end', () => {
+        try {
+          const data = fs.readFileSync(tempPath);
+          cleanUp();
+          if (data.length < width * height * 3) {
+            reject(new Error('No frame could be decoded at this time'));
+            return;
+          }
+          resolve({ width, height, data });
+        } catch (err) {
+          cleanUp();
+          reject(err);
+        }
+      })
+      .on('error', (err) => {
+        cleanUp();
+        reject(err);
+      })
+      .run();
+  });
+}
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Averages the color of a rectangle of the original video at a timestamp.
+ *
+ * @param {string} videoPath - Source video
+ * @param {number} time - Timestamp in seconds
+ * @param {{ x: number, y: number, width: number, height: number }} region - In source pixels
+ * @returns {Promise<string>} The averaged color as #rrggbb
+ */
+async function sampleRegionColor(videoPath, time, region) {
+  const x = Math.max(0, Math.round(region.x));
+  const y = Math.max(0, Math.round(region.y));
+  const width = Math.max(1, Math.round(region.width));
+  const height = Math.max(1, Math.round(region.height));
+
+  const frame = await extractFrameRgb(videoPath, {
+    time,
+    filters: [`crop=${width}:${height}:${x}:${y}`],
+    width,
+    height
+  });
+
+  const pixelCount = width * height;
+  const sum = { r: 0, g: 0, b: 0 };
+  for (let i = 0; i < pixelCount * 3; i += 3) {
+    sum.r += frame.data[i];
+    sum.g += frame.data[i + 1];
+    sum.b += frame.data[i + 2];
+  }
+
+  return toHex({
+    r: sum.r / pixelCount,
+    g: sum.g / pixelCount,
+    b: sum.b / pixelCount
+  });
+}
+
+/**
+ * Writes a still image as a PNG in the temp folder, for showing formats the
+ * renderer can't decode (TIFF).
+ *
+ * @param {string} imagePath - Source image
+ * @returns {Promise<string>} The PNG's path
+ */
+function convertStillToPng(imagePath) {
+  return new Promise((resolve, reject) => {
+    const outputPath = path.join(os.tmpdir(), `still_${Date.now()}_${nextSampleId++}.png`);
+    ffmpeg(imagePath)
+      .outputOptions(['-frames:v', '1', '-update', '1', '-c:v', 'png'])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .run();
+  });
+}
+
+module.exports = { extractFrameRgb, sampleRegionColor, convertStillToPng, toHex };
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getVideoSize } = require('./probe');
+
+// Mask levels: the filter graph forces alpha to 0 in REMOVE regions and to
+// 255 in KEEP regions, and leaves the keyed alpha alone where the mask is NEUTRAL
+const REMOVE = 0;
+const NEUTRAL = 128;
+const KEEP = 255;
+
+let nextMaskId = 1;
+
+/**
+ * Fills a polygon into an 8-bit mask with the even-odd rule, sampling at pixel centers.
+ * @param {Buffer} mask - width * height bytes
+ * @param {Array<{ x: number, y: number }>} points - Normalized (0-1) coordinates
+ */
+function fillPolygon(mask, width, height, points, value) {
+  const vertices = points.map(point => ({ x: point.x * width, y: point.y * height }));
+
+  for (let y = 0; y < height; y++) {
+    const centerY = y + 0.5;
+    const crossings = [];
+    for (let i = 0; i < vertices.length; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % vertices.length];
+      if ((a.y <= centerY && b.y > centerY) || (b.y <= centerY && a.y > centerY)) {
+        crossings.push(a.x + ((centerY - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const end = Math.min(width, Math.ceil(crossings[i + 1] - 0.5));
+      mask.fill(value, y * width + start, y * width + end);
+    }
+  }
+}
+
+/**
+ * Renders garbage mattes into a grayscale mask. Remove regions are drawn first
+ * so a keep region wins where the two overlap.
+ *
+ * @param {Array<{ mode: string, points: Array<{ x: number, y: number }> }>} mattes
+ * @returns {Buffer} width * height bytes
+ */
+function rasterizeGarbageMattes(mattes, width, height) {
+  const mask = Buffer.alloc(width * height, NEUTRAL);
+  for (const mode of ['remove', 'keep']) {
+    for (const matte of mattes.filter(m => m.mode === mode)) {
+      fillPolygon(mask, width, height, matte.points, mode === 'keep' ? KEEP : REMOVE);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Renders the garbage mattes of a job into a temporary PGM image at the
+ * foreground's display size, ready to be used as an extra FFmpeg input.
+ *
+ * @param {Array} mattes - `garbageMattes` job option
+ * @param {string} videoPath - Foreground video, probed for its size
+ * @returns {Promise<string>} Path of the mask; the caller removes it when the job ends
+ */
+async function writeGarbageMask(mattes, videoPath) {
+  const size = await getVideoSize(videoPath);
+  if (!size) {
+    throw new Error('Could not determine the video size for the garbage mattes');
+  }
+
+  const mask = rasterizeGarbageMattes(mattes, size.width, size.height);
+  const maskPath = path.join(os.tmpdir(), `garbage_${Date.now()}_${nextMaskId++}.pgm`);
+  const header = Buffer.from(`P5\n${size.width} ${size.height}\n255\n`, 'ascii');
+  await fs.promises.writeFile(maskPath, Buffer.concat([header, mask]));
+  return maskPath;
+}
+
+module.exports = { writeGarbageMask, rasterizeGarbageMattes };
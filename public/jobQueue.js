@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const { startVideoJob, JobCancelledError } = require('./processVideo');
+
+/**
+ * Batch queue of `process-video` jobs, running up to `concurrency` FFmpeg processes at once.
+ * Emits 'update' with a snapshot of all jobs whenever a job is added, progresses or finishes.
+ */
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 2, startJob = startVideoJob } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.startJob = startJob;
+    this.jobs = [];
+    this.handles = new Map();
+    this.running = 0;
+    this.nextId = 1;
+  }
+
+  /**
+   * Queues one job per options object and starts as many as concurrency allows.
+   * @param {Object[]} optionsList - `process-video` options, one per clip
+   * @returns {string[]} The new job ids
+   */
+  add(optionsList) {
+    const ids = optionsList.map((options) => {
+      const job = {
+        id: `job-${this.nextId++}`,
+        options,
+        status: 'queued',
+        percent: 0,
+        eta: null,
+        error: null
+      };
+      this.jobs.push(job);
+      return job.id;
+    });
+    this.emitUpdate();
+    this.startNext();
+    return ids;
+  }
+
+  /**
+   * Replaces the options of a job that has not started yet.
+   */
+  update(id, options) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job || job.status !== 'queued') {
+      return false;
+    }
+    job.options = { ...job.options, ...options };
+    this.emitUpdate();
+    return true;
+  }
+
+  /**
+   * Cancels a queued or running job. Running jobs are killed and their partial output removed.
+   */
+  cancel(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) {
+      return false;
+    }
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      this.emitUpdate();
+      return true;
+    }
+    const handle = this.handles.get(id);
+    return handle ? handle.cancel() : false;
+  }
+
+  pause(id) {
+    const handle = this.handles.get(id);
+    return handle ? handle.pause() : false;
+  }
+
+  resume(id) {
+    const handle = this.handles.get(id);
+    return handle ? handle.resume() : false;
+  }
+
+  /**
+   * Removes a job that is not currently running.
+   */
+  remove(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job || this.handles.has(id)) {
+      return false;
+    }
+    this.jobs = this.jobs.filter(j => j !== job);
+    this.emitUpdate();
+    return true;
+  }
+
+  clearFinished() {
+    this.jobs = this.jobs.filter(j => j.status === 'queued' || this.handles.has(j.id));
+    this.emitUpdate();
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.startNext();
+  }
+
+  list() {
+    return this.jobs.map(({ id, options, status, percent, eta, error }) => ({
+      id,
+      inputPath: options.inputPath,
+      outputPath: options.outputPath,
+      options,
+      status,
+      percent,
+      eta,
+      error
+    }));
+  }
+
+  emitUpdate() {
+    this.emit('update', this.list());
+  }
+
+  startNext() {
+    while (this.running < this.concurrency) {
+      const job = this.jobs.find(j => j.status === 'queued');
+      if (!job) {
+        return;
+      }
+      this.run(job);
+    }
+  }
+
+  run(job) {
+    this.running++;
+    job.status = 'processing';
+    this.emitUpdate();
+
+    const handle = this.startJob(job.options, {
+      onProgress: (data) => {
+        if (data.status === 'processing' || data.status === 'paused') {
+          job.status = data.status;
+          job.percent = data.percent;
+          job.eta = data.eta;
+          this.emitUpdate();
+        }
+      }
+    });
+    this.handles.set(job.id, handle);
+
+    handle.promise
+      .then(() => {
+        job.status = 'completed';
+        job.percent = 100;
+      })
+      .catch((error) => {
+        if (error instanceof JobCancelledError) {
+          job.status = 'cancelled';
+        } else {
+          job.status = 'error';
+          job.error = error.message;
+        }
+      })
+      .finally(() => {
+        this.handles.delete(job.id);
+        this.running--;
+        this.emitUpdate();
+        this.startNext();
+      });
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,206 @@
+const { extractFrameRgb, toHex } = require('./frameSampling');
+const { getDuration } = require('./probe');
+
+// Frames are analysed at a small fixed size; only color statistics matter
+const SAMPLE_WIDTH = 160;
+const SAMPLE_HEIGHT = 120;
+const FRAME_COUNT = 5;
+
+// Outer fraction of the frame treated as background border
+const BORDER_FRACTION = 0.15;
+
+// Histogram resolution: 10° hue bins x 0.2 saturation bins
+const HUE_BINS = 36;
+const SATURATION_BINS = 5;
+
+// Pixels below these are too dull or dark to be a lit screen
+const MIN_SATURATION = 0.2;
+const MIN_VALUE = 0.15;
+
+// Hue ranges (degrees) accepted for each screen type
+const SCREEN_HUES = {
+  green: [75, 165],
+  blue: [190, 260]
+};
+
+const FALLBACK = { color: '#00ff00', screen: 'green', confidence: 0, similarity: null };
+
+function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) {
+      hue = 60 * (((g - b) / delta) % 6);
+    } else if (max === g) {
+      hue = 60 * ((b - r) / delta + 2);
+    } else {
+      hue = 60 * ((r - g) / delta + 4);
+    }
+  }
+  if (hue < 0) {
+    hue += 360;
+  }
+
+  return { h: hue, s: max === 0 ? 0 : delta / max, v: max / 255 };
+}
+
+// CCIR 601 chroma, the space FFmpeg's chromakey measures distance in
+function toChroma(r, g, b) {
+  return {
+    u: ((-0.16874 * r - 0.33126 * g + 0.5 * b) * 224) / 255 + 128,
+    v: ((0.5 * r - 0.41869 * g - 0.08131 * b) * 224) / 255 + 128
+  };
+}
+
+function screenForHue(hue) {
+  return Object.keys(SCREEN_HUES).find((screen) => {
+    const [min, max] = SCREEN_HUES[screen];
+    return hue >= min && hue <= max;
+  });
+}
+
+function isBorderPixel(x, y, width, height) {
+  const borderX = Math.round(width * BORDER_FRACTION);
+  const borderY = Math.round(height * BORDER_FRACTION);
+  return x < borderX || x >= width - borderX || y < borderY || y >= height - borderY;
+}
+
+/**
+ * Finds the dominant screen color in the border regions of a set of frames.
+ * Builds a hue/saturation histogram of saturated border pixels, takes the
+ * strongest green or blue cell (plus its neighbours) as the screen cluster,
+ * and derives the key color, a confidence and a chromakey similarity from it.
+ *
+ * @param {Array<{ width: number, height: number, data: Buffer }>} frames - RGB24 frames
+ * @returns {{ color: string, screen: string, confidence: number, similarity: number|null }}
+ */
+function analyzeFrames(frames) {
+  const histogram = new Array(HUE_BINS * SATURATION_BINS).fill(0);
+  const pixels = [];
+  let borderCount = 0;
+
+  for (const frame of frames) {
+    for (let y = 0; y < frame.height; y++) {
+      for (let x = 0; x < frame.width; x++) {
+        if (!isBorderPixel(x, y, frame.width, frame.height)) {
+          continue;
+        }
+        borderCount++;
+
+        const offset = (y * frame.width + x) * 3;
+        const r = frame.data[offset];
+        const g = frame.data[offset + 1];
+        const b = frame.data[offset + 2];
+        const hsv = rgbToHsv(r, g, b);
+        if (hsv.s < MIN_SATURATION || hsv.v < MIN_VALUE || !screenForHue(hsv.h)) {
+          continue;
+        }
+
+        const hueBin = Math.min(HUE_BINS - 1, Math.floor(hsv.h / (360 / HUE_BINS)));
+        const satBin = Math.min(SATURATION_BINS - 1, Math.floor(hsv.s * SATURATION_BINS));
+        histogram[hueBin * SATURATION_BINS + satBin]++;
+        pixels.push({ r, g, b, hueBin, satBin });
+      }
+    }
+  }
+
+  if (pixels.length === 0 || borderCount === 0) {
+    return FALLBACK;
+  }
+
+  // Peak cell of the histogram
+  let peak = 0;
+  for (let i = 1; i < histogram.length; i++) {
+    if (histogram[i] > histogram[peak]) {
+      peak = i;
+    }
+  }
+  const peakHue = Math.floor(peak / SATURATION_BINS);
+  const peakSat = peak % SATURATION_BINS;
+
+  // The screen cluster is the peak cell and its direct neighbours
+  const cluster = pixels.filter(p =>
+    Math.abs(p.hueBin - peakHue) <= 1 && Math.abs(p.satBin - peakSat) <= 1
+  );
+
+  const mean = cluster.reduce((sum, p) => ({
+    r: sum.r + p.r,
+    g: sum.g + p.g,
+    b: sum.b + p.b
+  }), { r: 0, g: 0, b: 0 });
+  mean.r /= cluster.length;
+  mean.g /= cluster.length;
+  mean.b /= cluster.length;
+
+  // Suggested similarity: cover the chroma spread of 95% of the screen pixels,
+  // using the same normalised distance as chromakey
+  const meanChroma = toChroma(mean.r, mean.g, mean.b);
+  const distances = cluster.map((p) => {
+    const chroma = toChroma(p.r, p.g, p.b);
+    const du = chroma.u - meanChroma.u;
+    const dv = chroma.v - meanChroma.v;
+    return Math.sqrt((du * du + dv * dv) / (255 * 255 * 2));
+  }).sort((a, b) => a - b);
+  const spread = distances[Math.floor((distances.length - 1) * 0.95)];
+  const similarity = Math.min(0.4, Math.max(0.01, spread * 1.5 + 0.02));
+
+  const screen = screenForHue((peakHue + 0.5) * (360 / HUE_BINS)) || 'green';
+
+  return {
+    color: toHex(mean),
+    screen,
+    confidence: Math.round((cluster.length / borderCount) * 100) / 100,
+    similarity: Math.round(similarity * 1000) / 1000
+  };
+}
+
+/**
+ * Picks timestamps spread across the clip, avoiding the very first and last frames.
+ */
+function getSampleTimes(duration) {
+  if (!duration) {
+    return [0];
+  }
+  const times = [];
+  for (let i = 0; i < FRAME_COUNT; i++) {
+    times.push((duration * (i + 0.5)) / FRAME_COUNT);
+  }
+  return times;
+}
+
+/**
+ * Detects the key color of a green or blue screen clip.
+ * Falls back to pure green with zero confidence when nothing screen-like is found.
+ *
+ * @param {string} videoPath - Source video
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.logError] - Logs frames that could not be read, defaults to console.error
+ * @returns {Promise<{ color: string, screen: string, confidence: number, similarity: number|null }>}
+ */
+async function detectKeyColor(videoPath, { logError = console.error } = {}) {
+  const duration = await getDuration(videoPath);
+  const frames = [];
+
+  for (const time of getSampleTimes(duration)) {
+    try {
+      frames.push(await extractFrameRgb(videoPath, {
+        time,
+        filters: [`scale=${SAMPLE_WIDTH}:${SAMPLE_HEIGHT}`],
+        width: SAMPLE_WIDTH,
+        height: SAMPLE_HEIGHT
+      }));
+    } catch (error) {
+      logError(`Error extracting frame at ${time}s:`, error.message);
+    }
+  }
+
+  if (frames.length === 0) {
+    return FALLBACK;
+  }
+  return analyzeFrames(frames);
+}
+
+module.exports = { detectKeyColor, analyzeFrames, toChroma };
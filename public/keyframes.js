@@ -0,0 +1,186 @@
+/**
+ * Keyframed key settings. A keyframe holds the key color, similarity and
+ * feather at a time in the clip; on the way to the next keyframe the values
+ * follow the keyframe's interpolation, 'linear' or 'hold'. Before the first and
+ * after the last keyframe the nearest keyframe's values apply.
+ *
+ * The export changes the settings over time with FFmpeg's sendcmd, which sends
+ * commands to the named keyer and feather filters while frames pass.
+ */
+
+const KEYFRAME_INTERPOLATIONS = ['linear', 'hold'];
+
+// Key colors are stepped rather than interpolated per frame, since filter
+// commands can't compute a color; a few steps per second look continuous
+const COLOR_STEPS_PER_SECOND = 4;
+const MAX_COLOR_STEPS = 24;
+
+// Keyers that take a key color (hsvkey keys on hue/saturation/value instead)
+const COLOR_KEYERS = ['chromakey', 'colorkey'];
+
+function formatNumber(value) {
+  return String(Math.round(value * 1e6) / 1e6);
+}
+
+function parseColor(color) {
+  const value = parseInt(color.replace(/^0x/i, ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Blends two 0xRRGGBB colors; `amount` 0 gives `from`, 1 gives `to`.
+ */
+function mixColor(from, to, amount) {
+  const a = parseColor(from);
+  const b = parseColor(to);
+  const mixed = a.map((channel, i) => Math.round(channel + (b[i] - channel) * amount));
+  return `0x${mixed.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * How many color steps a linear stretch of `span` seconds gets.
+ */
+function colorSteps(span) {
+  return Math.min(MAX_COLOR_STEPS, Math.max(1, Math.ceil(span * COLOR_STEPS_PER_SECOND)));
+}
+
+/**
+ * The keyframes as the export renders them: spans of clip time with one key
+ * color, over which similarity and feather change linearly from the first to
+ * the second value. Linear stretches are cut into one span per color step
+ * (see buildKeyframeCommands). The first span also applies before its start;
+ * the last one has no end.
+ *
+ * The live preview gets the spans over IPC, so it changes the key the same
+ * way the export does.
+ *
+ * @param {Array<Object>} keyframes - Sorted by time
+ * @returns {Array<{ start: number, end: number|null, color: string, similarity: number[], matteFeather: number[] }>}
+ */
+function keyframeSpans(keyframes) {
+  const spans = [];
+  keyframes.forEach((from, index) => {
+    const to = keyframes[index + 1];
+    if (!to || from.interpolation === 'hold') {
+      spans.push({
+        start: from.time,
+        end: to ? to.time : null,
+        color: from.color,
+        similarity: [from.similarity, from.similarity],
+        matteFeather: [from.matteFeather, from.matteFeather]
+      });
+      return;
+    }
+    // Step times are computed as in buildKeyframeCommands, so they match exactly
+    const span = to.time - from.time;
+    const steps = colorSteps(span);
+    const valueAt = (name, step) => from[name] + (to[name] - from[name]) * step / steps;
+    for (let step = 0; step < steps; step++) {
+      spans.push({
+        start: step === 0 ? from.time : from.time + span * step / steps,
+        end: step + 1 === steps ? to.time : from.time + span * (step + 1) / steps,
+        color: mixColor(from.color, to.color, step / steps),
+        similarity: [valueAt('similarity', step), valueAt('similarity', step + 1)],
+        matteFeather: [valueAt('matteFeather', step), valueAt('matteFeather', step + 1)]
+      });
+    }
+  });
+  return spans;
+}
+
+/**
+ * Key settings at a time in the clip, from the spans of keyframeSpans.
+ * @returns {{ color: string, similarity: number, matteFeather: number }}
+ */
+function keyframeValuesAt(spans, time) {
+  const span = spans.find(candidate => candidate.end === null || time < candidate.end) || spans[spans.length - 1];
+  const amount = span.end === null ? 0 : Math.min(1, Math.max(0, (time - span.start) / (span.end - span.start)));
+  const lerp = ([from, to]) => from + (to - from) * amount;
+  return { color: span.color, similarity: lerp(span.similarity), matteFeather: lerp(span.matteFeather) };
+}
+
+/**
+ * Whether the keyframes change the feather, which needs a blur filter in the
+ * graph even when the feather starts at 0.
+ */
+function animatesFeather(keyframes) {
+  return keyframes.some(keyframe => keyframe.matteFeather > 0);
+}
+
+/**
+ * Builds the sendcmd command list for the keyframes. Each keyframe sets its
+ * values exactly on its frame; linear stretches in between interpolate the
+ * numbers on every frame with an expression, and step the color.
+ *
+ * @param {Array<Object>} keyframes - Sorted by time, in clip time
+ * @param {Object} target
+ * @param {string} target.keyer - Keyer filter name, addressed as `<keyer>@key`
+ * @param {boolean} target.feather - Whether the graph has the `gblur@feather` filter
+ * @param {number} [target.offset] - Trim start; the output's timestamps start at 0 there
+ * @returns {string} The value for sendcmd's `c` option
+ */
+function buildKeyframeCommands(keyframes, { keyer, feather, offset = 0 }) {
+  const keyTarget = `${keyer}@key`;
+  const keysColor = COLOR_KEYERS.includes(keyer);
+  const commands = [];
+  // Intervals starting before the output can't be expressed; keyframes there
+  // are already in the filters' initial values, and ramps start at 0
+  const at = (time) => formatNumber(Math.max(0, time - offset));
+
+  const setValues = (time, values) => {
+    const sets = [`${keyTarget} similarity ${formatNumber(values.similarity)}`];
+    if (keysColor) {
+      sets.push(`${keyTarget} color ${values.color}`);
+    }
+    if (feather) {
+      sets.push(`gblur@feather sigma ${formatNumber(values.matteFeather)}`);
+    }
+    commands.push(`${at(time)} [enter] ${sets.join(', ')}`);
+  };
+
+  keyframes.forEach((from, index) => {
+    const to = keyframes[index + 1];
+    if ((to ? to.time : from.time) - offset < 0) {
+      return;
+    }
+    if (from.time - offset >= 0) {
+      setValues(from.time, from);
+    }
+    if (!to || from.interpolation === 'hold') {
+      return;
+    }
+
+    // Linear: T is the frame time, shifted back into clip time for the expression
+    const start = from.time - offset;
+    const span = to.time - from.time;
+    const ramp = (name, param, a, b) => {
+      commands.push(`${at(from.time)}-${at(to.time)} [expr] ${name} ${param} ` +
+        `${formatNumber(a)}+(${formatNumber(b - a)})*(T-(${formatNumber(start)}))/${formatNumber(span)}`);
+    };
+    if (to.similarity !== from.similarity) {
+      ramp(keyTarget, 'similarity', from.similarity, to.similarity);
+    }
+    if (feather && to.matteFeather !== from.matteFeather) {
+      ramp('gblur@feather', 'sigma', from.matteFeather, to.matteFeather);
+    }
+    if (keysColor && to.color.toLowerCase() !== from.color.toLowerCase()) {
+      const steps = colorSteps(span);
+      for (let step = 1; step < steps; step++) {
+        const time = from.time + span * step / steps;
+        if (time - offset > 0) {
+          commands.push(`${at(time)} [enter] ${keyTarget} color ${mixColor(from.color, to.color, step / steps)}`);
+        }
+      }
+    }
+  });
+
+  return commands.join(';');
+}
+
+module.exports = {
+  KEYFRAME_INTERPOLATIONS,
+  keyframeSpans,
+  keyframeValuesAt,
+  animatesFeather,
+  buildKeyframeCommands
+};
@@ -0,0 +1,152 @@
+const { extractFrameRgb } = require('./frameSampling');
+const { toChroma } = require('./keyColorDetection');
+const { COLOR_SHIFT } = require('./filterGraph');
+
+/**
+ * Light matching: estimates the exposure, temperature and tint corrections
+ * that move a keyed subject's average color toward the background's, so a
+ * subject lit for the studio sits better in the new scene.
+ */
+
+// Frames are analysed at a small fixed size; only averages matter
+const SAMPLE_WIDTH = 160;
+const SAMPLE_HEIGHT = 120;
+
+// Only part of the difference is corrected: the subject should pick up the
+// scene's light, not take on its colors
+const MATCH_STRENGTH = 0.5;
+
+// Temperature and tint come out in the -1 to 1 range of the `fgTemperature`/`fgTint` options
+const MAX_EXPOSURE = 2;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function luma({ r, g, b }) {
+  // At least 1, so black frames don't divide by zero
+  return Math.max(1, 0.2126 * r + 0.7152 * g + 0.0722 * b);
+}
+
+function parseColor(color) {
+  const value = parseInt(color.replace(/^(0x|#)/i, ''), 16);
+  return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+}
+
+/**
+ * Averages a frame's color. With a key color, pixels the keyer would remove
+ * (within `similarity` in chromakey's chroma distance) are left out.
+ * @returns {{ r: number, g: number, b: number }|null} null when every pixel is keyed out
+ */
+function averageFrame(frame, keyColor = null, similarity = 0) {
+  const key = keyColor ? parseColor(keyColor) : null;
+  const keyChroma = key ? toChroma(key.r, key.g, key.b) : null;
+  const sum = { r: 0, g: 0, b: 0 };
+  let count = 0;
+  for (let i = 0; i < frame.width * frame.height * 3; i += 3) {
+    const r = frame.data[i];
+    const g = frame.data[i + 1];
+    const b = frame.data[i + 2];
+    if (keyChroma) {
+      const chroma = toChroma(r, g, b);
+      const du = chroma.u - keyChroma.u;
+      const dv = chroma.v - keyChroma.v;
+      if (Math.sqrt((du * du + dv * dv) / (255 * 255 * 2)) < similarity) {
+        continue;
+      }
+    }
+    sum.r += r;
+    sum.g += g;
+    sum.b += b;
+    count++;
+  }
+  return count > 0 ? { r: sum.r / count, g: sum.g / count, b: sum.b / count } : null;
+}
+
+/**
+ * Corrections that move the subject's average color part of the way toward
+ * the background's: exposure from the brightness difference, temperature
+ * and tint from the difference in color cast.
+ * @param {{ r: number, g: number, b: number }} subject - Average subject color (0-255)
+ * @param {{ r: number, g: number, b: number }} background - Average background color (0-255)
+ * @returns {{ fgExposure: number, fgTemperature: number, fgTint: number }} In `process-video` units
+ */
+function matchLighting(subject, background, strength = MATCH_STRENGTH) {
+  const exposure = Math.log2(luma(background) / luma(subject)) * strength;
+
+  // Each channel relative to brightness is the color cast
+  const ratio = (channel) => Math.pow(
+    (Math.max(1, background[channel]) / luma(background)) / (Math.max(1, subject[channel]) / luma(subject)),
+    strength
+  );
+  const red = ratio('r');
+  const green = ratio('g');
+  const blue = ratio('b');
+  // Temperature scales red by 1 + shift * t and blue by 1 - shift * t
+  const warmth = red / blue;
+  const temperature = (warmth - 1) / (warmth + 1) / COLOR_SHIFT;
+  // Tint scales green against the red/blue balance by 1 - shift * tint
+  const tint = (1 - green / Math.sqrt(red * blue)) / COLOR_SHIFT;
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    fgExposure: round(clamp(exposure, -MAX_EXPOSURE, MAX_EXPOSURE)),
+    fgTemperature: round(clamp(temperature, -1, 1)),
+    fgTint: round(clamp(tint, -1, 1))
+  };
+}
+
+function sampleFrame(filePath, time) {
+  return extractFrameRgb(filePath, {
+    time,
+    filters: [`scale=${SAMPLE_WIDTH}:${SAMPLE_HEIGHT}`],
+    width: SAMPLE_WIDTH,
+    height: SAMPLE_HEIGHT
+  });
+}
+
+/**
+ * Estimates light-matching corrections for a keyed clip at a time in it.
+ *
+ * @param {Object} options - `process-video` style options
+ * @param {string} options.inputPath - The keyed clip
+ * @param {number} [options.time] - Seconds into the clip
+ * @param {string} options.color - Key color as 0xRRGGBB, to leave the screen out of the subject's average
+ * @param {number} options.similarity - Keyer similarity
+ * @param {string} [options.backgroundPath] - Background image or video
+ * @param {string} options.backgroundType - 'image', 'video', 'color', 'gradient' or 'blur'
+ * @param {string} [options.backgroundColor] - 'color' background
+ * @param {string} [options.gradientStart] - Gradient start color
+ * @param {string} [options.gradientEnd] - Gradient end color
+ * @returns {Promise<{ fgExposure: number, fgTemperature: number, fgTint: number }>}
+ */
+async function estimateLightMatch(options) {
+  const { inputPath, time = 0, color, similarity, backgroundPath, backgroundType } = options;
+  const frame = await sampleFrame(inputPath, time);
+  const subject = averageFrame(frame, color, similarity);
+  if (!subject) {
+    throw new Error('The whole frame is keyed out, there is no subject to match');
+  }
+
+  let background;
+  if (backgroundPath && (backgroundType === 'image' || backgroundType === 'video')) {
+    // A background video shorter than the clip is sampled at its start
+    const backgroundFrame = await sampleFrame(backgroundPath, backgroundType === 'video' ? time : 0)
+      .catch(() => sampleFrame(backgroundPath, 0));
+    background = averageFrame(backgroundFrame);
+  } else if (backgroundType === 'color') {
+    background = parseColor(options.backgroundColor);
+  } else if (backgroundType === 'gradient') {
+    const start = parseColor(options.gradientStart);
+    const end = parseColor(options.gradientEnd);
+    background = { r: (start.r + end.r) / 2, g: (start.g + end.g) / 2, b: (start.b + end.b) / 2 };
+  } else if (backgroundType === 'blur') {
+    // The blurred original: the whole frame, screen included
+    background = averageFrame(frame);
+  } else {
+    throw new Error('Light matching needs a background');
+  }
+  return matchLighting(subject, background);
+}
+
+module.exports = { estimateLightMatch, matchLighting, averageFrame };
@@ -2,16 +2,60 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   selectVideoFile: () => ipcRenderer.invoke('select-video-file'),
+  selectVideoFiles: () => ipcRenderer.invoke('select-video-files'),
+  selectVideoFolder: () => ipcRenderer.invoke('select-video-folder'),
+  selectOutputFolder: () => ipcRenderer.invoke('select-output-folder'),
   selectImageFile: () => ipcRenderer.invoke('select-image-file'),
-  saveVideoFile: () => ipcRenderer.invoke('save-video-file'),
+  selectLutFile: () => ipcRenderer.invoke('select-lut-file'),
+  saveVideoFile: (format) => ipcRenderer.invoke('save-video-file', format),
+  // Export formats and encoder defaults from public/exportFormats.js, read once
+  exportFormats: ipcRenderer.sendSync('get-export-formats'),
+  // Defaults from public/validateOptions.js for settings the UI starts from
+  processDefaults: ipcRenderer.sendSync('get-process-defaults'),
+  adaptEncoderSettings: (format, encoder) => ipcRenderer.invoke('adapt-encoder-settings', format, encoder),
   processVideo: (options) => ipcRenderer.invoke('process-video', options),
+  cancelProcessing: (jobId) => ipcRenderer.invoke('cancel-processing', jobId),
+  pauseProcessing: (jobId) => ipcRenderer.invoke('pause-processing', jobId),
+  resumeProcessing: (jobId) => ipcRenderer.invoke('resume-processing', jobId),
+  // Pausing relies on SIGSTOP/SIGCONT, which Windows doesn't have
+  pauseSupported: process.platform !== 'win32',
   getVideoUrl: (filePath) => ipcRenderer.invoke('get-video-url', filePath),
-  getTempVideoPath: () => ipcRenderer.invoke('get-temp-video-path'),
-  detectGreenColor: (videoPath) => ipcRenderer.invoke('detect-green-color', videoPath),
+  getStillUrl: (filePath, role) => ipcRenderer.invoke('get-still-url', filePath, role),
+  getTempVideoPath: (extension) => ipcRenderer.invoke('get-temp-video-path', extension),
+  detectKeyColor: (videoPath) => ipcRenderer.invoke('detect-key-color', videoPath),
+  probeMedia: (filePath) => ipcRenderer.invoke('probe-media', filePath),
+  sampleColor: (videoPath, time, region) => ipcRenderer.invoke('sample-color', videoPath, time, region),
+  matchLighting: (options) => ipcRenderer.invoke('match-lighting', options),
+  // Channel gains of a color correction, from colorGains in public/filterGraph.js
+  colorGains: (correction) => ipcRenderer.sendSync('get-color-gains', correction),
+  // Keyframes as the export renders them, from keyframeSpans in public/keyframes.js
+  keyframeSpans: (keyframes) => ipcRenderer.sendSync('get-keyframe-spans', keyframes),
   onProcessProgress: (callback) => {
     ipcRenderer.on('process-progress', (event, data) => callback(data));
   },
   removeProcessProgressListener: () => {
     ipcRenderer.removeAllListeners('process-progress');
+  },
+  saveProject: (project, projectPath) => ipcRenderer.invoke('save-project', project, projectPath),
+  openProject: (projectPath) => ipcRenderer.invoke('open-project', projectPath),
+  getRecentProjects: () => ipcRenderer.invoke('get-recent-projects'),
+  relinkMedia: (missing, role) => ipcRenderer.invoke('relink-media', missing, role),
+  getPresets: () => ipcRenderer.invoke('get-presets'),
+  savePreset: (name, options) => ipcRenderer.invoke('save-preset', name, options),
+  renamePreset: (name, newName) => ipcRenderer.invoke('rename-preset', name, newName),
+  deletePreset: (name) => ipcRenderer.invoke('delete-preset', name),
+  exportPresets: (names) => ipcRenderer.invoke('export-presets', names),
+  importPresets: () => ipcRenderer.invoke('import-presets'),
+  addToQueue: (jobs) => ipcRenderer.invoke('queue-add', jobs),
+  updateQueueJob: (jobId, options) => ipcRenderer.invoke('queue-update-job', jobId, options),
+  removeFromQueue: (jobId) => ipcRenderer.invoke('queue-remove', jobId),
+  clearFinishedJobs: () => ipcRenderer.invoke('queue-clear-finished'),
+  setQueueConcurrency: (concurrency) => ipcRenderer.invoke('queue-set-concurrency', concurrency),
+  getQueue: () => ipcRenderer.invoke('queue-list'),
+  onQueueUpdate: (callback) => {
+    ipcRenderer.on('queue-update', (event, jobs) => callback(jobs));
+  },
+  removeQueueUpdateListener: () => {
+    ipcRenderer.removeAllListeners('queue-update');
   }
 });
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const { validateProcessOptions } = require('./validateOptions');
+
+/**
+ * User presets: named sets of `process-video` key, matte, color, background and audio
+ * options, kept in the app's userData folder so a stage's tuned settings can
+ * be reapplied on the next shoot. Presets hold options in `process-video`
+ * units and are validated like a job's options before they are stored.
+ */
+
+const PRESETS_FILE = 'presets.json';
+const PRESETS_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+
+// The `process-video` options a preset covers
+const PRESET_OPTIONS = [
+  // Key
+  'keyer', 'color', 'similarity', 'blend', 'hsvHue', 'hsvSat', 'hsvVal',
+  'despill', 'despillType', 'despillMix', 'despillExpand',
+  // Matte
+  'matteChoke', 'matteExpand', 'matteFeather',
+  // Background; only generated backgrounds, a file belongs to the shot
+  'backgroundType', 'backgroundColor', 'gradientType', 'gradientStart', 'gradientEnd', 'gradientAngle',
+  'backgroundBlur', 'backgroundEnd', 'backgroundFit', 'letterboxColor',
+  'fgScale', 'fgOffsetX', 'fgOffsetY', 'fgFlipH', 'fgFlipV',
+  // Color correction; a LUT file stays with the shot like a background file
+  'fgExposure', 'fgContrast', 'fgSaturation', 'fgTemperature', 'fgTint',
+  // Audio
+  'audioMode'
+];
+
+function checkName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('A preset needs a name');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new Error(`Preset names can be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+}
+
+/**
+ * Validates preset options and keeps only the ones a preset covers.
+ * @param {Object} options - `process-video` options; others are dropped
+ * @returns {Object}
+ */
+function toPresetOptions(options) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('Preset options must be an object');
+  }
+  const picked = {};
+  for (const name of PRESET_OPTIONS) {
+    if (options[name] !== undefined) {
+      picked[name] = options[name];
+    }
+  }
+  if (picked.backgroundType === 'image' || picked.backgroundType === 'video') {
+    delete picked.backgroundType;
+  }
+  // Validated as a job would be; the paths only satisfy the required check
+  validateProcessOptions({ ...picked, inputPath: 'preset', outputPath: 'preset' });
+  return picked;
+}
+
+function presetsPath(userDataDir) {
+  return path.join(userDataDir, PRESETS_FILE);
+}
+
+/**
+ * The saved presets, in the order they were created.
+ * @returns {Array<{ name: string, options: Object }>}
+ */
+function loadPresets(userDataDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(presetsPath(userDataDir), 'utf8'));
+    return Array.isArray(data.presets) ? data.presets : [];
+  } catch (error) {
+    // No presets yet, or an unreadable file
+    return [];
+  }
+}
+
+function storePresets(userDataDir, presets) {
+  fs.mkdirSync(userDataDir, { recursive: true });
+  fs.writeFileSync(presetsPath(userDataDir), JSON.stringify({ version: PRESETS_VERSION, presets }, null, 2));
+  return presets;
+}
+
+/**
+ * Saves a preset, replacing one with the same name.
+ * @returns {Array<Object>} The updated presets
+ */
+function savePreset(userDataDir, name, options) {
+  const preset = { name: checkName(name), options: toPresetOptions(options) };
+  const presets = loadPresets(userDataDir);
+  const index = presets.findIndex(existing => existing.name === preset.name);
+  if (index === -1) {
+    presets.push(preset);
+  } else {
+    presets[index] = preset;
+  }
+  return storePresets(userDataDir, presets);
+}
+
+/**
+ * @returns {Array<Object>} The updated presets
+ */
+function renamePreset(userDataDir, name, newName) {
+  const trimmed = checkName(newName);
+  const presets = loadPresets(userDataDir);
+  const preset = presets.find(existing => existing.name === name);
+  if (!preset) {
+    throw new Error(`There is no preset named ${name}`);
+  }
+  if (trimmed !== name && presets.some(existing => existing.name === trimmed)) {
+    throw new Error(`A preset named ${trimmed} already exists`);
+  }
+  preset.name = trimmed;
+  return storePresets(userDataDir, presets);
+}
+
+/**
+ * @returns {Array<Object>} The updated presets
+ */
+function deletePreset(userDataDir, name) {
+  return storePresets(userDataDir, loadPresets(userDataDir).filter(preset => preset.name !== name));
+}
+
+/**
+ * Writes presets to a JSON file to share with other machines.
+ * @param {string[]} [names] - Presets to export; all by default
+ */
+function exportPresets(userDataDir, filePath, names = null) {
+  const presets = loadPresets(userDataDir).filter(preset => !names || names.includes(preset.name));
+  fs.writeFileSync(filePath, `${JSON.stringify({ version: PRESETS_VERSION, presets }, null, 2)}\n`);
+  return presets.length;
+}
+
+/**
+ * Adds the presets from an exported JSON file. Every preset is checked before
+ * any is stored; imported presets replace saved ones with the same name.
+ * @returns {{ presets: Array<Object>, imported: number }} The updated presets and how many were imported
+ */
+function importPresets(userDataDir, filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read presets from ${path.basename(filePath)}: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.presets)) {
+    throw new Error(`${path.basename(filePath)} is not a presets file`);
+  }
+  if (data.version > PRESETS_VERSION) {
+    throw new Error(`${path.basename(filePath)} was exported by a newer version of the app`);
+  }
+
+  const imported = data.presets.map((preset, index) => {
+    try {
+      return { name: checkName(preset && preset.name), options: toPresetOptions(preset.options) };
+    } catch (error) {
+      throw new Error(`Preset ${index + 1} in ${path.basename(filePath)}: ${error.message}`);
+    }
+  });
+  // A name repeated in the file keeps its last preset
+  const byName = new Map(imported.map(preset => [preset.name, preset]));
+  const kept = loadPresets(userDataDir).filter(preset => !byName.has(preset.name));
+  return { presets: storePresets(userDataDir, [...kept, ...byName.values()]), imported: byName.size };
+}
+
+module.exports = {
+  PRESET_OPTIONS,
+  toPresetOptions,
+  loadPresets,
+  savePreset,
+  renamePreset,
+  deletePreset,
+  exportPresets,
+  importPresets
+};
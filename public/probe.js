@@ -0,0 +1,116 @@
+const ffmpeg = require('./ffmpeg');
+
+/**
+ * Promise wrapper around fluent-ffmpeg's ffprobe.
+ * @param {string} filePath - Media file
+ * @returns {Promise<Object>} Raw ffprobe output ({ streams, format })
+ */
+function ffprobe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(metadata);
+      }
+    });
+  });
+}
+
+/**
+ * Duration of a media file in seconds, or null if it can't be determined.
+ */
+async function getDuration(filePath) {
+  try {
+    const metadata = await ffprobe(filePath);
+    const duration = parseFloat(metadata.format && metadata.format.duration);
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  } catch (error) {
+    // The caller decides what an unknown value means; probeMedia reports why
+    return null;
+  }
+}
+
+/**
+ * Display size of a video stream. Rotated clips (phone footage) report their
+ * coded size, but FFmpeg autorotates them, so width and height are swapped
+ * for 90/270 degrees.
+ */
+function displaySize(stream) {
+  const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = Math.abs(parseInt(
+    (stream.tags && stream.tags.rotate) || (displayMatrix && displayMatrix.rotation) || 0,
+    10
+  ));
+  return rotation % 180 === 90
+    ? { width: stream.height, height: stream.width }
+    : { width: stream.width, height: stream.height };
+}
+
+/**
+ * Display size of the first video stream, or null if there is none.
+ */
+async function getVideoSize(filePath) {
+  try {
+    const metadata = await ffprobe(filePath);
+    const stream = metadata.streams.find(s => s.codec_type === 'video');
+    if (!stream || !stream.width || !stream.height) {
+      return null;
+    }
+    return displaySize(stream);
+  } catch (error) {
+    // The caller decides what an unknown value means; probeMedia reports why
+    return null;
+  }
+}
+
+function isRational(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(value || '');
+  return Boolean(match) && Number(match[1]) > 0 && Number(match[2]) > 0;
+}
+
+function positiveNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Summary of a media file for the clip info panel and for processing: size,
+ * timing, codecs and whether there is audio. The frame rate is the average
+ * one, as the base rate of variable frame rate (phone) footage can be far off.
+ * Unlike the helpers above, this throws when the file can't be probed.
+ *
+ * @param {string} filePath - Media file
+ * @returns {Promise<{ duration: number|null, width: number|null, height: number|null,
+ *   frameRate: string|null, fps: number|null, timeBase: string|null, videoCodec: string|null,
+ *   pixelFormat: string|null, hasAudio: boolean, audioCodec: string|null,
+ *   audioChannels: number|null, sampleRate: number|null, formatName: string|null, size: number|null }>}
+ */
+async function probeMedia(filePath) {
+  const metadata = await ffprobe(filePath);
+  const format = metadata.format || {};
+  const video = metadata.streams.find(s => s.codec_type === 'video');
+  const audio = metadata.streams.find(s => s.codec_type === 'audio');
+  const frameRate = video ? [video.avg_frame_rate, video.r_frame_rate].find(isRational) || null : null;
+  const [numerator, denominator] = frameRate ? frameRate.split('/').map(Number) : [];
+  const size = video && video.width && video.height ? displaySize(video) : { width: null, height: null };
+
+  return {
+    duration: positiveNumber(format.duration) || positiveNumber(video && video.duration),
+    width: size.width,
+    height: size.height,
+    frameRate,
+    fps: frameRate ? numerator / denominator : null,
+    timeBase: video && isRational(video.time_base) ? video.time_base : null,
+    videoCodec: video ? video.codec_name : null,
+    pixelFormat: video ? video.pix_fmt || null : null,
+    hasAudio: Boolean(audio),
+    audioCodec: audio ? audio.codec_name : null,
+    audioChannels: audio ? audio.channels || null : null,
+    sampleRate: audio ? positiveNumber(audio.sample_rate) : null,
+    formatName: format.format_name || null,
+    size: positiveNumber(format.size)
+  };
+}
+
+module.exports = { ffprobe, getDuration, getVideoSize, probeMedia };
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+const { buildFilterGraph } = require('./filterGraph');
+const { validateProcessOptions } = require('./validateOptions');
+const { writeGarbageMask } = require('./garbageMatte');
+const { probeMedia } = require('./probe');
+
+// SIGSTOP/SIGCONT are not available on Windows
+const PAUSE_SUPPORTED = process.platform !== 'win32';
+
+class JobCancelledError extends Error {
+  constructor(message = 'Processing cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Probes an input for processing; a file ffprobe can't read yields null and
+ * the job falls back to FFmpeg's own guesses.
+ */
+function probeInput(filePath, logError) {
+  return probeMedia(filePath).catch((error) => {
+    logError('Could not probe input:', error.message);
+    return null;
+  });
+}
+
+/**
+ * Seconds of output the job will write, or null if unknown. Trimming and a
+ * background video that stops the output can make it shorter than the foreground.
+ */
+function expectedDuration(options, foreground, background) {
+  if (!foreground || !foreground.duration) {
+    return options.duration;
+  }
+  let duration = Math.max(0, foreground.duration - options.start);
+  if (options.duration) {
+    duration = Math.min(duration, options.duration);
+  }
+  if (background && background.duration && options.backgroundType === 'video' && options.backgroundEnd === 'stop') {
+    duration = Math.min(duration, Math.max(0, background.duration - options.start));
+  }
+  return duration || null;
+}
+
+/**
+ * Converts an FFmpeg timemark (HH:MM:SS.ss) to seconds.
+ */
+function timemarkToSeconds(timemark) {
+  if (typeof timemark !== 'string') {
+    return 0;
+  }
+  return timemark.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
+
+function removePartialOutput(outputPath, logError) {
+  try {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  } catch (error) {
+    logError('Failed to remove partial output:', error);
+  }
+}
+
+/**
+ * Removes the frames already written for an image sequence pattern such as `shot_%05d.png`.
+ */
+function removePartialSequence(pattern, logError) {
+  const directory = path.dirname(pattern);
+  const [prefix, suffix] = path.basename(pattern).split(/%0\d+d/);
+  try {
+    for (const file of fs.readdirSync(directory)) {
+      if (file.startsWith(prefix) && file.endsWith(suffix) && /^\d+$/.test(file.slice(prefix.length, file.length - suffix.length))) {
+        fs.unlinkSync(path.join(directory, file));
+      }
+    }
+  } catch (error) {
+    logError('Failed to remove partial output:', error);
+  }
+}
+
+/**
+ * Starts the chroma-key pipeline for a single clip and returns a handle to control it.
+ * Shared by the `process-video` IPC handler, the batch queue and the command-line interface.
+ *
+ * @param {Object} options - Same shape as the `process-video` IPC payload
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onProgress] - Receives `process-progress` style updates
+ * @param {Function} [hooks.log] - Diagnostic logger, defaults to console.log
+ * @param {Function} [hooks.logError] - Error logger, defaults to console.error
+ * @returns {{ promise: Promise<{ success: boolean, outputPath: string }>, cancel: Function, pause: Function, resume: Function }}
+ *   `promise` rejects with a JobCancelledError after `cancel()`; the partial output is removed.
+ */
+function startVideoJob(options, {
+  onProgress = () => {},
+  log = console.log,
+  logError = console.error
+} = {}) {
+  const { inputPath, keyer, color, similarity, blend } = options;
+  const command = ffmpeg();
+
+  let started = false;
+  let finished = false;
+  let cancelled = false;
+  let paused = false;
+  let lastPercent = 0;
+  // Filled in from the probe once it returns
+  let duration = null;
+  let startTime = null;
+  // Time spent paused doesn't count towards the rate
+  let pausedAt = null;
+  let pausedTime = 0;
+
+  const promise = new Promise((resolve, reject) => {
+    let garbageMaskPath = null;
+    const removeGarbageMask = () => {
+      if (garbageMaskPath) {
+        removePartialOutput(garbageMaskPath, logError);
+      }
+    };
+
+    const fail = (error) => {
+      finished = true;
+      removeGarbageMask();
+      logError('Could not start processing:', error.message);
+      onProgress({ status: 'error', error: error.message });
+      reject(error);
+    };
+
+    let normalized;
+    try {
+      normalized = validateProcessOptions(options);
+      for (const clip of [normalized, ...normalized.layers]) {
+        if (clip.fgLutPath && !fs.existsSync(clip.fgLutPath)) {
+          throw new Error(`LUT file not found: ${clip.fgLutPath}`);
+        }
+      }
+    } catch (error) {
+      fail(error);
+      return;
+    }
+
+    const run = ({ inputs, outputPath, filterComplex, maps, outputOptions }) => {
+      for (const input of inputs) {
+        command.input(input.path);
+        if (input.options.length > 0) {
+          command.inputOptions(input.options);
+        }
+      }
+
+      command.outputOptions(['-filter_complex', filterComplex]);
+      command.outputOptions(maps);
+      command.outputOptions(outputOptions);
+
+      log('Applying filter chain:', filterComplex);
+      log('Output options:', [...maps, ...outputOptions].join(' '));
+      log('Input path:', inputPath);
+      log('Output path:', outputPath);
+
+      command
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          started = true;
+          if (cancelled) {
+            // Cancelled before FFmpeg was spawned
+            command.kill('SIGKILL');
+            return;
+          }
+          log('FFmpeg process started:', commandLine);
+          log('Filter chain:', filterComplex);
+          log('Keyer:', keyer || 'chromakey', 'Color:', color, 'Similarity:', similarity, 'Blend:', blend);
+          startTime = Date.now();
+          onProgress({ status: 'started', percent: 0 });
+        })
+        .on('progress', (progress) => {
+          // fluent-ffmpeg only knows the percentage when it could read the
+          // input's duration itself, and not at all for trimmed or stopped output
+          const percent = duration
+            ? timemarkToSeconds(progress.timemark) / duration * 100
+            : progress.percent || 0;
+          lastPercent = Math.max(0, Math.min(percent, 99)); // Cap at 99% until end
+          // Wall-clock estimate from the rate so far, leaving out time spent paused
+          const elapsed = (Date.now() - startTime - pausedTime) / 1000;
+          const eta = lastPercent > 0 ? Math.round(elapsed * (100 - lastPercent) / lastPercent) : null;
+          onProgress({
+            status: 'processing',
+            percent: lastPercent,
+            time: progress.timemark,
+            eta,
+            fps: progress.currentFps || null
+          });
+        })
+        .on('end', () => {
+          finished = true;
+          removeGarbageMask();
+          log('FFmpeg process completed');
+          onProgress({ status: 'completed', percent: 100 });
+          resolve({ success: true, outputPath });
+        })
+        .on('error', (err, stdout, stderr) => {
+          finished = true;
+          removeGarbageMask();
+          if (cancelled) {
+            log('FFmpeg process cancelled');
+            if (outputPath.includes('%')) {
+              removePartialSequence(outputPath, logError);
+            } else {
+              removePartialOutput(outputPath, logError);
+            }
+            onProgress({ status: 'cancelled', percent: lastPercent });
+            reject(new JobCancelledError());
+            return;
+          }
+          logError('FFmpeg error:', err);
+          logError('FFmpeg stderr:', stderr);
+          logError('FFmpeg stdout:', stdout);
+          const errorMessage = stderr || err.message || 'Unknown FFmpeg error';
+          onProgress({ status: 'error', error: errorMessage });
+          reject(new Error(errorMessage));
+        })
+        .run();
+    };
+
+    // Garbage mattes are rendered to an image sized to the clip before FFmpeg
+    // starts. The probes give generated backgrounds the clip's frame rate,
+    // progress its duration, audio mapping which inputs have audio, and
+    // layers their size for fitting them to the frame
+    const maskReady = normalized.garbageMattes.length > 0
+      ? writeGarbageMask(normalized.garbageMattes, inputPath)
+      : Promise.resolve(null);
+    const foregroundReady = probeInput(inputPath, logError);
+    const backgroundReady = normalized.backgroundPath && normalized.backgroundType === 'video'
+      ? probeInput(normalized.backgroundPath, logError)
+      : Promise.resolve(null);
+    const layersReady = Promise.all(normalized.layers.map(layer => probeInput(layer.inputPath, logError)));
+
+    Promise.all([maskReady, foregroundReady, backgroundReady, layersReady]).then(([maskPath, foreground, background, layerInfo]) => {
+      garbageMaskPath = maskPath;
+      if (cancelled) {
+        finished = true;
+        removeGarbageMask();
+        onProgress({ status: 'cancelled', percent: 0 });
+        reject(new JobCancelledError());
+        return;
+      }
+
+      if (foreground && foreground.duration && normalized.start >= foreground.duration) {
+        fail(new Error(`start (${normalized.start}s) is past the end of the clip (${foreground.duration}s)`));
+        return;
+      }
+      duration = expectedDuration(normalized, foreground, background);
+      const probed = {};
+      if (foreground) {
+        if (foreground.frameRate) {
+          probed.frameRate = foreground.frameRate;
+          probed.timeBase = foreground.timeBase;
+        }
+        probed.foregroundHasAudio = foreground.hasAudio;
+        probed.frameWidth = foreground.width;
+        probed.frameHeight = foreground.height;
+      }
+      if (background) {
+        probed.backgroundHasAudio = background.hasAudio;
+        probed.backgroundDuration = background.duration;
+        probed.backgroundFrameRate = background.frameRate;
+      }
+      probed.layers = normalized.layers.map((layer, index) => (layerInfo[index]
+        ? { ...layer, sourceWidth: layerInfo[index].width, sourceHeight: layerInfo[index].height }
+        : layer));
+
+      let graph;
+      try {
+        graph = buildFilterGraph({ ...normalized, garbageMaskPath, ...probed });
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      run(graph);
+    }, fail);
+  });
+
+  return {
+    promise,
+    cancel() {
+      if (finished || cancelled) {
+        return false;
+      }
+      cancelled = true;
+      if (started) {
+        if (paused) {
+          command.kill('SIGCONT');
+        }
+        command.kill('SIGKILL');
+      }
+      return true;
+    },
+    pause() {
+      if (!PAUSE_SUPPORTED || !started || finished || cancelled || paused) {
+        return false;
+      }
+      command.kill('SIGSTOP');
+      paused = true;
+      pausedAt = Date.now();
+      onProgress({ status: 'paused', percent: lastPercent });
+      return true;
+    },
+    resume() {
+      if (!paused || finished || cancelled) {
+        return false;
+      }
+      command.kill('SIGCONT');
+      paused = false;
+      pausedTime += Date.now() - pausedAt;
+      onProgress({ status: 'processing', percent: lastPercent });
+      return true;
+    }
+  };
+}
+
+/**
+ * Runs the chroma-key pipeline for a single clip to completion.
+ * @see startVideoJob
+ */
+function processVideo(options, hooks) {
+  return startVideoJob(options, hooks).promise;
+}
+
+module.exports = { processVideo, startVideoJob, JobCancelledError, PAUSE_SUPPORTED };
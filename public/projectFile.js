@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Project files (.gsproj): a keying session saved as JSON, so a shot can be
+ * reopened and re-exported with identical settings.
+ *
+ * Media is stored both relative to the project file and absolute. Opening
+ * tries the relative path first, so a project moved together with its media
+ * still finds it, then the absolute one for a project moved on its own.
+ */
+
+const PROJECT_EXTENSION = 'gsproj';
+const PROJECT_VERSION = 1;
+
+// Recent projects kept in the app's userData folder
+const RECENT_PROJECTS_FILE = 'recent-projects.json';
+const MAX_RECENT_PROJECTS = 10;
+
+function toMediaReference(filePath, projectDir) {
+  if (!filePath) {
+    return null;
+  }
+  const relative = path.relative(projectDir, filePath);
+  return {
+    // Media on another drive has no relative path
+    relativePath: path.isAbsolute(relative) ? null : relative.split(path.sep).join('/'),
+    absolutePath: filePath
+  };
+}
+
+function resolveMediaReference(reference, projectDir) {
+  if (reference.relativePath) {
+    const relative = path.resolve(projectDir, ...reference.relativePath.split('/'));
+    if (fs.existsSync(relative)) {
+      return relative;
+    }
+  }
+  return reference.absolutePath && fs.existsSync(reference.absolutePath) ? reference.absolutePath : null;
+}
+
+/**
+ * Writes a project file.
+ * @param {string} projectPath - Where to save the .gsproj
+ * @param {Object} project
+ * @param {Object<string, string|null>} project.media - Media file paths by role, e.g. { input, background }
+ * @param {Object} project.settings - The session's settings, stored as given
+ */
+function writeProject(projectPath, { media, settings }) {
+  const projectDir = path.dirname(projectPath);
+  const data = {
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    media: Object.fromEntries(
+      Object.entries(media).map(([role, filePath]) => [role, toMediaReference(filePath, projectDir)])
+    ),
+    settings
+  };
+  fs.writeFileSync(projectPath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Reads a project file and finds its media.
+ * @returns {{ media: Object<string, string|null>, missing: Object<string, string>, settings: Object }}
+ *   `media` holds the found paths; `missing` the last known paths of media that
+ *   couldn't be found, by role, for the user to relink.
+ */
+function readProject(projectPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read project ${path.basename(projectPath)}: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || typeof data.settings !== 'object' || typeof data.media !== 'object') {
+    throw new Error(`${path.basename(projectPath)} is not a project file`);
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new Error(`${path.basename(projectPath)} was saved by a newer version of the app`);
+  }
+
+  const projectDir = path.dirname(projectPath);
+  const media = {};
+  const missing = {};
+  for (const [role, reference] of Object.entries(data.media)) {
+    if (!reference) {
+      media[role] = null;
+      continue;
+    }
+    media[role] = resolveMediaReference(reference, projectDir);
+    if (!media[role]) {
+      missing[role] = reference.absolutePath || reference.relativePath;
+    }
+  }
+  return { media, missing, settings: data.settings };
+}
+
+/**
+ * Looks for missing media in a folder by file name, after the user located
+ * one of the files there: media that moved together usually sits together.
+ * @param {Object<string, string>} missing - Last known paths by role
+ * @param {string} folder - Folder to look in
+ * @returns {Object<string, string>} Found paths by role
+ */
+function findMovedMedia(missing, folder) {
+  const found = {};
+  for (const [role, lastPath] of Object.entries(missing)) {
+    const candidate = path.join(folder, path.basename(lastPath.split(/[/\\]/).join(path.sep)));
+    if (fs.existsSync(candidate)) {
+      found[role] = candidate;
+    }
+  }
+  return found;
+}
+
+function recentProjectsPath(userDataDir) {
+  return path.join(userDataDir, RECENT_PROJECTS_FILE);
+}
+
+/**
+ * Recently opened or saved projects, most recent first; projects that no
+ * longer exist are left out.
+ */
+function getRecentProjects(userDataDir) {
+  try {
+    const list = JSON.parse(fs.readFileSync(recentProjectsPath(userDataDir), 'utf8'));
+    return Array.isArray(list) ? list.filter(projectPath => fs.existsSync(projectPath)) : [];
+  } catch (error) {
+    // No list yet, or an unreadable one
+    return [];
+  }
+}
+
+/**
+ * Moves a project to the top of the recent projects.
+ * @returns {string[]} The updated list
+ */
+function addRecentProject(userDataDir, projectPath) {
+  const list = [projectPath, ...getRecentProjects(userDataDir).filter(p => p !== projectPath)]
+    .slice(0, MAX_RECENT_PROJECTS);
+  try {
+    fs.mkdirSync(userDataDir, { recursive: true });
+    fs.writeFileSync(recentProjectsPath(userDataDir), JSON.stringify(list, null, 2));
+  } catch (error) {
+    console.error('Failed to save recent projects:', error);
+  }
+  return list;
+}
+
+module.exports = {
+  PROJECT_EXTENSION,
+  writeProject,
+  readProject,
+  findMovedMedia,
+  getRecentProjects,
+  addRecentProject
+};
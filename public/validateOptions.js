@@ -0,0 +1,340 @@
+/**
+ * Validation of `process-video` options coming from the renderer or the CLI.
+ * Everything here ends up inside an FFmpeg filter string, so values are
+ * checked strictly rather than passed through.
+ */
+
+const { EXPORT_FORMATS, EXPORT_PRESETS, resolveEncoderSettings } = require('./exportFormats');
+const { KEYFRAME_INTERPOLATIONS } = require('./keyframes');
+
+const KEYERS = ['chromakey', 'colorkey', 'hsvkey'];
+const AUDIO_MODES = ['foreground', 'background', 'mix', 'none'];
+const GARBAGE_MATTE_MODES = ['remove', 'keep'];
+const OUTPUT_MODES = ['composite', 'matte', 'split', 'checkerboard'];
+const BACKGROUND_FITS = ['stretch', 'contain', 'cover'];
+// The fit of a job that doesn't choose one; the app and the CLI start from it too
+const DEFAULT_BACKGROUND_FIT = 'stretch';
+const GENERATED_BACKGROUNDS = ['color', 'gradient', 'blur'];
+const BACKGROUND_ENDS = ['loop', 'freeze', 'stop'];
+const GRADIENT_TYPES = ['linear', 'radial'];
+// Upper bound for trim times (a day)
+const MAX_SECONDS = 24 * 60 * 60;
+// Keyed clips stacked over the main one; each is another FFmpeg input
+const MAX_LAYERS = 8;
+const COLOR_CORRECTION_DEFAULTS = {
+  fgExposure: 0,
+  fgContrast: 1,
+  fgSaturation: 1,
+  fgTemperature: 0,
+  fgTint: 0,
+  fgLutPath: null
+};
+
+function checkNumber(name, value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}, got ${value}`);
+  }
+}
+
+function checkInteger(name, value, min, max) {
+  checkNumber(name, value, min, max);
+  if (!Number.isInteger(value)) {
+    throw new Error(`${name} must be a whole number, got ${value}`);
+  }
+}
+
+function checkBoolean(name, value) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`${name} must be true or false, got ${value}`);
+  }
+}
+
+function checkColor(name, value) {
+  if (!/^0x[0-9a-f]{6}$/i.test(value)) {
+    throw new Error(`${name} must be 0xRRGGBB, got ${value}`);
+  }
+}
+
+function checkOneOf(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`${name} must be one of ${allowed.join(', ')}, got ${value}`);
+  }
+}
+
+function checkGarbageMattes(mattes) {
+  if (!Array.isArray(mattes)) {
+    throw new Error('garbageMattes must be an array');
+  }
+  mattes.forEach((matte, index) => {
+    const name = `garbageMattes[${index}]`;
+    checkOneOf(`${name}.mode`, matte && matte.mode, GARBAGE_MATTE_MODES);
+    if (!Array.isArray(matte.points) || matte.points.length < 3) {
+      throw new Error(`${name} needs at least 3 points`);
+    }
+    for (const point of matte.points) {
+      // Points are normalized to the frame, so mattes fit any clip size
+      checkNumber(`${name} x`, point && point.x, 0, 1);
+      checkNumber(`${name} y`, point.y, 0, 1);
+    }
+  });
+}
+
+/**
+ * Checks keyframed key settings.
+ * @returns {Array<Object>} The keyframes sorted by time
+ */
+function checkKeyframes(keyframes) {
+  if (!Array.isArray(keyframes)) {
+    throw new Error('keyframes must be an array');
+  }
+  keyframes.forEach((keyframe, index) => {
+    const name = `keyframes[${index}]`;
+    checkNumber(`${name}.time`, keyframe && keyframe.time, 0, MAX_SECONDS);
+    checkColor(`${name}.color`, keyframe.color);
+    checkNumber(`${name}.similarity`, keyframe.similarity, 0.00001, 1);
+    checkNumber(`${name}.matteFeather`, keyframe.matteFeather, 0, 10);
+    checkOneOf(`${name}.interpolation`, keyframe.interpolation, KEYFRAME_INTERPOLATIONS);
+  });
+  const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+  sorted.forEach((keyframe, index) => {
+    if (index > 0 && keyframe.time === sorted[index - 1].time) {
+      throw new Error(`keyframes has two keyframes at ${keyframe.time}s`);
+    }
+  });
+  return sorted;
+}
+
+/**
+ * Checks the keyer, spill and matte settings of a clip. `prefix` names the
+ * clip's options in errors, e.g. `layers[0].`.
+ */
+function checkKeySettings(options, prefix = '') {
+  checkOneOf(`${prefix}keyer`, options.keyer, KEYERS);
+  checkColor(`${prefix}color`, options.color);
+  checkNumber(`${prefix}similarity`, options.similarity, 0.00001, 1);
+  checkNumber(`${prefix}blend`, options.blend, 0, 1);
+  checkInteger(`${prefix}matteChoke`, options.matteChoke, 0, 10);
+  checkInteger(`${prefix}matteExpand`, options.matteExpand, 0, 10);
+  checkNumber(`${prefix}matteFeather`, options.matteFeather, 0, 10);
+
+  if (options.despill) {
+    checkOneOf(`${prefix}despillType`, options.despillType, ['green', 'blue']);
+    checkNumber(`${prefix}despillMix`, options.despillMix, 0, 1);
+    checkNumber(`${prefix}despillExpand`, options.despillExpand, 0, 1);
+  }
+
+  if (options.keyer === 'hsvkey') {
+    checkNumber(`${prefix}hsvHue`, options.hsvHue, 0, 360);
+    checkNumber(`${prefix}hsvSat`, options.hsvSat, -1, 1);
+    checkNumber(`${prefix}hsvVal`, options.hsvVal, -1, 1);
+  }
+}
+
+/**
+ * Checks the color correction of a keyed clip. The LUT file's existence is
+ * checked when the job starts.
+ */
+function checkColorCorrection(options, prefix = '') {
+  checkNumber(`${prefix}fgExposure`, options.fgExposure, -2, 2);
+  checkNumber(`${prefix}fgContrast`, options.fgContrast, 0.25, 2);
+  checkNumber(`${prefix}fgSaturation`, options.fgSaturation, 0, 2);
+  checkNumber(`${prefix}fgTemperature`, options.fgTemperature, -1, 1);
+  checkNumber(`${prefix}fgTint`, options.fgTint, -1, 1);
+  if (options.fgLutPath !== null && (typeof options.fgLutPath !== 'string' || !options.fgLutPath)) {
+    throw new Error(`${prefix}fgLutPath must be a file path or null`);
+  }
+}
+
+function checkPlacement(options, prefix = '') {
+  checkNumber(`${prefix}fgScale`, options.fgScale, 0.1, 4);
+  checkNumber(`${prefix}fgOffsetX`, options.fgOffsetX, -1, 1);
+  checkNumber(`${prefix}fgOffsetY`, options.fgOffsetY, -1, 1);
+  checkBoolean(`${prefix}fgFlipH`, options.fgFlipH);
+  checkBoolean(`${prefix}fgFlipV`, options.fgFlipV);
+}
+
+/**
+ * Checks the keyed clips stacked with the main one.
+ * @returns {Array<Object>} The layers with defaults filled in
+ */
+function checkLayers(layers) {
+  if (!Array.isArray(layers)) {
+    throw new Error('layers must be an array');
+  }
+  if (layers.length > MAX_LAYERS) {
+    throw new Error(`layers can hold at most ${MAX_LAYERS} clips, got ${layers.length}`);
+  }
+  return layers.map((layer, index) => {
+    const prefix = `layers[${index}].`;
+    if (typeof layer !== 'object' || layer === null || !layer.inputPath) {
+      throw new Error(`${prefix}inputPath is required`);
+    }
+    const normalized = {
+      keyer: 'chromakey',
+      despill: false,
+      matteChoke: 0,
+      matteExpand: 0,
+      matteFeather: 0,
+      fgScale: 1,
+      fgOffsetX: 0,
+      fgOffsetY: 0,
+      fgFlipH: false,
+      fgFlipV: false,
+      ...COLOR_CORRECTION_DEFAULTS,
+      startOffset: 0,
+      // Above the main clip, which is at 0
+      zIndex: 1,
+      ...layer
+    };
+    checkKeySettings(normalized, prefix);
+    checkPlacement(normalized, prefix);
+    checkColorCorrection(normalized, prefix);
+    checkNumber(`${prefix}startOffset`, normalized.startOffset, 0, MAX_SECONDS);
+    checkInteger(`${prefix}zIndex`, normalized.zIndex, -MAX_LAYERS, MAX_LAYERS);
+    return normalized;
+  });
+}
+
+/**
+ * Checks the encoder settings against what the export format supports.
+ * @returns {Object} The settings with the format's defaults filled in
+ */
+function checkEncoder(format, encoder) {
+  if (typeof encoder !== 'object' || encoder === null || Array.isArray(encoder)) {
+    throw new Error('encoder must be an object');
+  }
+  const capabilities = EXPORT_FORMATS[format].encoder;
+  const resolved = resolveEncoderSettings(format, encoder);
+
+  if (capabilities.crf) {
+    checkOneOf('encoder.rateControl', resolved.rateControl, ['crf', 'bitrate']);
+    checkInteger('encoder.crf', resolved.crf, capabilities.crf.min, capabilities.crf.max);
+    checkInteger('encoder.videoBitrate', resolved.videoBitrate, 100, 200000);
+  }
+  if (capabilities.presets) {
+    checkOneOf('encoder.preset', resolved.preset, capabilities.presets);
+  }
+  if (resolved.resolution !== null) {
+    checkInteger('encoder.resolution', resolved.resolution, 16, 4320);
+  }
+  if (resolved.fps !== null) {
+    checkNumber('encoder.fps', resolved.fps, 1, 240);
+  }
+  if (capabilities.audioCodecs.length > 0) {
+    checkOneOf('encoder.audioCodec', resolved.audioCodec, capabilities.audioCodecs);
+    checkInteger('encoder.audioBitrate', resolved.audioBitrate, 32, 512);
+  }
+  return resolved;
+}
+
+/**
+ * Checks and normalizes the options for a job. Throws an Error describing the first invalid value.
+ * @param {Object} options - `process-video` options
+ * @returns {Object} The options with defaults filled in
+ */
+function validateProcessOptions(options) {
+  const normalized = {
+    keyer: 'chromakey',
+    despill: false,
+    matteChoke: 0,
+    matteExpand: 0,
+    matteFeather: 0,
+    garbageMattes: [],
+    keyframes: [],
+    layers: [],
+    audioMode: 'foreground',
+    outputMode: 'composite',
+    format: 'mp4',
+    backgroundEnd: 'loop',
+    backgroundFit: DEFAULT_BACKGROUND_FIT,
+    letterboxColor: '0x000000',
+    fgScale: 1,
+    fgOffsetX: 0,
+    fgOffsetY: 0,
+    fgFlipH: false,
+    fgFlipV: false,
+    ...COLOR_CORRECTION_DEFAULTS,
+    start: 0,
+    duration: null,
+    ...options
+  };
+
+  if (normalized.exportPreset !== undefined) {
+    // A named preset supplies the format and encoder settings; explicit encoder
+    // settings still win over the preset's
+    checkOneOf('exportPreset', normalized.exportPreset, Object.keys(EXPORT_PRESETS));
+    const preset = EXPORT_PRESETS[normalized.exportPreset];
+    normalized.format = preset.format;
+    normalized.encoder = { ...preset.encoder, ...normalized.encoder };
+  }
+
+  if (!normalized.inputPath || !normalized.outputPath) {
+    throw new Error('inputPath and outputPath are required');
+  }
+
+  // Trim range in seconds; a null duration runs to the end of the clip
+  checkNumber('start', normalized.start, 0, MAX_SECONDS);
+  if (normalized.duration !== null) {
+    checkNumber('duration', normalized.duration, 0.01, MAX_SECONDS);
+  }
+
+  checkKeySettings(normalized);
+  checkGarbageMattes(normalized.garbageMattes);
+  normalized.keyframes = checkKeyframes(normalized.keyframes);
+  normalized.layers = checkLayers(normalized.layers);
+
+  if (normalized.backgroundPath) {
+    checkOneOf('backgroundType', normalized.backgroundType, ['image', 'video']);
+  } else if (normalized.backgroundType) {
+    // Generated backgrounds need no file
+    checkOneOf('backgroundType', normalized.backgroundType, GENERATED_BACKGROUNDS);
+  }
+  if (normalized.backgroundType === 'color') {
+    checkColor('backgroundColor', normalized.backgroundColor);
+  } else if (normalized.backgroundType === 'gradient') {
+    checkOneOf('gradientType', normalized.gradientType, GRADIENT_TYPES);
+    checkColor('gradientStart', normalized.gradientStart);
+    checkColor('gradientEnd', normalized.gradientEnd);
+    if (normalized.gradientType === 'linear') {
+      checkNumber('gradientAngle', normalized.gradientAngle, 0, 360);
+    }
+  } else if (normalized.backgroundType === 'blur') {
+    checkNumber('backgroundBlur', normalized.backgroundBlur, 1, 100);
+  }
+  checkOneOf('backgroundEnd', normalized.backgroundEnd, BACKGROUND_ENDS);
+  // Normally filled in from ffprobe by processVideo, after validation
+  for (const name of ['frameRate', 'timeBase']) {
+    if (normalized[name] !== undefined && !/^\d+\/\d+$/.test(normalized[name])) {
+      throw new Error(`${name} must be a fraction like 30000/1001, got ${normalized[name]}`);
+    }
+  }
+  for (const name of ['foregroundHasAudio', 'backgroundHasAudio']) {
+    if (normalized[name] !== undefined) {
+      checkBoolean(name, normalized[name]);
+    }
+  }
+  checkOneOf('backgroundFit', normalized.backgroundFit, BACKGROUND_FITS);
+  checkColor('letterboxColor', normalized.letterboxColor);
+  checkPlacement(normalized);
+  checkColorCorrection(normalized);
+  checkOneOf('audioMode', normalized.audioMode, AUDIO_MODES);
+  checkOneOf('outputMode', normalized.outputMode, OUTPUT_MODES);
+  checkOneOf('format', normalized.format, Object.keys(EXPORT_FORMATS));
+  normalized.encoder = checkEncoder(normalized.format, normalized.encoder || {});
+
+  return normalized;
+}
+
+module.exports = {
+  validateProcessOptions,
+  KEYERS,
+  AUDIO_MODES,
+  GARBAGE_MATTE_MODES,
+  OUTPUT_MODES,
+  BACKGROUND_FITS,
+  DEFAULT_BACKGROUND_FIT,
+  GENERATED_BACKGROUNDS,
+  GRADIENT_TYPES,
+  BACKGROUND_ENDS,
+  MAX_LAYERS
+};
@@ -1,31 +1,199 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import './App.css';
+import QueuePanel from './components/QueuePanel.jsx';
+import ChromaKeyPreview from './components/ChromaKeyPreview.jsx';
+import GarbageMattePanel from './components/GarbageMattePanel.jsx';
+import PlacementPanel from './components/PlacementPanel.jsx';
+import GeneratedBackgroundControls from './components/GeneratedBackgroundControls.jsx';
+import ExportSettingsPanel from './components/ExportSettingsPanel.jsx';
+import ClipInfoPanel from './components/ClipInfoPanel.jsx';
+import TrimPanel from './components/TrimPanel.jsx';
+import KeyframePanel from './components/KeyframePanel.jsx';
+import ProjectPanel from './components/ProjectPanel.jsx';
+import PresetPanel from './components/PresetPanel.jsx';
+import LayerPanel from './components/LayerPanel.jsx';
+import ColorCorrectionPanel from './components/ColorCorrectionPanel.jsx';
+import { formatTime } from './formatTime.js';
+import { defaultEncoderSettings, getExportFormat, isStillImage } from './exportFormats.js';
+import {
+  toKeyParams,
+  toPlacementParams,
+  toBackgroundParams,
+  toTrimParams,
+  toKeyframeParams,
+  toLayerParams,
+  toColorCorrectionParams,
+  fromColorCorrectionParams,
+  toPresetParams,
+  fromPresetParams,
+  colorToHsvKey,
+  similarityToStrength,
+  MAIN_LAYER_ID,
+  KEYERS,
+  OUTPUT_MODES
+} from './keyParams.js';
+
+const BACKGROUND_LABELS = {
+  image: '🖼️ Image Background',
+  video: '🎬 Video Background',
+  color: '🎨 Solid Color',
+  gradient: '🌈 Gradient',
+  blur: '🌫️ Blurred Original'
+};
+
+// Seconds rendered by "Preview Section", centered on the playhead
+const SECTION_LENGTH = 5;
+
+// Settings that keyframes capture; the sliders edit the selected keyframe
+const KEYFRAMED_SETTINGS = ['color', 'strength', 'matteFeather'];
+
+// Foreground color correction in UI units (see toColorCorrectionParams)
+const DEFAULT_COLOR_CORRECTION = {
+  exposure: 0, // stops, -2 to 2
+  contrast: 100, // percent, 25-200
+  saturation: 100, // percent, 0-200
+  temperature: 0, // -100 (cooler) to 100 (warmer)
+  tint: 0, // -100 (green) to 100 (magenta)
+  lutPath: null // .cube file
+};
+
+// Project media role of a layer clip
+function layerRole(id) {
+  return `layer-${id}`;
+}
+
+/**
+ * Probes a clip for the info panel and reports the result through `setInfo`;
+ * returns the effect cleanup that drops a result for a clip no longer selected.
+ */
+function probeClip(filePath, setInfo) {
+  setInfo(null);
+  if (!filePath || !window.electronAPI) {
+    return undefined;
+  }
+  let current = true;
+  window.electronAPI.probeMedia(filePath).then(
+    (info) => current && setInfo(info),
+    (error) => current && setInfo({ error: error.message })
+  );
+  return () => {
+    current = false;
+  };
+}
 
 function App() {
   const [videoPath, setVideoPath] = useState(null);
   const [originalVideoPath, setOriginalVideoPath] = useState(null);
   const [videoUrl, setVideoUrl] = useState(null);
+  const [originalVideoUrl, setOriginalVideoUrl] = useState(null);
+  const [livePreview, setLivePreview] = useState(true);
+  const [eyedropperActive, setEyedropperActive] = useState(false);
+  const [sampledRegion, setSampledRegion] = useState(null);
+  const [detection, setDetection] = useState(null); // { color, screen, confidence, similarity }
   const [processing, setProcessing] = useState(false);
   const [progress, setProgress] = useState({ status: '', percent: 0 });
   const [isPreviewMode, setIsPreviewMode] = useState(false);
   const [settings, setSettings] = useState({
     color: '#00ff00',
     strength: 30, // 0-100 range (maps to similarity 0.4-0.01, higher = more aggressive keying)
-    edgeBlur: 0 // 0-100 range
+    matteChoke: 0, // pixels to erode the matte by, 0-10
+    matteExpand: 0, // pixels to dilate the matte by, 0-10
+    matteFeather: 0, // gaussian sigma for the matte edge, 0-10
+    keyer: 'chromakey', // 'chromakey', 'colorkey' or 'hsvkey'
+    blend: 10, // 0-100 range (maps to blend 0-1)
+    hsvAuto: true, // derive hsvkey hue/sat/val from the key color
+    hsvHue: 120, // 0-360 degrees
+    hsvSat: 0.5, // -1 to 1
+    hsvVal: 0.5, // -1 to 1
+    despill: false, // remove green/blue color cast from kept pixels
+    despillType: 'green', // 'green' or 'blue', follows the detected screen
+    despillMix: 50, // 0-100 range (maps to despill mix 0-1)
+    despillExpand: 0 // 0-100 range (maps to despill expand 0-1)
   });
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [backgroundPath, setBackgroundPath] = useState(null);
-  const [backgroundType, setBackgroundType] = useState(null); // 'image' or 'video' or null
+  const [backgroundType, setBackgroundType] = useState(null); // 'image', 'video', 'color', 'gradient', 'blur' or null
+  const [backgroundUrl, setBackgroundUrl] = useState(null);
+  const [generatedBackground, setGeneratedBackground] = useState({
+    color: '#1e3a8a',
+    gradientType: 'linear', // 'linear' or 'radial'
+    gradientStart: '#1e3a8a',
+    gradientEnd: '#60a5fa',
+    gradientAngle: 90, // degrees, 0 = left to right
+    blur: 20 // gaussian sigma
+  });
   const [audioMode, setAudioMode] = useState('foreground'); // 'foreground', 'background', 'mix', 'none'
+  const [backgroundEnd, setBackgroundEnd] = useState('loop'); // short background videos: 'loop', 'freeze', 'stop'
+  const [placement, setPlacement] = useState({
+    backgroundFit: window.electronAPI.processDefaults.backgroundFit, // 'stretch', 'contain' or 'cover'
+    letterboxColor: '#000000', // bars around a 'contain' background
+    fgScale: 100, // percent of the frame size, 10-400
+    fgOffsetX: 0, // percent of the frame width, -100 to 100
+    fgOffsetY: 0, // percent of the frame height, -100 to 100
+    fgFlipH: false,
+    fgFlipV: false
+  });
+  const [colorCorrection, setColorCorrection] = useState(DEFAULT_COLOR_CORRECTION);
+  const [matchingLight, setMatchingLight] = useState(null); // layer id (MAIN_LAYER_ID for the main clip) while light matching runs
+  const [garbageMattes, setGarbageMattes] = useState([]); // [{ mode, shape, points }] in normalized coordinates
+  const [garbageTool, setGarbageTool] = useState(null); // { mode, shape } while drawing
+  const [outputMode, setOutputMode] = useState('composite'); // 'composite', 'matte', 'split', 'checkerboard'
+  const [exportFormat, setExportFormat] = useState('mp4'); // key of EXPORT_FORMATS
+  const [encoderSettings, setEncoderSettings] = useState(() => defaultEncoderSettings('mp4'));
+  const [foregroundInfo, setForegroundInfo] = useState(null); // probe-media result, { error } or null
+  const [backgroundInfo, setBackgroundInfo] = useState(null);
+  const [trim, setTrim] = useState({ inPoint: null, outPoint: null }); // seconds, null for the clip's start/end
+  const [keyframes, setKeyframes] = useState([]); // [{ time, color, strength, matteFeather, interpolation }] sorted by time
+  const [selectedKeyframe, setSelectedKeyframe] = useState(null); // index into keyframes
+  const [seekRequest, setSeekRequest] = useState(null); // { time } to move the live preview's playhead
+  const [layers, setLayers] = useState([{ id: MAIN_LAYER_ID }]); // keyed clips in stacking order, top first
+  const [selectedLayer, setSelectedLayer] = useState(null); // id of the layer being edited
+  const [projectPath, setProjectPath] = useState(null); // .gsproj the session was opened from or saved to
+  const [recentProjects, setRecentProjects] = useState([]);
+  const [presets, setPresets] = useState([]); // user presets, [{ name, options }]
+  const [missingMedia, setMissingMedia] = useState({}); // last known paths of media a project couldn't find, by role
 
   const videoRef = useRef(null);
+  // Playhead of the original video, kept out of state so playback doesn't re-render the app
+  const playheadRef = useRef(0);
+  // Type of a project's background file while it is missing, for when it is relinked
+  const missingBackgroundTypeRef = useRef(null);
+
+  const keyParams = useMemo(() => toKeyParams(settings), [settings]);
+  const placementParams = useMemo(() => toPlacementParams(placement), [placement]);
+  const colorCorrectionParams = useMemo(() => toColorCorrectionParams(colorCorrection), [colorCorrection]);
+  const keyframeParams = useMemo(() => toKeyframeParams(keyframes), [keyframes]);
+  const backgroundParams = useMemo(
+    () => toBackgroundParams(backgroundType, generatedBackground),
+    [backgroundType, generatedBackground]
+  );
+
+  useEffect(() => probeClip(originalVideoPath, setForegroundInfo), [originalVideoPath]);
+
+  // A still image exports to an image format and a video to a video format
+  const stillInput = isStillImage(originalVideoPath);
+  useEffect(() => {
+    if (originalVideoPath && Boolean(getExportFormat(exportFormat).still) !== stillInput) {
+      const format = stillInput ? 'png' : 'mp4';
+      setExportFormat(format);
+      setEncoderSettings(defaultEncoderSettings(format));
+    }
+  }, [originalVideoPath]);
+  useEffect(() => probeClip(backgroundPath, setBackgroundInfo), [backgroundPath]);
+
+  useEffect(() => {
+    if (window.electronAPI) {
+      window.electronAPI.getRecentProjects().then(setRecentProjects);
+      window.electronAPI.getPresets().then(setPresets);
+    }
+  }, []);
 
   useEffect(() => {
     // Listen for progress updates
     if (window.electronAPI) {
       window.electronAPI.onProcessProgress((data) => {
         setProgress(data);
-        if (data.status === 'completed' || data.status === 'error') {
+        if (data.status === 'completed' || data.status === 'error' || data.status === 'cancelled') {
           setProcessing(false);
         }
       });
@@ -38,6 +206,29 @@ function App() {
     };
   }, []);
 
+  // Shows a clip in the preview; the settings are left as they are
+  const loadVideo = async (filePath) => {
+    setVideoPath(filePath);
+    setOriginalVideoPath(filePath);
+    setIsPreviewMode(false);
+    // Get video URL using IPC (which will use the custom protocol)
+    const url = isStillImage(filePath)
+      ? await window.electronAPI.getStillUrl(filePath, 'input')
+      : await window.electronAPI.getVideoUrl(filePath);
+    setVideoUrl(url);
+    setOriginalVideoUrl(url);
+    setSampledRegion(null);
+    playheadRef.current = 0;
+  };
+
+  const loadBackground = async (filePath, type) => {
+    setBackgroundPath(filePath);
+    setBackgroundType(type);
+    setBackgroundUrl(type === 'image'
+      ? await window.electronAPI.getStillUrl(filePath, 'background')
+      : await window.electronAPI.getVideoUrl(filePath));
+  };
+
   const handleSelectVideo = async () => {
     if (!window.electronAPI) {
       alert('Electron API not available');
@@ -46,61 +237,79 @@ function App() {
 
     const filePath = await window.electronAPI.selectVideoFile();
     if (filePath) {
-      setVideoPath(filePath);
-      setOriginalVideoPath(filePath);
-      setIsPreviewMode(false);
-      // Get video URL using IPC (which will use the custom protocol)
-      const url = await window.electronAPI.getVideoUrl(filePath);
-      setVideoUrl(url);
+      await loadVideo(filePath);
+      // In/out points and keyframes are times in the previous clip
+      setTrim({ inPoint: null, outPoint: null });
+      setKeyframes([]);
+      setSelectedKeyframe(null);
+      setMissingMedia(prev => {
+        const { input, ...rest } = prev;
+        return rest;
+      });
       
-      // Automatically detect green screen color
+      // Automatically detect the screen color (green or blue)
+      setDetection(null);
       try {
-        const detectedColor = await window.electronAPI.detectGreenColor(filePath);
-        if (detectedColor) {
+        const result = await window.electronAPI.detectKeyColor(filePath);
+        setDetection(result);
+        if (result.confidence > 0) {
           setSettings(prev => ({
             ...prev,
-            color: detectedColor
+            color: result.color,
+            despillType: result.screen,
+            // Map the suggested similarity back onto the Strength slider
+            strength: result.similarity !== null ? similarityToStrength(result.similarity) : prev.strength
           }));
         }
       } catch (error) {
-        console.error('Error detecting green color:', error);
+        console.error('Error detecting key color:', error);
         // Continue with default color if detection fails
       }
     }
   };
 
-  const processVideoToPath = async (inputPath, outputPath, isPreview = false) => {
+  // Translate the UI settings into the options accepted by `process-video`.
+  // The in/out points, keyframes and layers belong to the loaded clip, so
+  // queued clips run whole with constant settings and on their own;
+  // `range` ({ start, duration }) overrides them for section previews
+  const buildProcessOptions = (inputPath, outputPath, format, range = null) => {
+    const clipParams = inputPath === originalVideoPath
+      ? { ...toTrimParams(trim), keyframes: keyframeParams, layers: toLayerParams(layers) }
+      : {};
+    return {
+      inputPath: inputPath,
+      outputPath: outputPath,
+      format: format,
+      ...clipParams,
+      ...range,
+      // The encoder settings belong to the chosen export format; previews and
+      // queue jobs in another format use that format's defaults
+      encoder: format === exportFormat ? encoderSettings : {},
+      ...keyParams,
+      ...placementParams,
+      ...colorCorrectionParams,
+      garbageMattes: garbageMattes,
+      backgroundPath: backgroundPath,
+      backgroundType: backgroundType,
+      ...backgroundParams,
+      backgroundEnd: backgroundEnd,
+      audioMode: audioMode,
+      outputMode: outputMode
+    };
+  };
+
+  const processVideoToPath = async (inputPath, outputPath, isPreview = false, range = null) => {
     setProcessing(true);
     setProgress({ status: 'starting', percent: 0 });
 
     try {
-      // Convert hex color to 0xRRGGBB format for FFmpeg
-      const hex = settings.color.replace('#', '');
-      const colorValue = `0x${hex}`;
-
-      // Convert strength (0-100) to similarity (0.01-0.4) for FFmpeg
-      // Higher strength = higher similarity = stronger keying
-      // Map: strength 0 -> similarity 0.01, strength 100 -> similarity 0.4
-      const similarity = 0.01 + (settings.strength / 100) * 0.39;
-      
-      // Convert edgeBlur (0-100) to actual blur value (0-10) for FFmpeg
-      const edgeBlur = settings.edgeBlur / 10;
-
-      // Set blend value - lower values work better for chromakey
-      // Blend controls spill suppression, typically 0.1-0.2 works well
-      const blend = 0.1;
-
-      await window.electronAPI.processVideo({
-        inputPath: inputPath,
-        outputPath: outputPath,
-        color: colorValue,
-        similarity: similarity,
-        blend: blend,
-        edgeBlur: edgeBlur,
-        backgroundPath: backgroundPath,
-        backgroundType: backgroundType,
-        audioMode: audioMode
-      });
+      // Previews are rendered to WebM (PNG for a still) so they show with transparency
+      const previewFormat = isStillImage(inputPath) ? 'png' : 'webm';
+      const format = isPreview ? previewFormat : exportFormat;
+      const result = await window.electronAPI.processVideo(buildProcessOptions(inputPath, outputPath, format, range));
+      if (result.cancelled) {
+        return result;
+      }
 
       // Only update the preview if this is a preview operation
       // For exports, keep the current preview (if any) to avoid switching back to original
@@ -117,6 +326,7 @@ function App() {
         }, 100);
       }
       // For exports, don't change the videoUrl - keep showing the preview if it exists
+      return result;
     } catch (error) {
       console.error('Processing error:', error);
       alert(`Error processing video: ${error.message}`);
@@ -129,44 +339,250 @@ function App() {
   const handlePreview = async () => {
     const inputPath = originalVideoPath || videoPath;
     if (!inputPath || !window.electronAPI) {
-      alert('Please select a video first');
+      alert('Please select a video or image first');
       return;
     }
 
     try {
       // Get a temporary file path for preview
-      const tempPath = await window.electronAPI.getTempVideoPath();
+      const tempPath = await window.electronAPI.getTempVideoPath(isStillImage(inputPath) ? 'png' : 'webm');
       await processVideoToPath(inputPath, tempPath, true);
     } catch (error) {
       // Error already handled in processVideoToPath
     }
   };
 
+  // Renders only a few seconds around the playhead, to check a moment quickly
+  const handlePreviewSection = async () => {
+    if (!originalVideoPath || !window.electronAPI) {
+      return;
+    }
+    const duration = foregroundInfo && foregroundInfo.duration;
+    let start = Math.max(0, playheadRef.current - SECTION_LENGTH / 2);
+    if (duration) {
+      start = Math.max(0, Math.min(start, duration - SECTION_LENGTH));
+    }
+
+    try {
+      const tempPath = await window.electronAPI.getTempVideoPath();
+      await processVideoToPath(originalVideoPath, tempPath, true, { start, duration: SECTION_LENGTH });
+    } catch (error) {
+      // Error already handled in processVideoToPath
+    }
+  };
+
+  // Setting a point on the wrong side of the other one drops the other one
+  const handleSetInPoint = () => {
+    const time = playheadRef.current;
+    setTrim(prev => ({
+      inPoint: time > 0 ? time : null,
+      outPoint: prev.outPoint !== null && prev.outPoint > time ? prev.outPoint : null
+    }));
+  };
+
+  const handleSetOutPoint = () => {
+    const time = playheadRef.current;
+    const duration = foregroundInfo && foregroundInfo.duration;
+    setTrim(prev => ({
+      inPoint: prev.inPoint !== null && prev.inPoint < time ? prev.inPoint : null,
+      outPoint: duration && time >= duration ? null : time
+    }));
+  };
+
+  const handleTimeChange = useCallback((time) => {
+    playheadRef.current = time;
+  }, []);
+
   const handleExport = async () => {
     const inputPath = originalVideoPath || videoPath;
     if (!inputPath || !window.electronAPI) {
-      alert('Please select a video first');
+      alert('Please select a video or image first');
       return;
     }
 
-    const outputPath = await window.electronAPI.saveVideoFile();
+    const outputPath = await window.electronAPI.saveVideoFile(exportFormat);
     if (!outputPath) {
       return;
     }
 
     try {
-      await processVideoToPath(inputPath, outputPath, false);
-      alert('Video exported successfully!');
+      const result = await processVideoToPath(inputPath, outputPath, false);
+      if (!result.cancelled) {
+        alert(stillInput ? 'Image exported successfully!' : 'Video exported successfully!');
+      }
     } catch (error) {
       // Error already handled in processVideoToPath
     }
   };
 
+  const handleCancelProcessing = () => {
+    if (progress.jobId) {
+      window.electronAPI.cancelProcessing(progress.jobId);
+    }
+  };
+
+  const handleTogglePause = () => {
+    if (!progress.jobId) {
+      return;
+    }
+    if (progress.status === 'paused') {
+      window.electronAPI.resumeProcessing(progress.jobId);
+    } else {
+      window.electronAPI.pauseProcessing(progress.jobId);
+    }
+  };
+
   const handleSettingChange = (key, value) => {
     setSettings(prev => ({
       ...prev,
       [key]: value
     }));
+    if (selectedKeyframe !== null && KEYFRAMED_SETTINGS.includes(key)) {
+      handleKeyframeChange(selectedKeyframe, key, value);
+    }
+  };
+
+  // A keyframe at the playhead takes the current color, strength and feather;
+  // one already at that time is replaced
+  const handleAddKeyframe = () => {
+    const time = Math.round(playheadRef.current * 100) / 100;
+    const keyframe = {
+      time,
+      color: settings.color,
+      strength: settings.strength,
+      matteFeather: settings.matteFeather,
+      interpolation: 'linear'
+    };
+    const next = [...keyframes.filter(existing => existing.time !== time), keyframe]
+      .sort((a, b) => a.time - b.time);
+    setKeyframes(next);
+    setSelectedKeyframe(next.indexOf(keyframe));
+  };
+
+  const handleSelectKeyframe = (index) => {
+    setSelectedKeyframe(index);
+    if (index === null) {
+      return;
+    }
+    const keyframe = keyframes[index];
+    setSettings(prev => ({
+      ...prev,
+      color: keyframe.color,
+      strength: keyframe.strength,
+      matteFeather: keyframe.matteFeather
+    }));
+    setSeekRequest({ time: keyframe.time });
+  };
+
+  const handleKeyframeChange = (index, key, value) => {
+    setKeyframes(prev => prev.map((keyframe, i) => (i === index ? { ...keyframe, [key]: value } : keyframe)));
+  };
+
+  const handleRemoveKeyframe = (index) => {
+    setKeyframes(prev => prev.filter((keyframe, i) => i !== index));
+    setSelectedKeyframe(null);
+  };
+
+  const handleAddLayer = async () => {
+    if (!window.electronAPI) {
+      return;
+    }
+    const filePath = await window.electronAPI.selectVideoFile();
+    if (!filePath) {
+      return;
+    }
+    const id = Math.max(0, ...layers.filter(layer => layer.id !== MAIN_LAYER_ID).map(layer => layer.id)) + 1;
+    // A new layer starts from the main clip's key, shot on the same screen,
+    // and goes on top at the frame size
+    const layer = {
+      id,
+      path: filePath,
+      settings: { ...settings },
+      placement: { fgScale: 100, fgOffsetX: 0, fgOffsetY: 0, fgFlipH: false, fgFlipV: false },
+      correction: DEFAULT_COLOR_CORRECTION,
+      startOffset: 0
+    };
+    setLayers(prev => [layer, ...prev]);
+    setSelectedLayer(id);
+  };
+
+  const handleMoveLayer = (from, to) => {
+    setLayers(prev => {
+      const next = [...prev];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  };
+
+  const handleLayerChange = (id, group, key, value) => {
+    setLayers(prev => prev.map(layer => {
+      if (layer.id !== id) {
+        return layer;
+      }
+      return group ? { ...layer, [group]: { ...layer[group], [key]: value } } : { ...layer, [key]: value };
+    }));
+  };
+
+  const handleRemoveLayer = (id) => {
+    setLayers(prev => prev.filter(layer => layer.id !== id));
+    setSelectedLayer(null);
+    setMissingMedia(prev => {
+      const { [layerRole(id)]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleChooseLut = async (layerId = MAIN_LAYER_ID) => {
+    const lutPath = await window.electronAPI.selectLutFile();
+    if (!lutPath) {
+      return;
+    }
+    if (layerId === MAIN_LAYER_ID) {
+      setColorCorrection(prev => ({ ...prev, lutPath }));
+    } else {
+      handleLayerChange(layerId, 'correction', 'lutPath', lutPath);
+    }
+  };
+
+  // Auto-match: exposure, temperature and tint that move the clip's subject
+  // toward the background's average color at the playhead
+  const handleMatchLighting = async (layerId = MAIN_LAYER_ID) => {
+    const isMain = layerId === MAIN_LAYER_ID;
+    const layer = layers.find(candidate => candidate.id === layerId);
+    const clipKey = isMain ? keyParams : toKeyParams(layer.settings);
+    setMatchingLight(layerId);
+    try {
+      const matched = fromColorCorrectionParams(await window.electronAPI.matchLighting({
+        inputPath: isMain ? originalVideoPath : layer.path,
+        // A layer's own time at the playhead
+        time: Math.max(0, playheadRef.current - (isMain ? 0 : layer.startOffset)),
+        color: clipKey.color,
+        similarity: clipKey.similarity,
+        backgroundPath,
+        backgroundType,
+        ...backgroundParams
+      }));
+      if (isMain) {
+        setColorCorrection(prev => ({ ...prev, ...matched }));
+      } else {
+        setLayers(prev => prev.map(candidate => (candidate.id === layerId
+          ? { ...candidate, correction: { ...candidate.correction, ...matched } }
+          : candidate)));
+      }
+    } catch (error) {
+      alert(`Could not match the lighting: ${error.message}`);
+    } finally {
+      setMatchingLight(null);
+    }
+  };
+
+  const handleHsvAutoChange = (auto) => {
+    // Start manual tuning from the values derived from the current color
+    setSettings(prev => ({
+      ...prev,
+      ...(auto ? {} : colorToHsvKey(prev.color)),
+      hsvAuto: auto
+    }));
   };
 
   const handleSelectBackground = async (type) => {
@@ -183,36 +599,335 @@ function App() {
     }
 
     if (filePath) {
-      setBackgroundPath(filePath);
-      setBackgroundType(type);
+      await loadBackground(filePath, type);
+      setMissingMedia(prev => {
+        const { background, ...rest } = prev;
+        return rest;
+      });
     }
   };
 
+  // Generated backgrounds are drawn by FFmpeg and the preview, no file needed
+  const handleGenerateBackground = (type) => {
+    setBackgroundPath(null);
+    setBackgroundType(type);
+    setBackgroundUrl(null);
+  };
+
   const handleRemoveBackground = () => {
     setBackgroundPath(null);
     setBackgroundType(null);
+    setBackgroundUrl(null);
+  };
+
+  // Everything a project file restores besides the media
+  const buildProjectSettings = () => ({
+    keySettings: settings,
+    backgroundType,
+    generatedBackground,
+    backgroundEnd,
+    audioMode,
+    placement,
+    colorCorrection,
+    garbageMattes,
+    outputMode,
+    exportFormat,
+    encoderSettings,
+    trim,
+    keyframes,
+    // Layer clips are stored with the media
+    layers: layers.map(({ path, ...layer }) => layer)
+  });
+
+  const handleSaveProject = async (saveAs = false) => {
+    if (!window.electronAPI) {
+      return;
+    }
+    const project = {
+      // Media that is still missing keeps its last known location
+      media: {
+        input: originalVideoPath || missingMedia.input || null,
+        background: backgroundPath || missingMedia.background || null,
+        ...Object.fromEntries(layers
+          .filter(layer => layer.id !== MAIN_LAYER_ID)
+          .map(layer => [layerRole(layer.id), layer.path || missingMedia[layerRole(layer.id)] || null]))
+      },
+      settings: {
+        ...buildProjectSettings(),
+        backgroundType: backgroundPath || !missingMedia.background ? backgroundType : missingBackgroundTypeRef.current
+      }
+    };
+    try {
+      const savedPath = await window.electronAPI.saveProject(project, saveAs ? null : projectPath);
+      if (savedPath) {
+        setProjectPath(savedPath);
+        setRecentProjects(await window.electronAPI.getRecentProjects());
+      }
+    } catch (error) {
+      alert(`Could not save the project: ${error.message}`);
+    }
+  };
+
+  // Restores a project's settings, then its media; missing media is listed for relinking
+  const applyProject = async ({ media, missing, settings: saved }) => {
+    setSettings(prev => ({ ...prev, ...saved.keySettings }));
+    setGeneratedBackground(prev => ({ ...prev, ...saved.generatedBackground }));
+    setBackgroundEnd(saved.backgroundEnd || 'loop');
+    setAudioMode(saved.audioMode || 'foreground');
+    setPlacement(prev => ({ ...prev, ...saved.placement }));
+    setColorCorrection({ ...DEFAULT_COLOR_CORRECTION, ...saved.colorCorrection });
+    setGarbageMattes(saved.garbageMattes || []);
+    setGarbageTool(null);
+    setOutputMode(saved.outputMode || 'composite');
+    const format = saved.exportFormat || 'mp4';
+    setExportFormat(format);
+    setEncoderSettings(saved.encoderSettings || defaultEncoderSettings(format));
+    setTrim(saved.trim || { inPoint: null, outPoint: null });
+    setKeyframes(saved.keyframes || []);
+    setSelectedKeyframe(null);
+    setLayers((saved.layers || [{ id: MAIN_LAYER_ID }]).map(layer => (layer.id === MAIN_LAYER_ID
+      ? layer
+      : {
+        ...layer,
+        correction: { ...DEFAULT_COLOR_CORRECTION, ...layer.correction },
+        path: media[layerRole(layer.id)] || null
+      })));
+    setSelectedLayer(null);
+    setDetection(null);
+    setEyedropperActive(false);
+    setMissingMedia(missing);
+
+    if (media.input) {
+      await loadVideo(media.input);
+    } else {
+      setVideoPath(null);
+      setOriginalVideoPath(null);
+      setVideoUrl(null);
+      setOriginalVideoUrl(null);
+      setIsPreviewMode(false);
+    }
+
+    const hasBackgroundFile = saved.backgroundType === 'image' || saved.backgroundType === 'video';
+    missingBackgroundTypeRef.current = hasBackgroundFile ? saved.backgroundType : null;
+    if (hasBackgroundFile && media.background) {
+      await loadBackground(media.background, saved.backgroundType);
+    } else {
+      setBackgroundPath(null);
+      setBackgroundType(hasBackgroundFile ? null : saved.backgroundType || null);
+      setBackgroundUrl(null);
+    }
+  };
+
+  const handleOpenProject = async (path) => {
+    if (!window.electronAPI) {
+      return;
+    }
+    try {
+      const project = await window.electronAPI.openProject(path);
+      if (project) {
+        await applyProject(project);
+        setProjectPath(project.path);
+      }
+    } catch (error) {
+      alert(`Could not open the project: ${error.message}`);
+    }
+    setRecentProjects(await window.electronAPI.getRecentProjects());
+  };
+
+  const handleRelinkMedia = async (role) => {
+    const found = await window.electronAPI.relinkMedia(missingMedia, role);
+    if (!found) {
+      return;
+    }
+    if (found.input) {
+      await loadVideo(found.input);
+    }
+    if (found.background) {
+      await loadBackground(found.background, missingBackgroundTypeRef.current);
+    }
+    setLayers(prev => prev.map(layer => (found[layerRole(layer.id)]
+      ? { ...layer, path: found[layerRole(layer.id)] }
+      : layer)));
+    setMissingMedia(prev => Object.fromEntries(
+      Object.entries(prev).filter(([missingRole]) => !found[missingRole])
+    ));
+  };
+
+  // Preset handlers resolve to whether the change went through, so the panel
+  // only follows a renamed or deleted preset when it did
+  const updatePresets = async (change) => {
+    try {
+      setPresets(await change());
+      return true;
+    } catch (error) {
+      alert(`Could not update presets: ${error.message}`);
+      return false;
+    }
+  };
+
+  const handleSavePreset = (name) => updatePresets(() => window.electronAPI.savePreset(name, toPresetParams({
+    keyParams,
+    placementParams,
+    colorCorrectionParams,
+    backgroundType,
+    backgroundParams,
+    backgroundEnd,
+    audioMode
+  })));
+
+  const handleRenamePreset = (name, newName) => updatePresets(() => window.electronAPI.renamePreset(name, newName));
+
+  const handleDeletePreset = (name) => updatePresets(() => window.electronAPI.deletePreset(name));
+
+  const handleApplyPreset = (preset) => {
+    const applied = fromPresetParams(preset.options);
+    setSettings(prev => ({ ...prev, ...applied.settings }));
+    setPlacement(prev => ({ ...prev, ...applied.placement }));
+    setColorCorrection(prev => ({ ...prev, ...applied.correction }));
+    setGeneratedBackground(prev => ({ ...prev, ...applied.generatedBackground }));
+    if (applied.backgroundType) {
+      setBackgroundType(applied.backgroundType);
+      setBackgroundPath(null);
+      setBackgroundUrl(null);
+    }
+    if (applied.backgroundEnd) {
+      setBackgroundEnd(applied.backgroundEnd);
+    }
+    if (applied.audioMode) {
+      setAudioMode(applied.audioMode);
+    }
+    // The sliders now show the preset rather than the selected keyframe
+    setSelectedKeyframe(null);
+    setDetection(null);
+  };
+
+  const handleImportPresets = async () => {
+    try {
+      const result = await window.electronAPI.importPresets();
+      if (result) {
+        setPresets(result.presets);
+      }
+    } catch (error) {
+      alert(`Could not import presets: ${error.message}`);
+    }
+  };
+
+  const handleExportPresets = async () => {
+    try {
+      await window.electronAPI.exportPresets(null);
+    } catch (error) {
+      alert(`Could not export presets: ${error.message}`);
+    }
+  };
+
+  const handleToggleEyedropper = () => {
+    if (eyedropperActive) {
+      setEyedropperActive(false);
+      return;
+    }
+    // Sampling happens on the live preview, which shows the original frames
+    setLivePreview(true);
+    setIsPreviewMode(false);
+    setVideoUrl(originalVideoUrl);
+    setGarbageTool(null);
+    setEyedropperActive(true);
+  };
+
+  const handleGarbageToolChange = (tool) => {
+    if (tool) {
+      // Mattes are drawn over the live preview of the original frames
+      setLivePreview(true);
+      setIsPreviewMode(false);
+      setVideoUrl(originalVideoUrl);
+      setEyedropperActive(false);
+    }
+    setGarbageTool(tool);
+  };
+
+  const handleGarbageMatteDrawn = (matte) => {
+    setGarbageMattes(prev => [...prev, matte]);
+    setGarbageTool(null);
+  };
+
+  const handleSampleColor = async (region, time) => {
+    setEyedropperActive(false);
+    setSampledRegion(region);
+    try {
+      const color = await window.electronAPI.sampleColor(originalVideoPath, time, region);
+      handleSettingChange('color', color);
+    } catch (error) {
+      console.error('Error sampling color:', error);
+      alert(`Could not sample color: ${error.message}`);
+    }
+  };
+
+  const handleToggleLivePreview = () => {
+    if (livePreview && !isPreviewMode) {
+      setLivePreview(false);
+      return;
+    }
+    // Leave the rendered preview and go back to keying the original live
+    setLivePreview(true);
+    setIsPreviewMode(false);
+    setVideoUrl(originalVideoUrl);
   };
 
   return (
     <div className="App">
       <div className="container">
+        <ProjectPanel
+          projectPath={projectPath}
+          recentProjects={recentProjects}
+          missingMedia={missingMedia}
+          onOpen={handleOpenProject}
+          onSave={() => handleSaveProject(false)}
+          onSaveAs={() => handleSaveProject(true)}
+          onRelink={handleRelinkMedia}
+          disabled={processing}
+        />
         <div className="content">
           <div className="upload-section">
             <div className="video-preview">
-              {videoUrl ? (
+              {videoUrl && livePreview && !isPreviewMode ? (
+                <ChromaKeyPreview
+                  videoUrl={originalVideoUrl}
+                  keyParams={keyParams}
+                  placementParams={placementParams}
+                  colorCorrectionParams={colorCorrectionParams}
+                  backgroundUrl={backgroundUrl}
+                  backgroundType={backgroundType}
+                  backgroundParams={backgroundParams}
+                  backgroundEnd={backgroundEnd}
+                  eyedropper={eyedropperActive}
+                  sampleRegion={sampledRegion}
+                  onSample={handleSampleColor}
+                  garbageMattes={garbageMattes}
+                  garbageTool={garbageTool}
+                  onGarbageMatteDrawn={handleGarbageMatteDrawn}
+                  outputMode={outputMode}
+                  trim={trim}
+                  onTimeChange={handleTimeChange}
+                  keyframes={keyframeParams}
+                  seekRequest={seekRequest}
+                  still={stillInput}
+                />
+              ) : videoUrl && stillInput ? (
+                <img key={videoUrl} src={videoUrl} alt="" className="preview-video" />
+              ) : videoUrl ? (
                 <video
                   key={videoUrl}
                   ref={videoRef}
                   src={videoUrl}
                   controls
                   className="preview-video"
+                  onTimeUpdate={isPreviewMode ? undefined : (e) => handleTimeChange(e.target.currentTime)}
                 />
               ) : (
                 <div className="upload-placeholder">
                   <div className="upload-icon">📹</div>
-                  <p>No video selected</p>
+                  <p>No video or image selected</p>
                   <button className="btn btn-primary" onClick={handleSelectVideo}>
-                    Select Video File
+                    Select Video or Image
                   </button>
                 </div>
               )}
@@ -221,7 +936,14 @@ function App() {
             {videoUrl && (
               <div className="video-controls">
                 <button className="btn btn-new-video" onClick={handleSelectVideo}>
-                  <span className="btn-icon">↑</span> New Video
+                  <span className="btn-icon">↑</span> {stillInput ? 'New Image' : 'New Video'}
+                </button>
+                <button
+                  className={`btn btn-live ${livePreview && !isPreviewMode ? 'active' : ''}`}
+                  onClick={handleToggleLivePreview}
+                  title="Key the video or image in real time as settings change"
+                >
+                  Live
                 </button>
                 <button 
                   className="btn btn-preview" 
@@ -239,6 +961,27 @@ function App() {
                 </button>
               </div>
             )}
+
+            {originalVideoPath && !stillInput && (
+              <TrimPanel
+                trim={trim}
+                sectionLength={SECTION_LENGTH}
+                onSetIn={handleSetInPoint}
+                onSetOut={handleSetOutPoint}
+                onClear={() => setTrim({ inPoint: null, outPoint: null })}
+                onPreviewSection={handlePreviewSection}
+                disabled={processing || isPreviewMode}
+              />
+            )}
+
+            {originalVideoPath && (
+              <ClipInfoPanel
+                clips={[
+                  { label: 'Foreground', path: originalVideoPath, info: foregroundInfo },
+                  ...(backgroundPath ? [{ label: 'Background', path: backgroundPath, info: backgroundInfo }] : [])
+                ]}
+              />
+            )}
           </div>
 
           <div className="settings-section">
@@ -246,6 +989,17 @@ function App() {
               <span className="checkmark">✓</span>
               <h2>Chroma key</h2>
             </div>
+
+            <PresetPanel
+              presets={presets}
+              onApply={handleApplyPreset}
+              onSave={handleSavePreset}
+              onRename={handleRenamePreset}
+              onDelete={handleDeletePreset}
+              onImport={handleImportPresets}
+              onExport={handleExportPresets}
+              disabled={processing}
+            />
             
             <div className="setting-group">
               <label htmlFor="color">
@@ -263,8 +1017,29 @@ function App() {
                     className="color-input"
                   />
                   <span className="color-display" style={{ backgroundColor: settings.color }}></span>
+                  <button
+                    type="button"
+                    className={`btn-eyedropper ${eyedropperActive ? 'active' : ''}`}
+                    onClick={handleToggleEyedropper}
+                    disabled={!originalVideoPath || processing}
+                    title="Click or drag on the video to sample the screen color"
+                  >
+                    💧
+                  </button>
                 </div>
-                <span className="setting-hint">*First pick the color of the screen, then adj...</span>
+                {detection && !eyedropperActive && (
+                  <span className={`detection-info ${detection.confidence < 0.3 ? 'low' : ''}`}>
+                    {detection.confidence > 0
+                      ? `Detected ${detection.screen} screen (${Math.round(detection.confidence * 100)}% confidence)`
+                      : 'No green or blue screen detected'}
+                    {detection.confidence < 0.3 && ' - pick the color manually'}
+                  </span>
+                )}
+                <span className="setting-hint">
+                  {eyedropperActive
+                    ? 'Click or drag a rectangle on the video to sample the color'
+                    : '*First pick the color of the screen, then adj...'}
+                </span>
               </label>
             </div>
 
@@ -289,25 +1064,167 @@ function App() {
             </div>
 
             <div className="setting-group">
-              <label htmlFor="edgeBlur">
+              <label htmlFor="matteChoke">
                 <div className="label-row">
-                  <span>Edge Blur</span>
-                  <span className="value-display">{Math.round(settings.edgeBlur)}</span>
+                  <span>Choke</span>
+                  <span className="value-display">{settings.matteChoke} px</span>
                 </div>
                 <input
                   type="range"
-                  id="edgeBlur"
+                  id="matteChoke"
                   min="0"
-                  max="100"
+                  max="10"
+                  step="1"
+                  value={settings.matteChoke}
+                  onChange={(e) => handleSettingChange('matteChoke', parseInt(e.target.value))}
+                  disabled={processing}
+                  className="slider"
+                />
+                <span className="setting-hint">Shrinks the matte to cut away fringes</span>
+              </label>
+            </div>
+
+            <div className="setting-group">
+              <label htmlFor="matteExpand">
+                <div className="label-row">
+                  <span>Expand</span>
+                  <span className="value-display">{settings.matteExpand} px</span>
+                </div>
+                <input
+                  type="range"
+                  id="matteExpand"
+                  min="0"
+                  max="10"
                   step="1"
-                  value={settings.edgeBlur}
-                  onChange={(e) => handleSettingChange('edgeBlur', parseInt(e.target.value))}
+                  value={settings.matteExpand}
+                  onChange={(e) => handleSettingChange('matteExpand', parseInt(e.target.value))}
+                  disabled={processing}
+                  className="slider"
+                />
+                <span className="setting-hint">Grows the matte to recover thin details like hair</span>
+              </label>
+            </div>
+
+            <div className="setting-group">
+              <label htmlFor="matteFeather">
+                <div className="label-row">
+                  <span>Feather</span>
+                  <span className="value-display">{settings.matteFeather} px</span>
+                </div>
+                <input
+                  type="range"
+                  id="matteFeather"
+                  min="0"
+                  max="10"
+                  step="0.5"
+                  value={settings.matteFeather}
+                  onChange={(e) => handleSettingChange('matteFeather', parseFloat(e.target.value))}
                   disabled={processing}
                   className="slider"
                 />
+                <span className="setting-hint">Softens the matte edge without blurring the subject</span>
               </label>
             </div>
 
+            <div className="setting-group">
+              <label htmlFor="despill" className="checkbox-label">
+                <input
+                  type="checkbox"
+                  id="despill"
+                  checked={settings.despill}
+                  onChange={(e) => handleSettingChange('despill', e.target.checked)}
+                  disabled={processing}
+                />
+                Spill Suppression
+              </label>
+              <span className="setting-hint">Removes the screen's color cast from hair and edges</span>
+            </div>
+
+            {settings.despill && (
+              <div className="despill-settings">
+                <div className="setting-group">
+                  <label htmlFor="despillType">
+                    <span>Screen Color</span>
+                    <select
+                      id="despillType"
+                      value={settings.despillType}
+                      onChange={(e) => handleSettingChange('despillType', e.target.value)}
+                      disabled={processing}
+                      className="audio-select"
+                    >
+                      <option value="green">Green</option>
+                      <option value="blue">Blue</option>
+                    </select>
+                  </label>
+                </div>
+
+                <div className="setting-group">
+                  <label htmlFor="despillMix">
+                    <div className="label-row">
+                      <span>Mix</span>
+                      <span className="value-display">{(settings.despillMix / 100).toFixed(2)}</span>
+                    </div>
+                    <input
+                      type="range"
+                      id="despillMix"
+                      min="0"
+                      max="100"
+                      step="1"
+                      value={settings.despillMix}
+                      onChange={(e) => handleSettingChange('despillMix', parseInt(e.target.value))}
+                      disabled={processing}
+                      className="slider"
+                    />
+                    <span className="setting-hint">How much of the red channel is used to judge spill</span>
+                  </label>
+                </div>
+
+                <div className="setting-group">
+                  <label htmlFor="despillExpand">
+                    <div className="label-row">
+                      <span>Expand</span>
+                      <span className="value-display">{(settings.despillExpand / 100).toFixed(2)}</span>
+                    </div>
+                    <input
+                      type="range"
+                      id="despillExpand"
+                      min="0"
+                      max="100"
+                      step="1"
+                      value={settings.despillExpand}
+                      onChange={(e) => handleSettingChange('despillExpand', parseInt(e.target.value))}
+                      disabled={processing}
+                      className="slider"
+                    />
+                    <span className="setting-hint">Higher values remove more spill, at the cost of true greens</span>
+                  </label>
+                </div>
+              </div>
+            )}
+
+            {videoUrl && !stillInput && (
+              <KeyframePanel
+                keyframes={keyframes}
+                selectedIndex={selectedKeyframe}
+                onAdd={handleAddKeyframe}
+                onSelect={handleSelectKeyframe}
+                onChange={handleKeyframeChange}
+                onRemove={handleRemoveKeyframe}
+                hsvKeyer={settings.keyer === 'hsvkey'}
+                disabled={processing || isPreviewMode}
+              />
+            )}
+
+            {videoUrl && (
+              <GarbageMattePanel
+                mattes={garbageMattes}
+                tool={garbageTool}
+                onToolChange={handleGarbageToolChange}
+                onChange={setGarbageMattes}
+                disabled={processing}
+              />
+            )}
+
             <div className="setting-group">
               <label>
                 <div className="label-with-icon">
@@ -315,7 +1232,7 @@ function App() {
                   Background Replacement
                 </div>
                 <div className="background-controls">
-                  {!backgroundPath ? (
+                  {!backgroundType ? (
                     <div className="background-buttons">
                       <button
                         className="btn btn-secondary"
@@ -329,21 +1246,43 @@ function App() {
                         className="btn btn-secondary"
                         onClick={() => handleSelectBackground('video')}
                         disabled={processing}
-                        style={{ width: '100%' }}
+                        style={{ marginBottom: '8px', width: '100%' }}
                       >
                         Select Video Background
                       </button>
+                      <div className="generated-background-buttons">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleGenerateBackground('color')}
+                          disabled={processing}
+                        >
+                          Solid Color
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleGenerateBackground('gradient')}
+                          disabled={processing}
+                        >
+                          Gradient
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleGenerateBackground('blur')}
+                          disabled={processing}
+                        >
+                          Blurred Original
+                        </button>
+                      </div>
                     </div>
                   ) : (
                     <div className="background-selected">
                       <div className="background-info">
-                        <span className="background-type">
-                          {backgroundType === 'image' ? '🖼️' : '🎬'} 
-                          {backgroundType === 'image' ? 'Image' : 'Video'} Background
-                        </span>
-                        <span className="background-filename" title={backgroundPath}>
-                          {backgroundPath.split(/[/\\]/).pop()}
-                        </span>
+                        <span className="background-type">{BACKGROUND_LABELS[backgroundType]}</span>
+                        {backgroundPath && (
+                          <span className="background-filename" title={backgroundPath}>
+                            {backgroundPath.split(/[/\\]/).pop()}
+                          </span>
+                        )}
                       </div>
                       <button
                         className="btn-remove-background"
@@ -355,10 +1294,78 @@ function App() {
                     </div>
                   )}
                 </div>
-                <span className="setting-hint">Replace the removed green screen with an image or video</span>
+                <span className="setting-hint">
+                  Replace the removed green screen with an image or video, a color, a gradient or the blurred original
+                </span>
               </label>
+              <GeneratedBackgroundControls
+                type={backgroundType}
+                settings={generatedBackground}
+                onChange={(key, value) => setGeneratedBackground(prev => ({ ...prev, [key]: value }))}
+                disabled={processing}
+              />
             </div>
 
+            <PlacementPanel
+              placement={placement}
+              onChange={(key, value) => setPlacement(prev => ({ ...prev, [key]: value }))}
+              hasBackground={Boolean(backgroundPath)}
+              disabled={processing}
+            />
+
+            <ColorCorrectionPanel
+              idPrefix="fg"
+              title="Color Correction"
+              correction={colorCorrection}
+              onChange={(key, value) => setColorCorrection(prev => ({ ...prev, [key]: value }))}
+              onChooseLut={() => handleChooseLut()}
+              onMatch={backgroundType && originalVideoPath ? () => handleMatchLighting() : null}
+              matching={matchingLight === MAIN_LAYER_ID}
+              disabled={processing}
+            />
+
+            <LayerPanel
+              layers={layers}
+              mainPath={originalVideoPath}
+              selectedId={selectedLayer}
+              onAdd={handleAddLayer}
+              onSelect={setSelectedLayer}
+              onMove={handleMoveLayer}
+              onChange={handleLayerChange}
+              onRemove={handleRemoveLayer}
+              onChooseLut={handleChooseLut}
+              onMatchLighting={backgroundType ? handleMatchLighting : null}
+              matchingLight={matchingLight}
+              disabled={processing}
+            />
+
+            {(backgroundPath && backgroundType === 'video') && (
+              <div className="setting-group">
+                <label htmlFor="backgroundEnd">
+                  <div className="label-with-icon">
+                    <span className="icon-picker">🔁</span>
+                    When the Background Ends
+                  </div>
+                  <select
+                    id="backgroundEnd"
+                    value={backgroundEnd}
+                    onChange={(e) => setBackgroundEnd(e.target.value)}
+                    disabled={processing}
+                    className="audio-select"
+                  >
+                    <option value="loop">Loop the background</option>
+                    <option value="freeze">Freeze on its last frame</option>
+                    <option value="stop">Stop the output</option>
+                  </select>
+                  <span className="setting-hint">
+                    {backgroundEnd === 'loop' && 'A shorter background video restarts until the main video ends'}
+                    {backgroundEnd === 'freeze' && 'A shorter background video holds its last frame until the main video ends'}
+                    {backgroundEnd === 'stop' && 'The output ends with the background video if it is shorter'}
+                  </span>
+                </label>
+              </div>
+            )}
+
             {(backgroundPath && backgroundType === 'video') && (
               <div className="setting-group">
                 <label htmlFor="audioMode">
@@ -384,10 +1391,51 @@ function App() {
                     {audioMode === 'mix' && 'Mixes both audio tracks together'}
                     {audioMode === 'none' && 'Output will have no audio'}
                   </span>
+                  {audioMode !== 'none' && [foregroundInfo, backgroundInfo].some(info => info && info.hasAudio === false) && (
+                    <span className="setting-hint">
+                      {foregroundInfo && foregroundInfo.hasAudio === false && 'The main video has no audio. '}
+                      {backgroundInfo && backgroundInfo.hasAudio === false && 'The background video has no audio. '}
+                      Only the audio that exists is used.
+                    </span>
+                  )}
                 </label>
               </div>
             )}
 
+            <ExportSettingsPanel
+              format={exportFormat}
+              encoder={encoderSettings}
+              still={stillInput}
+              onChange={(format, encoder) => {
+                setExportFormat(format);
+                setEncoderSettings(encoder);
+              }}
+              disabled={processing}
+            />
+
+            <div className="setting-group">
+              <label htmlFor="outputMode">
+                <div className="label-with-icon">
+                  <span className="icon-picker">🔍</span>
+                  Output Mode
+                </div>
+                <select
+                  id="outputMode"
+                  value={outputMode}
+                  onChange={(e) => setOutputMode(e.target.value)}
+                  disabled={processing}
+                  className="audio-select"
+                >
+                  {OUTPUT_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+                <span className="setting-hint">
+                  {OUTPUT_MODES.find(mode => mode.value === outputMode).hint}
+                </span>
+              </label>
+            </div>
+
             <button 
               className="btn-advanced"
               onClick={() => setShowAdvanced(!showAdvanced)}
@@ -396,9 +1444,140 @@ function App() {
               Advanced Settings
             </button>
 
+            {showAdvanced && (
+              <div className="advanced-settings">
+                <div className="setting-group">
+                  <label htmlFor="keyer">
+                    <span>Keying method</span>
+                    <select
+                      id="keyer"
+                      value={settings.keyer}
+                      onChange={(e) => handleSettingChange('keyer', e.target.value)}
+                      disabled={processing}
+                      className="audio-select"
+                    >
+                      {KEYERS.map(keyer => (
+                        <option key={keyer.value} value={keyer.value}>{keyer.label}</option>
+                      ))}
+                    </select>
+                    <span className="setting-hint">
+                      {KEYERS.find(keyer => keyer.value === settings.keyer).hint}
+                    </span>
+                  </label>
+                </div>
+
+                <div className="setting-group">
+                  <label htmlFor="blend">
+                    <div className="label-row">
+                      <span>Blend</span>
+                      <span className="value-display">{(settings.blend / 100).toFixed(2)}</span>
+                    </div>
+                    <input
+                      type="range"
+                      id="blend"
+                      min="0"
+                      max="100"
+                      step="1"
+                      value={settings.blend}
+                      onChange={(e) => handleSettingChange('blend', parseInt(e.target.value))}
+                      disabled={processing}
+                      className="slider"
+                    />
+                    <span className="setting-hint">Softness of the transition between keyed and kept pixels</span>
+                  </label>
+                </div>
+
+                {settings.keyer === 'hsvkey' && (
+                  <>
+                    <div className="setting-group">
+                      <label htmlFor="hsvAuto" className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          id="hsvAuto"
+                          checked={settings.hsvAuto}
+                          onChange={(e) => handleHsvAutoChange(e.target.checked)}
+                          disabled={processing}
+                        />
+                        Derive hue, saturation and value from the key color
+                      </label>
+                    </div>
+
+                    {!settings.hsvAuto && (
+                      <>
+                        <div className="setting-group">
+                          <label htmlFor="hsvHue">
+                            <div className="label-row">
+                              <span>Hue</span>
+                              <span className="value-display">{settings.hsvHue}°</span>
+                            </div>
+                            <input
+                              type="range"
+                              id="hsvHue"
+                              min="0"
+                              max="360"
+                              step="1"
+                              value={settings.hsvHue}
+                              onChange={(e) => handleSettingChange('hsvHue', parseInt(e.target.value))}
+                              disabled={processing}
+                              className="slider"
+                            />
+                          </label>
+                        </div>
+
+                        <div className="setting-group">
+                          <label htmlFor="hsvSat">
+                            <div className="label-row">
+                              <span>Saturation</span>
+                              <span className="value-display">{settings.hsvSat.toFixed(2)}</span>
+                            </div>
+                            <input
+                              type="range"
+                              id="hsvSat"
+                              min="-1"
+                              max="1"
+                              step="0.01"
+                              value={settings.hsvSat}
+                              onChange={(e) => handleSettingChange('hsvSat', parseFloat(e.target.value))}
+                              disabled={processing}
+                              className="slider"
+                            />
+                          </label>
+                        </div>
+
+                        <div className="setting-group">
+                          <label htmlFor="hsvVal">
+                            <div className="label-row">
+                              <span>Value</span>
+                              <span className="value-display">{settings.hsvVal.toFixed(2)}</span>
+                            </div>
+                            <input
+                              type="range"
+                              id="hsvVal"
+                              min="-1"
+                              max="1"
+                              step="0.01"
+                              value={settings.hsvVal}
+                              onChange={(e) => handleSettingChange('hsvVal', parseFloat(e.target.value))}
+                              disabled={processing}
+                              className="slider"
+                            />
+                          </label>
+                        </div>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
+            <QueuePanel buildJobOptions={buildProcessOptions} />
+
             {processing && (
               <div className="progress-info">
-                <p>Status: {progress.status}</p>
+                <p>
+                  Status: {progress.status}
+                  {progress.status === 'processing' && progress.eta != null && ` · about ${formatTime(progress.eta)} left`}
+                </p>
                 {progress.percent > 0 && (
                   <div className="progress-bar">
                     <div
@@ -407,6 +1586,18 @@ function App() {
                     />
                   </div>
                 )}
+                {progress.jobId && (
+                  <div className="progress-actions">
+                    {window.electronAPI.pauseSupported && (
+                      <button className="btn-queue-action" onClick={handleTogglePause}>
+                        {progress.status === 'paused' ? 'Resume' : 'Pause'}
+                      </button>
+                    )}
+                    <button className="btn-queue-action" onClick={handleCancelProcessing}>
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -0,0 +1,648 @@
+import { hexToRgb } from './keyParams.js';
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_texCoord;
+
+void main() {
+  v_texCoord = vec2(a_position.x * 0.5 + 0.5, 0.5 - a_position.y * 0.5);
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+// Pass 1: the selected FFmpeg keyer, ported from its source.
+// chromakey: CCIR 601 U/V distance averaged over a 3x3 neighbourhood of the
+//   (4:2:0 subsampled) chroma plane.
+// colorkey: plain RGB distance.
+// hsvkey: distance between hue/saturation (U/V angle and length) and luma.
+// All of them map the distance to alpha via similarity/blend.
+// Then FFmpeg's despill: the spill map is how far the screen channel exceeds
+// a mix of the other two, and is subtracted from that channel.
+// The garbage mask uses the export's levels: black removes, white keeps.
+const KEY_SHADER = `
+precision mediump float;
+
+uniform sampler2D u_frame;
+uniform vec2 u_texel;
+uniform int u_keyer;
+uniform vec3 u_keyColor;
+uniform vec3 u_hsvKey;
+uniform float u_similarity;
+uniform float u_blend;
+uniform int u_despill;
+uniform float u_despillMix;
+uniform float u_despillExpand;
+uniform sampler2D u_garbage;
+uniform bool u_hasGarbage;
+varying vec2 v_texCoord;
+
+const float PI = 3.14159265;
+
+vec2 toChroma(vec3 rgb) {
+  return vec2(
+    dot(rgb, vec3(-0.16874, -0.33126, 0.5)),
+    dot(rgb, vec3(0.5, -0.41869, -0.08131))
+  ) * (224.0 / 255.0) + 0.5;
+}
+
+float toLuma(vec3 rgb) {
+  return (16.0 + dot(rgb, vec3(0.299, 0.587, 0.114)) * 219.0) / 255.0;
+}
+
+float chromakeyDiff() {
+  vec2 keyChroma = toChroma(u_keyColor);
+  float diff = 0.0;
+  for (int x = -1; x <= 1; x++) {
+    for (int y = -1; y <= 1; y++) {
+      vec2 offset = vec2(float(x), float(y)) * u_texel * 2.0;
+      vec2 d = toChroma(texture2D(u_frame, v_texCoord + offset).rgb) - keyChroma;
+      diff += sqrt(dot(d, d) / 2.0);
+    }
+  }
+  return diff / 9.0;
+}
+
+float colorkeyDiff(vec3 rgb) {
+  vec3 d = rgb - u_keyColor;
+  return sqrt(dot(d, d) / 3.0);
+}
+
+float hsvkeyDiff(vec3 rgb) {
+  vec2 uv = toChroma(rgb) - 0.5;
+  float hue = atan(uv.x, uv.y) + PI;
+  float sat = sqrt(dot(uv, uv) / 0.5);
+  float val = toLuma(rgb);
+  float keyHue = radians(u_hsvKey.x);
+  float keySat = u_hsvKey.y;
+  float keyVal = u_hsvKey.z;
+  return sqrt(max(sat * sat + keySat * keySat
+    - 2.0 * sat * keySat * cos(keyHue - hue)
+    + (val - keyVal) * (val - keyVal), 0.0));
+}
+
+vec3 despill(vec3 rgb) {
+  float factor = (1.0 - u_despillMix) * (1.0 - u_despillExpand);
+  if (u_despill == 1) {
+    float spill = max(rgb.g - (rgb.r * u_despillMix + rgb.b * factor), 0.0);
+    rgb.g = max(rgb.g - spill, 0.0);
+  } else if (u_despill == 2) {
+    float spill = max(rgb.b - (rgb.r * u_despillMix + rgb.g * factor), 0.0);
+    rgb.b = max(rgb.b - spill, 0.0);
+  }
+  return rgb;
+}
+
+void main() {
+  vec3 rgb = texture2D(u_frame, v_texCoord).rgb;
+  float diff;
+  if (u_keyer == 1) {
+    diff = colorkeyDiff(rgb);
+  } else if (u_keyer == 2) {
+    diff = hsvkeyDiff(rgb);
+  } else {
+    diff = chromakeyDiff();
+  }
+
+  float alpha = u_blend > 0.0001
+    ? clamp((diff - u_similarity) / u_blend, 0.0, 1.0)
+    : step(u_similarity, diff);
+
+  if (u_hasGarbage) {
+    float garbage = texture2D(u_garbage, v_texCoord).r;
+    alpha = garbage < 0.25 ? 0.0 : (garbage > 0.75 ? 1.0 : alpha);
+  }
+
+  gl_FragColor = vec4(despill(rgb), alpha);
+}
+`;
+
+const KEYER_INDEX = { chromakey: 0, colorkey: 1, hsvkey: 2 };
+
+// Matte passes: one separable direction of erosion (min), dilation (max) or
+// gaussian feather, applied to alpha only so the color is never blurred.
+// A square min/max window is separable, so two passes match FFmpeg's repeated
+// 3x3 erosion/dilation. Offscreen textures are stored bottom-up, so sampling
+// at the flipped coordinate keeps each pass in the same orientation.
+const MATTE_SHADER = `
+precision mediump float;
+
+uniform sampler2D u_source;
+uniform vec2 u_step;
+uniform int u_mode;
+uniform float u_radius;
+varying vec2 v_texCoord;
+
+const int MAX_TAPS = 32;
+
+void main() {
+  vec2 coord = vec2(v_texCoord.x, 1.0 - v_texCoord.y);
+  vec4 center = texture2D(u_source, coord);
+  float alpha = center.a;
+  float weightSum = 1.0;
+
+  for (int i = 1; i <= MAX_TAPS; i++) {
+    float offset = float(i);
+    if (offset > (u_mode == 2 ? ceil(u_radius * 3.0) : u_radius)) {
+      break;
+    }
+    float a1 = texture2D(u_source, coord + u_step * offset).a;
+    float a2 = texture2D(u_source, coord - u_step * offset).a;
+    if (u_mode == 0) {
+      alpha = min(alpha, min(a1, a2));
+    } else if (u_mode == 1) {
+      alpha = max(alpha, max(a1, a2));
+    } else {
+      float weight = exp(-(offset * offset) / (2.0 * u_radius * u_radius));
+      alpha += (a1 + a2) * weight;
+      weightSum += 2.0 * weight;
+    }
+  }
+
+  gl_FragColor = vec4(center.rgb, alpha / weightSum);
+}
+`;
+
+const MATTE_MODES = { erode: 0, dilate: 1, feather: 2 };
+
+// Pass 3: composite over the background or a transparency checkerboard, or
+// one of the export's debug views: the matte in black/white, the checkerboard
+// even with a background, or original | matte | result side by side.
+const COMPOSITE_SHADER = `
+precision mediump float;
+
+uniform sampler2D u_keyed;
+uniform sampler2D u_background;
+uniform sampler2D u_frame;
+uniform bool u_hasBackground;
+uniform int u_outputMode;
+uniform float u_fgScale;
+uniform vec2 u_fgOffset;
+uniform vec2 u_fgFlip;
+uniform vec2 u_bgSize;
+uniform vec3 u_letterbox;
+uniform int u_bgMode;
+uniform vec3 u_bgStart;
+uniform vec3 u_bgEnd;
+uniform vec3 u_gradientDir;
+uniform float u_bgBlur;
+uniform vec2 u_texel;
+uniform vec3 u_gains;
+uniform float u_contrast;
+uniform float u_saturation;
+varying vec2 v_texCoord;
+
+vec3 checkerboard() {
+  vec2 cell = floor(gl_FragCoord.xy / 16.0);
+  return mod(cell.x + cell.y, 2.0) < 1.0 ? vec3(0.8) : vec3(0.6);
+}
+
+bool inFrame(vec2 coord) {
+  return all(greaterThanEqual(coord, vec2(0.0))) && all(lessThanEqual(coord, vec2(1.0)));
+}
+
+// Sparse 7x7 gaussian of the source frame; close enough to gblur for a preview
+vec3 blurredFrame(vec2 coord) {
+  vec2 spacing = u_texel * u_bgBlur / 1.5;
+  vec3 sum = vec3(0.0);
+  float total = 0.0;
+  for (int y = -3; y <= 3; y++) {
+    for (int x = -3; x <= 3; x++) {
+      float weight = exp(-float(x * x + y * y) / 4.5);
+      sum += texture2D(u_frame, coord + vec2(float(x), float(y)) * spacing).rgb * weight;
+      total += weight;
+    }
+  }
+  return sum / total;
+}
+
+// Background as the export draws it: a generated color, gradient or blur, or
+// the image/video fitted to the frame (u_bgSize is its size relative to the
+// frame, centered, with the letterbox color where it doesn't reach)
+vec3 background(vec2 coord) {
+  if (u_bgMode == 1) {
+    return u_bgStart;
+  }
+  if (u_bgMode == 2 || u_bgMode == 3) {
+    float t = u_bgMode == 2
+      ? 0.5 + dot(coord - 0.5, u_gradientDir.xy) / u_gradientDir.z
+      : length(coord - 0.5) / length(vec2(0.5));
+    return mix(u_bgStart, u_bgEnd, clamp(t, 0.0, 1.0));
+  }
+  if (u_bgMode == 4) {
+    return blurredFrame(coord);
+  }
+  vec2 bgCoord = (coord - 0.5) / u_bgSize + 0.5;
+  return inFrame(bgCoord) ? texture2D(u_background, bgCoord).rgb : u_letterbox;
+}
+
+// Foreground color correction as buildColorCorrectionFilter applies it:
+// per-channel gains and contrast around mid-gray, then saturation around luma
+vec3 correct(vec3 color) {
+  color = clamp(0.5 + (color * u_gains - 0.5) * u_contrast, 0.0, 1.0);
+  float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+  return clamp(mix(vec3(luma), color, u_saturation), 0.0, 1.0);
+}
+
+// When placed, the foreground is scaled, moved and flipped like the export
+vec3 composite(vec2 coord, bool useBackground, bool placed) {
+  vec2 fgCoord = coord;
+  if (placed) {
+    fgCoord = (coord - 0.5 - u_fgOffset) / u_fgScale + 0.5;
+    fgCoord = mix(fgCoord, 1.0 - fgCoord, u_fgFlip);
+  }
+  // The offscreen passes are stored bottom-up
+  vec4 fg = inFrame(fgCoord) ? texture2D(u_keyed, vec2(fgCoord.x, 1.0 - fgCoord.y)) : vec4(0.0);
+  vec3 bg = useBackground ? background(coord) : checkerboard();
+  return mix(bg, correct(fg.rgb), fg.a);
+}
+
+float matte(vec2 coord) {
+  return texture2D(u_keyed, vec2(coord.x, 1.0 - coord.y)).a;
+}
+
+void main() {
+  vec3 color;
+  if (u_outputMode == 1) {
+    color = vec3(matte(v_texCoord));
+  } else if (u_outputMode == 2) {
+    float panel = floor(v_texCoord.x * 3.0);
+    vec2 coord = vec2(fract(v_texCoord.x * 3.0), v_texCoord.y);
+    if (panel < 1.0) {
+      color = texture2D(u_frame, coord).rgb;
+    } else if (panel < 2.0) {
+      color = vec3(matte(coord));
+    } else {
+      // Like the export, the checkerboard result shows the key unplaced
+      color = composite(coord, u_hasBackground, u_hasBackground);
+    }
+  } else if (u_outputMode == 3) {
+    color = composite(v_texCoord, false, false);
+  } else {
+    color = composite(v_texCoord, u_hasBackground, true);
+  }
+  gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+const OUTPUT_MODE_INDEX = { composite: 0, matte: 1, split: 2, checkerboard: 3 };
+
+/**
+ * Shader mode and uniforms for a generated background, as described by the
+ * `process-video` options (see toBackgroundParams). Mode 0 is an image or video.
+ */
+function generatedBackgroundUniforms(type, params) {
+  if (type === 'color') {
+    return { mode: 1, start: hexToRgb(params.backgroundColor), end: [0, 0, 0] };
+  }
+  if (type === 'gradient') {
+    const radians = ((params.gradientAngle || 0) * Math.PI) / 180;
+    const direction = [Math.cos(radians), Math.sin(radians)];
+    return {
+      mode: params.gradientType === 'radial' ? 3 : 2,
+      start: hexToRgb(params.gradientStart),
+      end: hexToRgb(params.gradientEnd),
+      direction: [...direction, Math.abs(direction[0]) + Math.abs(direction[1])]
+    };
+  }
+  if (type === 'blur') {
+    return { mode: 4, blur: params.backgroundBlur };
+  }
+  return { mode: 0 };
+}
+
+/**
+ * Draws garbage mattes the way garbageMatte.js rasterizes them for the export:
+ * mid-gray background, remove regions in black, then keep regions in white.
+ */
+function drawGarbageMask(canvas, mattes, width, height) {
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgb(128, 128, 128)';
+  context.fillRect(0, 0, width, height);
+  for (const mode of ['remove', 'keep']) {
+    context.fillStyle = mode === 'keep' ? '#fff' : '#000';
+    for (const matte of mattes.filter(m => m.mode === mode)) {
+      context.beginPath();
+      matte.points.forEach((point, index) => {
+        const method = index === 0 ? 'moveTo' : 'lineTo';
+        context[method](point.x * width, point.y * height);
+      });
+      context.closePath();
+      context.fill('evenodd');
+    }
+  }
+}
+
+function createTexture(gl) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  return texture;
+}
+
+/**
+ * Renders video frames through a WebGL approximation of the export filter graph
+ * (keyer + despill + garbage mattes + matte refinement + overlay), so key settings can be tuned without re-encoding.
+ */
+export class ChromaKeyRenderer {
+  constructor(canvas) {
+    const gl = canvas.getContext('webgl', { premultipliedAlpha: false });
+    if (!gl) {
+      throw new Error('WebGL is not available');
+    }
+    this.canvas = canvas;
+    this.gl = gl;
+
+    this.keyProgram = createProgram(gl, KEY_SHADER);
+    this.matteProgram = createProgram(gl, MATTE_SHADER);
+    this.compositeProgram = createProgram(gl, COMPOSITE_SHADER);
+
+    this.quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+    this.frameTexture = createTexture(gl);
+    this.backgroundTexture = createTexture(gl);
+    // Offscreen targets: the keyed frame plus two ping-pong buffers for matte passes
+    this.targets = [0, 1, 2].map(() => ({
+      texture: createTexture(gl),
+      framebuffer: gl.createFramebuffer()
+    }));
+    this.garbageTexture = createTexture(gl);
+    this.garbageCanvas = document.createElement('canvas');
+    this.garbageMattes = [];
+    this.garbageDirty = false;
+    this.outputMode = 'composite';
+    this.placement = {};
+    this.generatedBackground = { mode: 0 };
+    this.colorCorrection = {};
+    this.colorGains = [1, 1, 1];
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * Selects the view drawn to the canvas, matching the `outputMode` job option.
+   * The split view makes the canvas three frames wide.
+   */
+  setOutputMode(mode) {
+    this.outputMode = mode || 'composite';
+  }
+
+  /**
+   * Sets the background fit and foreground transform, as returned by toPlacementParams.
+   */
+  setPlacement(placement) {
+    this.placement = placement || {};
+  }
+
+  /**
+   * Sets the foreground color correction, as returned by toColorCorrectionParams.
+   * The LUT isn't previewed.
+   */
+  setColorCorrection(correction) {
+    const next = correction || {};
+    if (next !== this.colorCorrection && window.electronAPI) {
+      // The gains come from the main process, so they match the export's
+      this.colorGains = window.electronAPI.colorGains(next);
+    }
+    this.colorCorrection = next;
+  }
+
+  /**
+   * Draws a generated background ('color', 'gradient' or 'blur') instead of
+   * the background element; any other type uses the element.
+   * @param {Object} params - The background options, as returned by toBackgroundParams
+   */
+  setGeneratedBackground(type, params) {
+    this.generatedBackground = generatedBackgroundUniforms(type, params || {});
+  }
+
+  /**
+   * Size of the fitted background relative to the frame, as buildBackgroundFilters
+   * sizes it: the frame itself when stretched, otherwise by aspect ratio.
+   */
+  backgroundSize(background) {
+    const fit = this.placement.backgroundFit || 'stretch';
+    const width = background.videoWidth || background.naturalWidth;
+    const height = background.videoHeight || background.naturalHeight;
+    if (fit === 'stretch' || !width || !height) {
+      return [1, 1];
+    }
+    const ratio = (width / height) / (this.width / this.height);
+    const wider = fit === 'contain' ? ratio > 1 : ratio < 1;
+    return wider ? [1, 1 / ratio] : [ratio, 1];
+  }
+
+  /**
+   * Sets the garbage mattes (normalized polygons, as in the `garbageMattes`
+   * job option). The mask is redrawn lazily at the frame size.
+   */
+  setGarbageMattes(mattes) {
+    if (mattes !== this.garbageMattes) {
+      this.garbageMattes = mattes || [];
+      this.garbageDirty = true;
+    }
+  }
+
+  resize(width, height) {
+    const canvasWidth = this.outputMode === 'split' ? width * 3 : width;
+    if (this.canvas.width !== canvasWidth || this.canvas.height !== height) {
+      this.canvas.width = canvasWidth;
+      this.canvas.height = height;
+    }
+    if (width === this.width && height === this.height) {
+      return;
+    }
+    const { gl } = this;
+    this.width = width;
+    this.height = height;
+    this.garbageDirty = true;
+
+    for (const target of this.targets) {
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  drawQuad(program) {
+    const { gl } = this;
+    const location = gl.getAttribLocation(program, 'a_position');
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  /**
+   * Runs the matte operations in FFmpeg's order (choke, expand, feather),
+   * each as a horizontal then a vertical pass between the ping-pong targets.
+   * @returns {Object} The target holding the refined frame
+   */
+  refineMatte(source, params) {
+    const { gl } = this;
+    const operations = [
+      ['erode', params.matteChoke || 0],
+      ['dilate', params.matteExpand || 0],
+      ['feather', params.matteFeather || 0]
+    ].filter(([, radius]) => radius > 0);
+    if (operations.length === 0) {
+      return source;
+    }
+
+    gl.useProgram(this.matteProgram);
+    gl.uniform1i(gl.getUniformLocation(this.matteProgram, 'u_source'), 0);
+    let current = source;
+    let nextIndex = 1;
+    for (const [mode, radius] of operations) {
+      gl.uniform1i(gl.getUniformLocation(this.matteProgram, 'u_mode'), MATTE_MODES[mode]);
+      gl.uniform1f(gl.getUniformLocation(this.matteProgram, 'u_radius'), radius);
+      for (const step of [[1 / this.width, 0], [0, 1 / this.height]]) {
+        const target = this.targets[nextIndex];
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, current.texture);
+        gl.uniform2fv(gl.getUniformLocation(this.matteProgram, 'u_step'), step);
+        this.drawQuad(this.matteProgram);
+        current = target;
+        nextIndex = nextIndex === 1 ? 2 : 1;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Draws one frame.
+   * @param {HTMLVideoElement|HTMLImageElement} video - Foreground source
+   * @param {HTMLImageElement|HTMLVideoElement|null} background - Fitted to the frame as set by setPlacement
+   * @param {Object} params - FFmpeg key parameters, as returned by toKeyParams
+   */
+  render(video, background, params) {
+    const width = video.videoWidth || video.naturalWidth;
+    const height = video.videoHeight || video.naturalHeight;
+    if (!width || !height) {
+      return;
+    }
+    const { gl } = this;
+    this.resize(width, height);
+    const texel = [1 / this.width, 1 / this.height];
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.frameTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+
+    // Pass 1: key into the offscreen texture
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[0].framebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+    gl.useProgram(this.keyProgram);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_frame'), 0);
+    gl.uniform2fv(gl.getUniformLocation(this.keyProgram, 'u_texel'), texel);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_keyer'), KEYER_INDEX[params.keyer] || 0);
+    gl.uniform3fv(gl.getUniformLocation(this.keyProgram, 'u_keyColor'), hexToRgb(params.color));
+    gl.uniform3fv(gl.getUniformLocation(this.keyProgram, 'u_hsvKey'), [
+      params.hsvHue || 0,
+      params.hsvSat || 0,
+      params.hsvVal || 0
+    ]);
+    gl.uniform1f(gl.getUniformLocation(this.keyProgram, 'u_similarity'), params.similarity);
+    gl.uniform1f(gl.getUniformLocation(this.keyProgram, 'u_blend'), params.blend);
+    gl.uniform1i(
+      gl.getUniformLocation(this.keyProgram, 'u_despill'),
+      params.despill ? (params.despillType === 'blue' ? 2 : 1) : 0
+    );
+    gl.uniform1f(gl.getUniformLocation(this.keyProgram, 'u_despillMix'), params.despillMix || 0);
+    gl.uniform1f(gl.getUniformLocation(this.keyProgram, 'u_despillExpand'), params.despillExpand || 0);
+
+    const hasGarbage = this.garbageMattes.length > 0;
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.garbageTexture);
+    if (hasGarbage && this.garbageDirty) {
+      drawGarbageMask(this.garbageCanvas, this.garbageMattes, this.width, this.height);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.garbageCanvas);
+      this.garbageDirty = false;
+    }
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_garbage'), 1);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_hasGarbage'), hasGarbage ? 1 : 0);
+    this.drawQuad(this.keyProgram);
+
+    // Pass 2: erode/dilate/feather the alpha
+    const keyed = this.refineMatte(this.targets[0], params);
+
+    // Pass 3: composite to the canvas
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.useProgram(this.compositeProgram);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, keyed.texture);
+    gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_keyed'), 0);
+
+    const generated = this.generatedBackground;
+    const hasElement = generated.mode === 0 && Boolean(background && (background.videoWidth || background.naturalWidth));
+    const hasBackground = hasElement || generated.mode !== 0;
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.backgroundTexture);
+    if (hasElement) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, background);
+    }
+    gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_background'), 1);
+    gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_hasBackground'), hasBackground ? 1 : 0);
+
+    const placement = this.placement;
+    gl.uniform1f(gl.getUniformLocation(this.compositeProgram, 'u_fgScale'), placement.fgScale || 1);
+    gl.uniform2fv(gl.getUniformLocation(this.compositeProgram, 'u_fgOffset'), [
+      placement.fgOffsetX || 0,
+      placement.fgOffsetY || 0
+    ]);
+    gl.uniform2fv(gl.getUniformLocation(this.compositeProgram, 'u_fgFlip'), [
+      placement.fgFlipH ? 1 : 0,
+      placement.fgFlipV ? 1 : 0
+    ]);
+    gl.uniform2fv(
+      gl.getUniformLocation(this.compositeProgram, 'u_bgSize'),
+      hasElement ? this.backgroundSize(background) : [1, 1]
+    );
+    gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_bgMode'), generated.mode);
+    gl.uniform3fv(gl.getUniformLocation(this.compositeProgram, 'u_bgStart'), generated.start || [0, 0, 0]);
+    gl.uniform3fv(gl.getUniformLocation(this.compositeProgram, 'u_bgEnd'), generated.end || [0, 0, 0]);
+    gl.uniform3fv(gl.getUniformLocation(this.compositeProgram, 'u_gradientDir'), generated.direction || [1, 0, 1]);
+    gl.uniform1f(gl.getUniformLocation(this.compositeProgram, 'u_bgBlur'), generated.blur || 0);
+    gl.uniform2fv(gl.getUniformLocation(this.compositeProgram, 'u_texel'), texel);
+    const correction = this.colorCorrection;
+    gl.uniform3fv(gl.getUniformLocation(this.compositeProgram, 'u_gains'), this.colorGains);
+    gl.uniform1f(gl.getUniformLocation(this.compositeProgram, 'u_contrast'), correction.fgContrast || 1);
+    gl.uniform1f(gl.getUniformLocation(this.compositeProgram, 'u_saturation'),
+      correction.fgSaturation !== undefined ? correction.fgSaturation : 1);
+    gl.uniform3fv(
+      gl.getUniformLocation(this.compositeProgram, 'u_letterbox'),
+      hexToRgb(placement.letterboxColor || '0x000000')
+    );
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.frameTexture);
+    gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_frame'), 2);
+    gl.uniform1i(gl.getUniformLocation(this.compositeProgram, 'u_outputMode'), OUTPUT_MODE_INDEX[this.outputMode] || 0);
+    this.drawQuad(this.compositeProgram);
+  }
+
+  dispose() {
+    const { gl } = this;
+    gl.deleteTexture(this.frameTexture);
+    gl.deleteTexture(this.backgroundTexture);
+    gl.deleteTexture(this.garbageTexture);
+    for (const target of this.targets) {
+      gl.deleteTexture(target.texture);
+      gl.deleteFramebuffer(target.framebuffer);
+    }
+    gl.deleteBuffer(this.quad);
+    gl.deleteProgram(this.keyProgram);
+    gl.deleteProgram(this.matteProgram);
+    gl.deleteProgram(this.compositeProgram);
+  }
+}
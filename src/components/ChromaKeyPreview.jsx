@@ -0,0 +1,566 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { ChromaKeyRenderer } from '../chromaKeyRenderer.js';
+import { formatTime } from '../formatTime.js';
+import { keyframeSpans, keyframeValuesAt } from '../keyframes.js';
+
+// Size of the area averaged when the eyedropper is clicked rather than dragged
+const POINT_SAMPLE_SIZE = 5;
+
+// Clicking within this many screen pixels of the first point closes a polygon
+const CLOSE_DISTANCE = 10;
+
+/**
+ * Maps between video pixels and the canvas element, which is letterboxed by object-fit: contain.
+ */
+function getContentBox(canvas) {
+  const rect = canvas.getBoundingClientRect();
+  const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+  return {
+    rect,
+    scale,
+    offsetX: (rect.width - canvas.width * scale) / 2,
+    offsetY: (rect.height - canvas.height * scale) / 2
+  };
+}
+
+function clientToVideo(canvas, clientX, clientY) {
+  const { rect, scale, offsetX, offsetY } = getContentBox(canvas);
+  return {
+    x: Math.min(canvas.width, Math.max(0, (clientX - rect.left - offsetX) / scale)),
+    y: Math.min(canvas.height, Math.max(0, (clientY - rect.top - offsetY) / scale))
+  };
+}
+
+function toRegion(canvas, start, end) {
+  let x = Math.min(start.x, end.x);
+  let y = Math.min(start.y, end.y);
+  let width = Math.abs(end.x - start.x);
+  let height = Math.abs(end.y - start.y);
+
+  if (width < POINT_SAMPLE_SIZE && height < POINT_SAMPLE_SIZE) {
+    width = POINT_SAMPLE_SIZE;
+    height = POINT_SAMPLE_SIZE;
+    x = end.x - POINT_SAMPLE_SIZE / 2;
+    y = end.y - POINT_SAMPLE_SIZE / 2;
+  }
+
+  width = Math.max(1, Math.min(Math.round(width), canvas.width));
+  height = Math.max(1, Math.min(Math.round(height), canvas.height));
+  x = Math.min(Math.max(0, Math.round(x)), canvas.width - width);
+  y = Math.min(Math.max(0, Math.round(y)), canvas.height - height);
+  return { x, y, width, height };
+}
+
+function toNormalized(canvas, point) {
+  return { x: point.x / canvas.width, y: point.y / canvas.height };
+}
+
+function rectToPoints(start, end) {
+  return [
+    { x: start.x, y: start.y },
+    { x: end.x, y: start.y },
+    { x: end.x, y: end.y },
+    { x: start.x, y: end.y }
+  ];
+}
+
+/**
+ * Live chroma-key preview: plays the original video and keys every frame on a
+ * WebGL canvas with the current parameters, so slider changes show up instantly.
+ * With `eyedropper` set, clicking or dragging on the frame reports the region to `onSample`.
+ * With `garbageTool` set ({ mode, shape }), a rectangle is dragged or a polygon is
+ * clicked point by point, and the finished matte is reported to `onGarbageMatteDrawn`.
+ * `outputMode` shows the same debug views as the export ('matte', 'split', 'checkerboard').
+ * `placementParams` fits the background and places the subject like the export,
+ * and `colorCorrectionParams` corrects the subject's color (all but the LUT).
+ * `backgroundParams` describes a generated background ('color', 'gradient', 'blur'
+ * as `backgroundType`), drawn by the renderer instead of an image or video.
+ * A background video follows the foreground's playback, looping or holding its
+ * last frame past its end as `backgroundEnd` says.
+ * `trim` ({ inPoint, outPoint } in seconds) is marked on the seek bar, and
+ * `onTimeChange` receives the playhead position.
+ * `keyframes` (`process-video` keyframes) override the key color, similarity
+ * and feather frame by frame and are marked on the seek bar; a new
+ * `seekRequest` ({ time }) moves the playhead.
+ * With `still` set, `videoUrl` is a still image, keyed without playback controls.
+ */
+function ChromaKeyPreview({
+  videoUrl,
+  keyParams,
+  placementParams,
+  colorCorrectionParams,
+  backgroundUrl,
+  backgroundType,
+  backgroundParams,
+  backgroundEnd = 'loop',
+  eyedropper = false,
+  sampleRegion = null,
+  onSample,
+  garbageMattes = [],
+  garbageTool = null,
+  onGarbageMatteDrawn,
+  outputMode = 'composite',
+  trim = null,
+  onTimeChange,
+  keyframes = [],
+  seekRequest = null,
+  still = false
+}) {
+  const canvasRef = useRef(null);
+  const videoRef = useRef(null);
+  const imageRef = useRef(null);
+  const backgroundRef = useRef(null);
+  const rendererRef = useRef(null);
+  const paramsRef = useRef(keyParams);
+  const spans = useMemo(() => keyframeSpans(keyframes), [keyframes]);
+  const spansRef = useRef(spans);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [error, setError] = useState(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragRegion, setDragRegion] = useState(null);
+  const [draft, setDraft] = useState(null); // matte being drawn: { points, cursor, dragging }
+  const [, setLayoutVersion] = useState(0);
+
+  paramsRef.current = keyParams;
+  spansRef.current = spans;
+
+  const draw = useCallback(() => {
+    // A still image is keyed at time 0
+    const source = imageRef.current || videoRef.current;
+    if (rendererRef.current && source) {
+      const params = spansRef.current.length > 0
+        ? { ...paramsRef.current, ...keyframeValuesAt(spansRef.current, source.currentTime || 0) }
+        : paramsRef.current;
+      rendererRef.current.render(source, backgroundRef.current, params);
+    }
+  }, []);
+
+  useEffect(() => {
+    try {
+      rendererRef.current = new ChromaKeyRenderer(canvasRef.current);
+    } catch (err) {
+      console.error('Live preview unavailable:', err);
+      setError(err.message);
+    }
+    return () => {
+      if (rendererRef.current) {
+        rendererRef.current.dispose();
+        rendererRef.current = null;
+      }
+    };
+  }, []);
+
+  // Sampling and drawing map the canvas 1:1 to the frame, so the split view
+  // falls back to the normal composite while a tool is active
+  const viewMode = (eyedropper || garbageTool) && outputMode === 'split' ? 'composite' : outputMode;
+
+  // Redraw the paused frame whenever the key settings, garbage mattes, placement, color or view change
+  useEffect(() => {
+    if (rendererRef.current) {
+      rendererRef.current.setGarbageMattes(garbageMattes);
+      rendererRef.current.setOutputMode(viewMode);
+      rendererRef.current.setPlacement(placementParams);
+      rendererRef.current.setColorCorrection(colorCorrectionParams);
+      rendererRef.current.setGeneratedBackground(backgroundType, backgroundParams);
+    }
+    draw();
+  }, [
+    keyParams, keyframes, garbageMattes, placementParams, colorCorrectionParams,
+    backgroundType, backgroundParams, viewMode, draw
+  ]);
+
+  // Render loop while playing
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+    let frameRequest;
+    const loop = () => {
+      draw();
+      frameRequest = requestAnimationFrame(loop);
+    };
+    frameRequest = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(frameRequest);
+  }, [playing, draw]);
+
+  // Still image input: decoded once, redrawn as settings change
+  useEffect(() => {
+    imageRef.current = null;
+    if (!still || !videoUrl) {
+      return undefined;
+    }
+    let stale = false;
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      if (!stale) {
+        imageRef.current = image;
+        draw();
+      }
+    };
+    image.src = videoUrl;
+    return () => {
+      stale = true;
+    };
+  }, [still, videoUrl, draw]);
+
+  // Background image: decoded once; background video: follows the foreground playback
+  useEffect(() => {
+    if (backgroundType === 'video') {
+      return undefined;
+    }
+    backgroundRef.current = null;
+    if (!backgroundUrl) {
+      draw();
+      return undefined;
+    }
+    let stale = false;
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      if (!stale) {
+        backgroundRef.current = image;
+        draw();
+      }
+    };
+    image.src = backgroundUrl;
+    return () => {
+      stale = true;
+    };
+  }, [backgroundUrl, backgroundType, draw]);
+
+  const backgroundVideoRef = useCallback((element) => {
+    backgroundRef.current = element;
+  }, []);
+
+  const syncBackgroundVideo = () => {
+    const background = backgroundRef.current;
+    const video = videoRef.current;
+    if (!background || backgroundType !== 'video' || !video) {
+      return;
+    }
+    const ended = background.duration && video.currentTime >= background.duration;
+    if (background.duration) {
+      // 'freeze' and 'stop' both hold the last frame; the export ends early on 'stop'
+      background.currentTime = backgroundEnd === 'loop'
+        ? video.currentTime % background.duration
+        : Math.min(video.currentTime, background.duration);
+    }
+    if (video.paused || (ended && backgroundEnd !== 'loop')) {
+      background.pause();
+    } else {
+      background.play().catch(() => {});
+    }
+  };
+
+  // Re-position the region overlay when the canvas is resized
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new ResizeObserver(() => setLayoutVersion(v => v + 1));
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  // Sample and draw on a still frame
+  useEffect(() => {
+    if ((eyedropper || garbageTool) && videoRef.current) {
+      videoRef.current.pause();
+    }
+  }, [eyedropper, garbageTool]);
+
+  // Switching tools drops an unfinished matte; Escape cancels it
+  useEffect(() => {
+    setDraft(null);
+    if (!garbageTool) {
+      return undefined;
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setDraft(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [garbageTool]);
+
+  const finishMatte = (points) => {
+    setDraft(null);
+    if (onGarbageMatteDrawn) {
+      onGarbageMatteDrawn({ mode: garbageTool.mode, shape: garbageTool.shape, points });
+    }
+  };
+
+  // Distance check in screen pixels, so closing a polygon feels the same at any zoom
+  const isNear = (a, b) => {
+    const { scale } = getContentBox(canvasRef.current);
+    const dx = (a.x - b.x) * canvasRef.current.width * scale;
+    const dy = (a.y - b.y) * canvasRef.current.height * scale;
+    return Math.sqrt(dx * dx + dy * dy) < CLOSE_DISTANCE;
+  };
+
+  const handleDrawMouseDown = (point) => {
+    if (garbageTool.shape === 'rect') {
+      setDraft({ points: [point, point], dragging: true });
+      return;
+    }
+    const points = draft ? draft.points : [];
+    if (points.length >= 3 && isNear(points[0], point)) {
+      finishMatte(points);
+      return;
+    }
+    setDraft({ points: [...points, point], cursor: point });
+  };
+
+  const handleDrawMouseMove = (point) => {
+    if (!draft) {
+      return;
+    }
+    if (draft.dragging) {
+      setDraft({ ...draft, points: [draft.points[0], point] });
+    } else {
+      setDraft({ ...draft, cursor: point });
+    }
+  };
+
+  const handleDrawMouseUp = (point) => {
+    if (!draft || !draft.dragging) {
+      return;
+    }
+    const [start] = draft.points;
+    if (Math.abs(point.x - start.x) > 0.005 && Math.abs(point.y - start.y) > 0.005) {
+      finishMatte(rectToPoints(start, point));
+    } else {
+      setDraft(null);
+    }
+  };
+
+  const handleDoubleClick = () => {
+    if (!garbageTool || garbageTool.shape !== 'polygon' || !draft) {
+      return;
+    }
+    // The double click's own mousedowns added the last point twice
+    const points = draft.points.filter((point, index) => index === 0 || !isNear(draft.points[index - 1], point));
+    if (points.length >= 3) {
+      finishMatte(points);
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    if (!canvasRef.current.width) {
+      return;
+    }
+    if (garbageTool) {
+      handleDrawMouseDown(toNormalized(canvasRef.current, clientToVideo(canvasRef.current, e.clientX, e.clientY)));
+      return;
+    }
+    if (!eyedropper) {
+      return;
+    }
+    const point = clientToVideo(canvasRef.current, e.clientX, e.clientY);
+    setDragStart(point);
+    setDragRegion(toRegion(canvasRef.current, point, point));
+  };
+
+  const handleMouseMove = (e) => {
+    if (garbageTool && canvasRef.current.width) {
+      handleDrawMouseMove(toNormalized(canvasRef.current, clientToVideo(canvasRef.current, e.clientX, e.clientY)));
+      return;
+    }
+    if (!dragStart) {
+      return;
+    }
+    const point = clientToVideo(canvasRef.current, e.clientX, e.clientY);
+    setDragRegion(toRegion(canvasRef.current, dragStart, point));
+  };
+
+  const handleMouseUp = (e) => {
+    if (garbageTool && canvasRef.current.width) {
+      handleDrawMouseUp(toNormalized(canvasRef.current, clientToVideo(canvasRef.current, e.clientX, e.clientY)));
+      return;
+    }
+    if (!dragStart) {
+      return;
+    }
+    const point = clientToVideo(canvasRef.current, e.clientX, e.clientY);
+    const region = toRegion(canvasRef.current, dragStart, point);
+    setDragStart(null);
+    setDragRegion(null);
+    if (onSample) {
+      onSample(region, still ? 0 : videoRef.current.currentTime);
+    }
+  };
+
+  const getRegionStyle = (region) => {
+    const canvas = canvasRef.current;
+    if (!region || !canvas || !canvas.width) {
+      return null;
+    }
+    const { scale, offsetX, offsetY } = getContentBox(canvas);
+    return {
+      left: offsetX + region.x * scale,
+      top: offsetY + region.y * scale,
+      width: region.width * scale,
+      height: region.height * scale
+    };
+  };
+
+  const regionStyle = getRegionStyle(dragRegion || sampleRegion);
+
+  // Garbage mattes are drawn in normalized coordinates over the letterboxed frame
+  const getContentStyle = () => {
+    const canvas = canvasRef.current;
+    if (!canvas || !canvas.width) {
+      return null;
+    }
+    const { scale, offsetX, offsetY } = getContentBox(canvas);
+    return { left: offsetX, top: offsetY, width: canvas.width * scale, height: canvas.height * scale };
+  };
+
+  const contentStyle = getContentStyle();
+  const toSvgPoints = points => points.map(point => `${point.x},${point.y}`).join(' ');
+
+  let draftPoints = null;
+  if (draft && garbageTool) {
+    draftPoints = draft.dragging
+      ? rectToPoints(draft.points[0], draft.points[1])
+      : [...draft.points, draft.cursor];
+  }
+
+  const handleTogglePlay = () => {
+    const video = videoRef.current;
+    if (video.paused) {
+      video.play();
+    } else {
+      video.pause();
+    }
+  };
+
+  const handleSeek = (time) => {
+    videoRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  useEffect(() => {
+    if (onTimeChange) {
+      onTimeChange(currentTime);
+    }
+  }, [currentTime, onTimeChange]);
+
+  useEffect(() => {
+    if (seekRequest && videoRef.current) {
+      handleSeek(seekRequest.time);
+    }
+  }, [seekRequest]);
+
+  let trimStyle = null;
+  if (trim && duration && (trim.inPoint !== null || trim.outPoint !== null)) {
+    const start = (trim.inPoint || 0) / duration;
+    const end = (trim.outPoint !== null ? trim.outPoint : duration) / duration;
+    trimStyle = { left: `${start * 100}%`, width: `${(end - start) * 100}%` };
+  }
+
+  return (
+    <div className="live-preview">
+      <div className="live-preview-stage">
+        <canvas ref={canvasRef} className="preview-video live-preview-canvas" />
+        <div
+          className={`live-preview-overlay ${eyedropper || garbageTool ? 'eyedropper' : ''}`}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseUp}
+          onDoubleClick={handleDoubleClick}
+        >
+          {contentStyle && (garbageMattes.length > 0 || draftPoints) && (
+            <svg className="garbage-mattes" style={contentStyle} viewBox="0 0 1 1" preserveAspectRatio="none">
+              {garbageMattes.map((matte, index) => (
+                <polygon key={index} className={`garbage-matte ${matte.mode}`} points={toSvgPoints(matte.points)} />
+              ))}
+              {draftPoints && (
+                <polyline
+                  className={`garbage-matte draft ${garbageTool.mode}`}
+                  points={toSvgPoints(draft.dragging ? [...draftPoints, draftPoints[0]] : draftPoints)}
+                />
+              )}
+            </svg>
+          )}
+          {regionStyle && <div className="sample-region" style={regionStyle} />}
+        </div>
+      </div>
+      {error && <div className="live-preview-error">Live preview unavailable: {error}</div>}
+
+      {!still && (
+        <video
+          ref={videoRef}
+          src={videoUrl}
+          crossOrigin="anonymous"
+          className="live-preview-source"
+          onLoadedMetadata={(e) => setDuration(e.target.duration)}
+          onLoadedData={draw}
+          onSeeked={() => {
+            draw();
+            syncBackgroundVideo();
+          }}
+          onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+          onPlay={() => {
+            setPlaying(true);
+            syncBackgroundVideo();
+          }}
+          onPause={() => {
+            setPlaying(false);
+            syncBackgroundVideo();
+          }}
+        />
+      )}
+      {backgroundUrl && backgroundType === 'video' && (
+        <video
+          key={backgroundUrl}
+          ref={backgroundVideoRef}
+          src={backgroundUrl}
+          crossOrigin="anonymous"
+          className="live-preview-source"
+          muted
+          loop={backgroundEnd === 'loop'}
+          onLoadedData={draw}
+        />
+      )}
+
+      {!still && (
+        <div className="live-preview-controls">
+          <button className="btn-queue-action" onClick={handleTogglePlay}>
+            {playing ? 'Pause' : 'Play'}
+          </button>
+          <div className="live-preview-seek-track">
+            {trimStyle && <div className="live-preview-trim" style={trimStyle} />}
+            {duration > 0 && keyframes.map(keyframe => (
+              <div
+                key={keyframe.time}
+                className="live-preview-keyframe"
+                style={{ left: `${Math.min(keyframe.time / duration, 1) * 100}%` }}
+              />
+            ))}
+            <input
+              type="range"
+              min="0"
+              max={duration || 0}
+              step="0.01"
+              value={currentTime}
+              onChange={(e) => handleSeek(parseFloat(e.target.value))}
+              className="live-preview-seek"
+            />
+          </div>
+          <span className="live-preview-time">
+            {formatTime(currentTime)} / {formatTime(duration)}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChromaKeyPreview;
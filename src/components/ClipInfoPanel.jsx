@@ -0,0 +1,63 @@
+import React from 'react';
+import { formatTime } from '../formatTime.js';
+
+function formatFps(fps) {
+  // 29.97 rather than 29.97002997
+  return `${Number(fps.toFixed(2))} fps`;
+}
+
+function describeAudio(info) {
+  if (!info.hasAudio) {
+    return 'No audio';
+  }
+  const details = [info.audioCodec];
+  if (info.audioChannels) {
+    details.push(info.audioChannels === 1 ? 'mono' : info.audioChannels === 2 ? 'stereo' : `${info.audioChannels} ch`);
+  }
+  if (info.sampleRate) {
+    details.push(`${info.sampleRate / 1000} kHz`);
+  }
+  return details.join(', ');
+}
+
+/**
+ * What ffprobe found in the foreground and background clips.
+ * Each clip is `{ label, path, info }`, where `info` is the `probe-media`
+ * result, `{ error }` when probing failed, or null while probing.
+ */
+function ClipInfoPanel({ clips }) {
+  return (
+    <div className="clip-info">
+      {clips.map(({ label, path, info }) => (
+        <div key={label} className="clip-info-item">
+          <div className="clip-info-header">
+            <span className="clip-info-label">{label}</span>
+            <span className="clip-info-name" title={path}>{path.split(/[/\\]/).pop()}</span>
+          </div>
+          {!info && <span className="setting-hint">Reading clip info...</span>}
+          {info && info.error && <span className="clip-info-error">Could not read the file: {info.error}</span>}
+          {info && !info.error && (
+            <dl className="clip-info-details">
+              <dt>Size</dt>
+              <dd>{info.width && info.height ? `${info.width}×${info.height}` : 'No video'}</dd>
+              <dt>Duration</dt>
+              <dd>{info.duration ? formatTime(info.duration) : 'Still image'}</dd>
+              {info.duration && info.fps && (
+                <>
+                  <dt>Frame rate</dt>
+                  <dd>{formatFps(info.fps)}</dd>
+                </>
+              )}
+              <dt>Video</dt>
+              <dd>{[info.videoCodec, info.pixelFormat].filter(Boolean).join(', ') || 'None'}</dd>
+              <dt>Audio</dt>
+              <dd>{describeAudio(info)}</dd>
+            </dl>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ClipInfoPanel;
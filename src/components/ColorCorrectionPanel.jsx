@@ -0,0 +1,77 @@
+import React from 'react';
+
+function getFileName(filePath) {
+  return filePath.split(/[/\\]/).pop();
+}
+
+/**
+ * Foreground color correction: exposure, contrast, saturation, temperature,
+ * tint and an optional .cube LUT, applied to the keyed subject before it is
+ * composited. Values are in UI units; toColorCorrectionParams converts them
+ * for the job. `onMatch` estimates exposure, temperature and tint from the
+ * background; it is left out where there's nothing to match.
+ */
+function ColorCorrectionPanel({ idPrefix, title, correction, onChange, onChooseLut, onMatch, matching, disabled }) {
+  const slider = (key, label, min, max, step, format) => (
+    <label htmlFor={`${idPrefix}${key}`}>
+      <div className="label-row">
+        <span>{label}</span>
+        <span className="value-display">{format(correction[key])}</span>
+      </div>
+      <input
+        type="range"
+        id={`${idPrefix}${key}`}
+        min={min}
+        max={max}
+        step={step}
+        value={correction[key]}
+        onChange={(e) => onChange(key, parseFloat(e.target.value))}
+        disabled={disabled}
+        className="slider"
+      />
+    </label>
+  );
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+  return (
+    <div className="setting-group color-correction-panel">
+      <div className="label-with-icon">
+        <span className="icon-picker">🎚️</span>
+        {title}
+      </div>
+
+      {slider('exposure', 'Exposure', -2, 2, 0.1, value => `${signed(value)} EV`)}
+      {slider('contrast', 'Contrast', 25, 200, 1, value => `${value}%`)}
+      {slider('saturation', 'Saturation', 0, 200, 1, value => `${value}%`)}
+      {slider('temperature', 'Temperature', -100, 100, 1, signed)}
+      {slider('tint', 'Tint', -100, 100, 1, signed)}
+
+      <div className="color-correction-lut">
+        <span className="color-correction-lut-name" title={correction.lutPath || undefined}>
+          {correction.lutPath ? `LUT: ${getFileName(correction.lutPath)}` : 'No LUT'}
+        </span>
+        <button className="btn-queue-action" onClick={onChooseLut} disabled={disabled}>
+          Choose .cube...
+        </button>
+        {correction.lutPath && (
+          <button className="btn-queue-action" onClick={() => onChange('lutPath', null)} disabled={disabled}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {onMatch && (
+        <button className="btn btn-secondary" onClick={onMatch} disabled={disabled || matching}>
+          {matching ? 'Matching...' : 'Match to Background'}
+        </button>
+      )}
+
+      <span className="setting-hint">
+        Applied to the keyed subject only. Match to Background sets exposure, temperature and tint from
+        the background's average color; the live preview shows everything but the LUT
+      </span>
+    </div>
+  );
+}
+
+export default ColorCorrectionPanel;
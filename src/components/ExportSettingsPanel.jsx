@@ -0,0 +1,239 @@
+import React from 'react';
+import {
+  EXPORT_PRESETS,
+  RESOLUTIONS,
+  getExportFormat,
+  formatsFor,
+  audioCodecsFor
+} from '../exportFormats.js';
+
+const FRAME_RATES = [24, 25, 30, 50, 60];
+
+/**
+ * Export format and encoder settings. Picking a named preset fills in the
+ * format and every encoder setting; changing any of them afterwards shows "Custom".
+ * `onChange(format, encoder)` receives the complete new state.
+ * With `still` set (a still image input) the image formats are offered instead
+ * of the video ones, without presets, frame rate or audio.
+ */
+function ExportSettingsPanel({ format, encoder, onChange, still = false, disabled }) {
+  const exportFormat = getExportFormat(format);
+  if (!exportFormat) {
+    // No formats without Electron
+    return null;
+  }
+  const audioCodecs = audioCodecsFor(exportFormat);
+  const audioCodec = audioCodecs.find(codec => codec.value === encoder.audioCodec);
+
+  const activePreset = EXPORT_PRESETS.find(preset =>
+    preset.format === format && JSON.stringify(preset.encoder) === JSON.stringify(encoder)
+  );
+
+  const handlePresetChange = (value) => {
+    const preset = EXPORT_PRESETS.find(candidate => candidate.value === value);
+    if (preset) {
+      onChange(preset.format, { ...preset.encoder });
+    }
+  };
+
+  // The main process decides which settings carry over to the new format
+  const handleFormatChange = async (value) => {
+    onChange(value, await window.electronAPI.adaptEncoderSettings(value, encoder));
+  };
+
+  const updateEncoder = (key, value) => {
+    onChange(format, { ...encoder, [key]: value });
+  };
+
+  return (
+    <div className="setting-group export-settings">
+      {still ? (
+        <div className="label-with-icon">
+          <span className="icon-picker">💾</span>
+          Export Image
+        </div>
+      ) : (
+        <label htmlFor="exportPreset">
+          <div className="label-with-icon">
+            <span className="icon-picker">💾</span>
+            Export Preset
+          </div>
+          <select
+            id="exportPreset"
+            value={activePreset ? activePreset.value : 'custom'}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            disabled={disabled}
+            className="audio-select"
+          >
+            <option value="custom">Custom</option>
+            {EXPORT_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label htmlFor="exportFormat">
+        <span>Format</span>
+        <select
+          id="exportFormat"
+          value={format}
+          onChange={(e) => handleFormatChange(e.target.value)}
+          disabled={disabled}
+          className="audio-select"
+        >
+          {formatsFor(still).map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <span className="setting-hint">
+          {exportFormat.alpha
+            ? 'Keeps transparency when no background is set'
+            : 'Opaque; the removed area becomes the background or black'}
+          {format === 'pngseq' && '. Frames are numbered after the chosen file name'}
+        </span>
+      </label>
+
+      {exportFormat.crf && (
+        <div className="encoder-settings">
+          <label htmlFor="rateControl">
+            <span>Rate Control</span>
+            <select
+              id="rateControl"
+              value={encoder.rateControl}
+              onChange={(e) => updateEncoder('rateControl', e.target.value)}
+              disabled={disabled}
+              className="audio-select"
+            >
+              <option value="crf">Constant quality (CRF)</option>
+              <option value="bitrate">Target bitrate</option>
+            </select>
+          </label>
+
+          {encoder.rateControl === 'crf' ? (
+            <label htmlFor="crf">
+              <span>CRF: {encoder.crf}</span>
+              <input
+                id="crf"
+                type="range"
+                min={exportFormat.crf.min}
+                max={exportFormat.crf.max}
+                value={encoder.crf}
+                onChange={(e) => updateEncoder('crf', parseInt(e.target.value, 10))}
+                disabled={disabled}
+              />
+              <span className="setting-hint">Lower is higher quality and larger files</span>
+            </label>
+          ) : (
+            <label htmlFor="videoBitrate">
+              <span>Video Bitrate (kbps)</span>
+              <input
+                id="videoBitrate"
+                type="number"
+                min="100"
+                max="200000"
+                step="100"
+                value={encoder.videoBitrate}
+                onChange={(e) => updateEncoder('videoBitrate', parseInt(e.target.value, 10) || 100)}
+                disabled={disabled}
+                className="audio-select"
+              />
+            </label>
+          )}
+
+          <label htmlFor="encoderPreset">
+            <span>{format === 'webm' ? 'Deadline' : 'Encoder Preset'}</span>
+            <select
+              id="encoderPreset"
+              value={encoder.preset}
+              onChange={(e) => updateEncoder('preset', e.target.value)}
+              disabled={disabled}
+              className="audio-select"
+            >
+              {exportFormat.presets.map(preset => (
+                <option key={preset} value={preset}>{preset}</option>
+              ))}
+            </select>
+            <span className="setting-hint">Slower settings compress better at the same quality</span>
+          </label>
+        </div>
+      )}
+
+      <div className="encoder-settings">
+        <label htmlFor="resolution">
+          <span>Resolution</span>
+          <select
+            id="resolution"
+            value={encoder.resolution || ''}
+            onChange={(e) => updateEncoder('resolution', e.target.value ? parseInt(e.target.value, 10) : null)}
+            disabled={disabled}
+            className="audio-select"
+          >
+            <option value="">Same as source</option>
+            {RESOLUTIONS.map(height => (
+              <option key={height} value={height}>{height}p</option>
+            ))}
+          </select>
+        </label>
+
+        {!still && (
+          <label htmlFor="frameRate">
+            <span>Frame Rate</span>
+            <select
+              id="frameRate"
+              value={encoder.fps || ''}
+              onChange={(e) => updateEncoder('fps', e.target.value ? parseInt(e.target.value, 10) : null)}
+              disabled={disabled}
+              className="audio-select"
+            >
+              <option value="">Same as source</option>
+              {FRAME_RATES.map(fps => (
+                <option key={fps} value={fps}>{fps} fps</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {exportFormat.audioCodecs.length > 0 ? (
+        <div className="encoder-settings">
+          <label htmlFor="audioCodec">
+            <span>Audio Codec</span>
+            <select
+              id="audioCodec"
+              value={encoder.audioCodec}
+              onChange={(e) => updateEncoder('audioCodec', e.target.value)}
+              disabled={disabled}
+              className="audio-select"
+            >
+              {audioCodecs.map(codec => (
+                <option key={codec.value} value={codec.value}>{codec.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {audioCodec && audioCodec.lossy && (
+            <label htmlFor="audioBitrate">
+              <span>Audio Bitrate</span>
+              <select
+                id="audioBitrate"
+                value={encoder.audioBitrate}
+                onChange={(e) => updateEncoder('audioBitrate', parseInt(e.target.value, 10))}
+                disabled={disabled}
+                className="audio-select"
+              >
+                {[96, 128, 160, 192, 256, 320].map(bitrate => (
+                  <option key={bitrate} value={bitrate}>{bitrate} kbps</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+      ) : !still && (
+        <span className="setting-hint">Image sequences are written without audio</span>
+      )}
+    </div>
+  );
+}
+
+export default ExportSettingsPanel;
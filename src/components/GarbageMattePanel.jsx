@@ -0,0 +1,83 @@
+import React from 'react';
+
+const TOOLS = [
+  { mode: 'remove', shape: 'rect', label: 'Remove ▭' },
+  { mode: 'remove', shape: 'polygon', label: 'Remove ⬠' },
+  { mode: 'keep', shape: 'rect', label: 'Keep ▭' },
+  { mode: 'keep', shape: 'polygon', label: 'Keep ⬠' }
+];
+
+const SHAPE_LABELS = { rect: 'Rectangle', polygon: 'Polygon' };
+
+/**
+ * Garbage matte list and drawing tools. Drawing itself happens on the live
+ * preview; this panel picks the tool and manages the finished mattes.
+ */
+function GarbageMattePanel({ mattes, tool, onToolChange, onChange, disabled }) {
+  const isActive = candidate => tool && tool.mode === candidate.mode && tool.shape === candidate.shape;
+
+  const handleToolClick = (candidate) => {
+    onToolChange(isActive(candidate) ? null : { mode: candidate.mode, shape: candidate.shape });
+  };
+
+  return (
+    <div className="setting-group garbage-matte-panel">
+      <div className="label-with-icon">
+        <span className="icon-picker">🚧</span>
+        Garbage Mattes
+      </div>
+
+      <div className="garbage-matte-tools">
+        {TOOLS.map(candidate => (
+          <button
+            key={`${candidate.mode}-${candidate.shape}`}
+            className={`btn-queue-action ${isActive(candidate) ? 'active' : ''}`}
+            onClick={() => handleToolClick(candidate)}
+            disabled={disabled}
+          >
+            {candidate.label}
+          </button>
+        ))}
+      </div>
+
+      {tool && (
+        <span className="setting-hint">
+          {tool.shape === 'rect'
+            ? 'Drag on the preview to draw a rectangle'
+            : 'Click on the preview to add points; click the first point or double-click to close. Esc cancels'}
+        </span>
+      )}
+
+      {mattes.length > 0 && (
+        <ul className="garbage-matte-list">
+          {mattes.map((matte, index) => (
+            <li key={index} className={`garbage-matte-item ${matte.mode}`}>
+              <span>
+                {matte.mode === 'keep' ? 'Keep' : 'Remove'} · {SHAPE_LABELS[matte.shape] || 'Polygon'}
+              </span>
+              <button
+                className="btn-queue-action"
+                onClick={() => onChange(mattes.filter((_, i) => i !== index))}
+                disabled={disabled}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {mattes.length > 0 && (
+        <button className="btn-queue-action" onClick={() => onChange([])} disabled={disabled}>
+          Clear all
+        </button>
+      )}
+
+      <span className="setting-hint">
+        Remove regions are always transparent (light stands, backdrop edges); keep regions are always opaque
+      </span>
+    </div>
+  );
+}
+
+export default GarbageMattePanel;
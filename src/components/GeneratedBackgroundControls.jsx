@@ -0,0 +1,109 @@
+import React from 'react';
+
+/**
+ * Settings of a generated background: the color, the gradient colors and
+ * direction, or the blur strength of the blurred original.
+ */
+function GeneratedBackgroundControls({ type, settings, onChange, disabled }) {
+  const colorInput = (id, key) => (
+    <div className="color-picker-container">
+      <input
+        type="color"
+        id={id}
+        value={settings[key]}
+        onChange={(e) => onChange(key, e.target.value)}
+        disabled={disabled}
+        className="color-input"
+      />
+      <span className="color-display" style={{ backgroundColor: settings[key] }}></span>
+    </div>
+  );
+
+  if (type === 'color') {
+    return (
+      <div className="generated-background">
+        <label htmlFor="backgroundColor">
+          <span>Color</span>
+          {colorInput('backgroundColor', 'color')}
+        </label>
+      </div>
+    );
+  }
+
+  if (type === 'gradient') {
+    return (
+      <div className="generated-background">
+        <label htmlFor="gradientType">
+          <span>Gradient</span>
+          <select
+            id="gradientType"
+            value={settings.gradientType}
+            onChange={(e) => onChange('gradientType', e.target.value)}
+            disabled={disabled}
+            className="audio-select"
+          >
+            <option value="linear">Linear</option>
+            <option value="radial">Radial</option>
+          </select>
+        </label>
+        <label htmlFor="gradientStart">
+          <span>{settings.gradientType === 'radial' ? 'Center Color' : 'Start Color'}</span>
+          {colorInput('gradientStart', 'gradientStart')}
+        </label>
+        <label htmlFor="gradientEnd">
+          <span>{settings.gradientType === 'radial' ? 'Edge Color' : 'End Color'}</span>
+          {colorInput('gradientEnd', 'gradientEnd')}
+        </label>
+        {settings.gradientType === 'linear' && (
+          <label htmlFor="gradientAngle">
+            <div className="label-row">
+              <span>Angle</span>
+              <span className="value-display">{settings.gradientAngle}°</span>
+            </div>
+            <input
+              type="range"
+              id="gradientAngle"
+              min="0"
+              max="360"
+              step="5"
+              value={settings.gradientAngle}
+              onChange={(e) => onChange('gradientAngle', parseInt(e.target.value))}
+              disabled={disabled}
+              className="slider"
+            />
+            <span className="setting-hint">0° runs left to right, 90° top to bottom</span>
+          </label>
+        )}
+      </div>
+    );
+  }
+
+  if (type === 'blur') {
+    return (
+      <div className="generated-background">
+        <label htmlFor="backgroundBlur">
+          <div className="label-row">
+            <span>Blur</span>
+            <span className="value-display">{settings.blur}</span>
+          </div>
+          <input
+            type="range"
+            id="backgroundBlur"
+            min="1"
+            max="100"
+            step="1"
+            value={settings.blur}
+            onChange={(e) => onChange('blur', parseInt(e.target.value))}
+            disabled={disabled}
+            className="slider"
+          />
+          <span className="setting-hint">The original shot, blurred behind the keyed subject</span>
+        </label>
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default GeneratedBackgroundControls;
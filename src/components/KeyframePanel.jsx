@@ -0,0 +1,74 @@
+import React from 'react';
+import { KEYFRAME_INTERPOLATIONS } from '../keyframes.js';
+import { formatTime } from '../formatTime.js';
+
+function formatKeyframeTime(seconds) {
+  // Tenths tell apart keyframes within the same second
+  return `${formatTime(seconds)}.${Math.floor((seconds % 1) * 10)}`;
+}
+
+/**
+ * Timeline of keyframed key color, strength and feather. Keyframes are in UI
+ * units ({ time, color, strength, matteFeather, interpolation }), sorted by time.
+ * Selecting a keyframe moves the playhead to it and lets the sliders edit it.
+ */
+function KeyframePanel({ keyframes, selectedIndex, onAdd, onSelect, onChange, onRemove, hsvKeyer, disabled }) {
+  return (
+    <div className="setting-group keyframe-panel">
+      <div className="label-with-icon">
+        <span className="icon-picker">⏱️</span>
+        Keyframes
+      </div>
+
+      <button className="btn btn-secondary" onClick={onAdd} disabled={disabled}>
+        Add Keyframe at Playhead
+      </button>
+
+      {keyframes.length > 0 && (
+        <ul className="keyframe-list">
+          {keyframes.map((keyframe, index) => (
+            <li
+              key={keyframe.time}
+              className={`keyframe-item ${index === selectedIndex ? 'selected' : ''}`}
+            >
+              <button
+                className="keyframe-select"
+                onClick={() => onSelect(index === selectedIndex ? null : index)}
+                disabled={disabled}
+                title={index === selectedIndex ? 'Stop editing this keyframe' : 'Go to this keyframe and edit it with the sliders'}
+              >
+                <span className="keyframe-time">{formatKeyframeTime(keyframe.time)}</span>
+                <span className="color-display" style={{ backgroundColor: keyframe.color }}></span>
+                <span>Strength {keyframe.strength}</span>
+                <span>Feather {keyframe.matteFeather}</span>
+              </button>
+              <select
+                value={keyframe.interpolation}
+                onChange={(e) => onChange(index, 'interpolation', e.target.value)}
+                disabled={disabled || index === keyframes.length - 1}
+                className="audio-select"
+                title="How the settings change on the way to the next keyframe"
+              >
+                {KEYFRAME_INTERPOLATIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button className="btn-queue-action" onClick={() => onRemove(index)} disabled={disabled}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <span className="setting-hint">
+        {keyframes.length === 0
+          ? 'Key color, strength and feather stay constant. Add keyframes to follow lighting that drifts over the take'
+          : 'Keyframes replace the constant color, strength and feather. Select one to edit it with the sliders'}
+        {keyframes.length > 0 && hsvKeyer && '. The HSV keyer ignores keyframed colors'}
+      </span>
+    </div>
+  );
+}
+
+export default KeyframePanel;
@@ -0,0 +1,191 @@
+import React from 'react';
+import { KEYERS, MAIN_LAYER_ID } from '../keyParams.js';
+import ColorCorrectionPanel from './ColorCorrectionPanel.jsx';
+
+// Matches MAX_LAYERS in public/validateOptions.js
+const MAX_LAYERS = 8;
+
+function getFileName(filePath) {
+  return filePath ? filePath.split(/[/\\]/).pop() : 'Missing clip';
+}
+
+/**
+ * Keyed clips stacked with the main clip, top first. Each layer has its own
+ * key settings, placement, color correction and start offset in UI units
+ * (see toLayerParams); the selected layer's settings are shown for editing.
+ * `onChange(id, group, key, value)` edits a layer, where group is 'settings',
+ * 'placement', 'correction' or null for the layer itself.
+ */
+function LayerPanel({
+  layers,
+  mainPath,
+  selectedId,
+  onAdd,
+  onSelect,
+  onMove,
+  onChange,
+  onRemove,
+  onChooseLut,
+  onMatchLighting,
+  matchingLight,
+  disabled
+}) {
+  const layerCount = layers.length - 1;
+  const selected = layers.find(layer => layer.id === selectedId && layer.id !== MAIN_LAYER_ID);
+
+  const slider = (id, label, group, key, min, max, step, unit = '') => (
+    <label htmlFor={id}>
+      <div className="label-row">
+        <span>{label}</span>
+        <span className="value-display">{selected[group][key]}{unit}</span>
+      </div>
+      <input
+        type="range"
+        id={id}
+        min={min}
+        max={max}
+        step={step}
+        value={selected[group][key]}
+        onChange={(e) => onChange(selected.id, group, key, parseFloat(e.target.value))}
+        disabled={disabled}
+        className="slider"
+      />
+    </label>
+  );
+
+  return (
+    <div className="setting-group layer-panel">
+      <div className="label-with-icon">
+        <span className="icon-picker">🗂️</span>
+        Layers
+      </div>
+
+      <button className="btn btn-secondary" onClick={onAdd} disabled={disabled || layerCount >= MAX_LAYERS}>
+        Add Keyed Clip...
+      </button>
+
+      {layerCount > 0 && (
+        <ul className="layer-list">
+          {layers.map((layer, index) => {
+            const isMain = layer.id === MAIN_LAYER_ID;
+            return (
+              <li
+                key={layer.id}
+                className={`layer-item ${isMain ? 'main' : ''} ${layer.id === selectedId ? 'selected' : ''}`}
+              >
+                <button
+                  className="layer-select"
+                  onClick={() => onSelect(isMain || layer.id === selectedId ? null : layer.id)}
+                  disabled={disabled || isMain}
+                  title={isMain ? 'Edited with the settings above' : layer.path || undefined}
+                >
+                  {isMain ? `Main clip: ${mainPath ? getFileName(mainPath) : 'none'}` : getFileName(layer.path)}
+                </button>
+                <button
+                  className="btn-queue-action"
+                  onClick={() => onMove(index, index - 1)}
+                  disabled={disabled || index === 0}
+                  title="Move up (in front)"
+                >
+                  ▲
+                </button>
+                <button
+                  className="btn-queue-action"
+                  onClick={() => onMove(index, index + 1)}
+                  disabled={disabled || index === layers.length - 1}
+                  title="Move down (behind)"
+                >
+                  ▼
+                </button>
+                {!isMain && (
+                  <button className="btn-queue-action" onClick={() => onRemove(layer.id)} disabled={disabled}>
+                    Remove
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {selected && (
+        <div className="layer-settings">
+          <label htmlFor="layerKeyer">
+            <span>Keying Method</span>
+            <select
+              id="layerKeyer"
+              value={selected.settings.keyer}
+              onChange={(e) => onChange(selected.id, 'settings', 'keyer', e.target.value)}
+              disabled={disabled}
+              className="audio-select"
+            >
+              {KEYERS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label htmlFor="layerColor">
+            <span>Key Color</span>
+            <div className="color-picker-container">
+              <input
+                type="color"
+                id="layerColor"
+                value={selected.settings.color}
+                onChange={(e) => onChange(selected.id, 'settings', 'color', e.target.value)}
+                disabled={disabled}
+                className="color-input"
+              />
+              <span className="color-display" style={{ backgroundColor: selected.settings.color }}></span>
+            </div>
+          </label>
+          {slider('layerStrength', 'Strength', 'settings', 'strength', 0, 100, 1)}
+          {slider('layerFeather', 'Edge Feather', 'settings', 'matteFeather', 0, 10, 0.5)}
+          {slider('layerScale', 'Scale', 'placement', 'fgScale', 10, 400, 1, '%')}
+          {slider('layerOffsetX', 'Horizontal Position', 'placement', 'fgOffsetX', -100, 100, 1, '%')}
+          {slider('layerOffsetY', 'Vertical Position', 'placement', 'fgOffsetY', -100, 100, 1, '%')}
+          <label htmlFor="layerFlipH" className="checkbox-label">
+            <input
+              type="checkbox"
+              id="layerFlipH"
+              checked={selected.placement.fgFlipH}
+              onChange={(e) => onChange(selected.id, 'placement', 'fgFlipH', e.target.checked)}
+              disabled={disabled}
+            />
+            Flip horizontally
+          </label>
+          <label htmlFor="layerStart">
+            <span>Starts At (seconds into the main clip)</span>
+            <input
+              type="number"
+              id="layerStart"
+              min="0"
+              step="0.1"
+              value={selected.startOffset}
+              onChange={(e) => onChange(selected.id, null, 'startOffset', Math.max(0, parseFloat(e.target.value) || 0))}
+              disabled={disabled}
+              className="layer-start"
+            />
+          </label>
+          <ColorCorrectionPanel
+            idPrefix="layer"
+            title="Layer Color Correction"
+            correction={selected.correction}
+            onChange={(key, value) => onChange(selected.id, 'correction', key, value)}
+            onChooseLut={() => onChooseLut(selected.id)}
+            onMatch={onMatchLighting && selected.path ? () => onMatchLighting(selected.id) : null}
+            matching={matchingLight === selected.id}
+            disabled={disabled}
+          />
+        </div>
+      )}
+
+      <span className="setting-hint">
+        {layerCount === 0
+          ? 'Stack more keyed clips over the background, each with its own key and position'
+          : 'Layers are fitted to the frame and show in Preview and Export; the live preview shows the main clip only'}
+      </span>
+    </div>
+  );
+}
+
+export default LayerPanel;
@@ -0,0 +1,134 @@
+import React from 'react';
+import { BACKGROUND_FITS } from '../keyParams.js';
+
+/**
+ * Background fit and foreground transform. Values are in UI units
+ * (percentages, #RRGGBB); toPlacementParams converts them for the job.
+ */
+function PlacementPanel({ placement, onChange, hasBackground, disabled }) {
+  const fit = BACKGROUND_FITS.find(option => option.value === placement.backgroundFit);
+
+  return (
+    <div className="setting-group placement-panel">
+      <div className="label-with-icon">
+        <span className="icon-picker">📐</span>
+        Placement
+      </div>
+
+      {hasBackground && (
+        <label htmlFor="backgroundFit">
+          <span>Background Fit</span>
+          <select
+            id="backgroundFit"
+            value={placement.backgroundFit}
+            onChange={(e) => onChange('backgroundFit', e.target.value)}
+            disabled={disabled}
+            className="audio-select"
+          >
+            {BACKGROUND_FITS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <span className="setting-hint">{fit.hint}</span>
+        </label>
+      )}
+
+      {hasBackground && placement.backgroundFit === 'contain' && (
+        <label htmlFor="letterboxColor">
+          <span>Letterbox Color</span>
+          <div className="color-picker-container">
+            <input
+              type="color"
+              id="letterboxColor"
+              value={placement.letterboxColor}
+              onChange={(e) => onChange('letterboxColor', e.target.value)}
+              disabled={disabled}
+              className="color-input"
+            />
+            <span className="color-display" style={{ backgroundColor: placement.letterboxColor }}></span>
+          </div>
+        </label>
+      )}
+
+      <label htmlFor="fgScale">
+        <div className="label-row">
+          <span>Subject Scale</span>
+          <span className="value-display">{placement.fgScale}%</span>
+        </div>
+        <input
+          type="range"
+          id="fgScale"
+          min="10"
+          max="400"
+          step="1"
+          value={placement.fgScale}
+          onChange={(e) => onChange('fgScale', parseInt(e.target.value))}
+          disabled={disabled}
+          className="slider"
+        />
+      </label>
+
+      <label htmlFor="fgOffsetX">
+        <div className="label-row">
+          <span>Horizontal Position</span>
+          <span className="value-display">{placement.fgOffsetX}%</span>
+        </div>
+        <input
+          type="range"
+          id="fgOffsetX"
+          min="-100"
+          max="100"
+          step="1"
+          value={placement.fgOffsetX}
+          onChange={(e) => onChange('fgOffsetX', parseInt(e.target.value))}
+          disabled={disabled}
+          className="slider"
+        />
+      </label>
+
+      <label htmlFor="fgOffsetY">
+        <div className="label-row">
+          <span>Vertical Position</span>
+          <span className="value-display">{placement.fgOffsetY}%</span>
+        </div>
+        <input
+          type="range"
+          id="fgOffsetY"
+          min="-100"
+          max="100"
+          step="1"
+          value={placement.fgOffsetY}
+          onChange={(e) => onChange('fgOffsetY', parseInt(e.target.value))}
+          disabled={disabled}
+          className="slider"
+        />
+      </label>
+
+      <div className="placement-flips">
+        <label htmlFor="fgFlipH" className="checkbox-label">
+          <input
+            type="checkbox"
+            id="fgFlipH"
+            checked={placement.fgFlipH}
+            onChange={(e) => onChange('fgFlipH', e.target.checked)}
+            disabled={disabled}
+          />
+          Flip horizontally
+        </label>
+        <label htmlFor="fgFlipV" className="checkbox-label">
+          <input
+            type="checkbox"
+            id="fgFlipV"
+            checked={placement.fgFlipV}
+            onChange={(e) => onChange('fgFlipV', e.target.checked)}
+            disabled={disabled}
+          />
+          Flip vertically
+        </label>
+      </div>
+      <span className="setting-hint">Positions are relative to the frame center; the output keeps the video's size</span>
+    </div>
+  );
+}
+
+export default PlacementPanel;
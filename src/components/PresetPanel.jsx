@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+
+/**
+ * User presets library: applies, saves, renames and deletes named key,
+ * matte, background and audio settings, and imports/exports them as JSON.
+ * `presets` is the saved list, [{ name, options }] in `process-video` units.
+ */
+function PresetPanel({ presets, onApply, onSave, onRename, onDelete, onImport, onExport, disabled }) {
+  const [selectedName, setSelectedName] = useState('');
+  const [name, setName] = useState('');
+
+  const selected = presets.find(preset => preset.name === selectedName);
+  const trimmedName = name.trim();
+  const replaces = presets.some(preset => preset.name === trimmedName);
+
+  const handleSelect = (value) => {
+    setSelectedName(value);
+    setName(value);
+  };
+
+  const handleSave = async () => {
+    if (await onSave(trimmedName)) {
+      setSelectedName(trimmedName);
+    }
+  };
+
+  const handleRename = async () => {
+    if (await onRename(selectedName, trimmedName)) {
+      setSelectedName(trimmedName);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (await onDelete(selectedName)) {
+      setSelectedName('');
+      setName('');
+    }
+  };
+
+  return (
+    <div className="setting-group preset-panel">
+      <label htmlFor="userPreset">
+        <div className="label-with-icon">
+          <span className="icon-picker">⭐</span>
+          My Presets
+        </div>
+        <select
+          id="userPreset"
+          value={selected ? selectedName : ''}
+          onChange={(e) => handleSelect(e.target.value)}
+          disabled={disabled || presets.length === 0}
+          className="audio-select"
+        >
+          <option value="">{presets.length === 0 ? 'No saved presets' : 'Choose a preset'}</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="preset-actions">
+        <button className="btn-queue-action" onClick={() => onApply(selected)} disabled={disabled || !selected}>
+          Apply
+        </button>
+        <button className="btn-queue-action" onClick={handleDelete} disabled={disabled || !selected}>
+          Delete
+        </button>
+      </div>
+
+      <div className="preset-actions">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          maxLength={60}
+          disabled={disabled}
+          className="preset-name"
+        />
+        <button
+          className="btn-queue-action"
+          onClick={handleSave}
+          disabled={disabled || !trimmedName}
+          title="Save the current key, matte, color, background and audio settings"
+        >
+          {replaces ? 'Update' : 'Save'}
+        </button>
+        <button
+          className="btn-queue-action"
+          onClick={handleRename}
+          disabled={disabled || !selected || !trimmedName || replaces}
+          title="Rename the chosen preset"
+        >
+          Rename
+        </button>
+      </div>
+
+      <div className="preset-actions">
+        <button className="btn-queue-action" onClick={onImport} disabled={disabled}>
+          Import...
+        </button>
+        <button className="btn-queue-action" onClick={onExport} disabled={disabled || presets.length === 0}>
+          Export...
+        </button>
+      </div>
+
+      <span className="setting-hint">
+        Presets keep the key, matte, placement, color, generated background and audio settings.
+        Image and video backgrounds and LUTs stay as they are
+      </span>
+    </div>
+  );
+}
+
+export default PresetPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+
+const MEDIA_LABELS = {
+  input: 'Video',
+  background: 'Background'
+};
+
+function getFileName(filePath) {
+  return filePath.split(/[/\\]/).pop();
+}
+
+/**
+ * Project bar: open, save and recent .gsproj files, and relinking media a
+ * project couldn't find. `missingMedia` holds the last known paths by role.
+ */
+function ProjectPanel({ projectPath, recentProjects, missingMedia, onOpen, onSave, onSaveAs, onRelink, disabled }) {
+  const missingRoles = Object.keys(missingMedia);
+
+  return (
+    <div className="project-panel">
+      <div className="project-bar">
+        <span className="project-name" title={projectPath || undefined}>
+          {projectPath ? getFileName(projectPath) : 'Untitled project'}
+        </span>
+        <button className="btn-queue-action" onClick={() => onOpen(null)} disabled={disabled}>
+          Open Project
+        </button>
+        <button className="btn-queue-action" onClick={onSave} disabled={disabled}>
+          Save
+        </button>
+        <button className="btn-queue-action" onClick={onSaveAs} disabled={disabled}>
+          Save As
+        </button>
+        {recentProjects.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && onOpen(e.target.value)}
+            disabled={disabled}
+            className="audio-select project-recent"
+          >
+            <option value="">Recent projects</option>
+            {recentProjects.map(recent => (
+              <option key={recent} value={recent} title={recent}>{getFileName(recent)}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {missingRoles.length > 0 && (
+        <div className="project-missing">
+          {missingRoles.map(role => (
+            <div key={role} className="project-missing-item">
+              <span title={missingMedia[role]}>
+                {MEDIA_LABELS[role] || (role.startsWith('layer-') ? 'Layer' : role)} not found: {getFileName(missingMedia[role])}
+              </span>
+              <button className="btn-queue-action" onClick={() => onRelink(role)} disabled={disabled}>
+                Locate...
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProjectPanel;
@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import { getExportFormat, formatsFor, isStillImage } from '../exportFormats.js';
+import { formatTime } from '../formatTime.js';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Processing',
+  paused: 'Paused',
+  completed: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled'];
+
+function getFileName(filePath) {
+  return filePath.split(/[/\\]/).pop();
+}
+
+/**
+ * `<name>_keyed.<ext>` in the output folder, numbered `<name>_keyed_2.<ext>`
+ * and so on when a job already writes there (e.g. clip.mp4 and clip.mov), as
+ * parallel jobs would overwrite each other's output. `takenPaths` is a Set of
+ * lowercased output paths and gets the new one added.
+ */
+function getOutputPath(outputFolder, inputPath, format, takenPaths) {
+  const separator = outputFolder.includes('\\') ? '\\' : '/';
+  const baseName = getFileName(inputPath).replace(/\.[^.]+$/, '');
+  const extension = getExportFormat(format).extension;
+  let outputPath = `${outputFolder}${separator}${baseName}_keyed.${extension}`;
+  for (let number = 2; takenPaths.has(outputPath.toLowerCase()); number++) {
+    outputPath = `${outputFolder}${separator}${baseName}_keyed_${number}.${extension}`;
+  }
+  takenPaths.add(outputPath.toLowerCase());
+  return outputPath;
+}
+
+/**
+ * Batch queue panel: adds many clips at once and shows per-job progress.
+ * Videos are exported in `format` and still images in `imageFormat`.
+ * `buildJobOptions(inputPath, outputPath, format)` snapshots the current key settings for a clip.
+ */
+function QueuePanel({ buildJobOptions }) {
+  const [jobs, setJobs] = useState([]);
+  const [outputFolder, setOutputFolder] = useState(null);
+  const [format, setFormat] = useState('mp4');
+  const [imageFormat, setImageFormat] = useState('png');
+  const [concurrency, setConcurrency] = useState(2);
+
+  useEffect(() => {
+    if (!window.electronAPI) {
+      return undefined;
+    }
+
+    window.electronAPI.getQueue().then(setJobs);
+    window.electronAPI.onQueueUpdate(setJobs);
+
+    return () => {
+      window.electronAPI.removeQueueUpdateListener();
+    };
+  }, []);
+
+  const ensureOutputFolder = async () => {
+    if (outputFolder) {
+      return outputFolder;
+    }
+    const folder = await window.electronAPI.selectOutputFolder();
+    if (folder) {
+      setOutputFolder(folder);
+    }
+    return folder;
+  };
+
+  const addClips = async (selectInputs) => {
+    if (!window.electronAPI) {
+      alert('Electron API not available');
+      return;
+    }
+
+    const inputPaths = await selectInputs();
+    if (inputPaths.length === 0) {
+      return;
+    }
+
+    const folder = await ensureOutputFolder();
+    if (!folder) {
+      return;
+    }
+
+    // Case-insensitive, as on Windows and macOS file systems
+    const takenPaths = new Set(jobs.map(job => job.outputPath.toLowerCase()));
+    await window.electronAPI.addToQueue(inputPaths.map((inputPath) => {
+      const jobFormat = isStillImage(inputPath) ? imageFormat : format;
+      return buildJobOptions(inputPath, getOutputPath(folder, inputPath, jobFormat, takenPaths), jobFormat);
+    }));
+  };
+
+  const handleChangeOutputFolder = async () => {
+    const folder = await window.electronAPI.selectOutputFolder();
+    if (folder) {
+      setOutputFolder(folder);
+    }
+  };
+
+  const handleConcurrencyChange = (value) => {
+    setConcurrency(value);
+    window.electronAPI.setQueueConcurrency(value);
+  };
+
+  // Per-clip settings: re-snapshot the current key settings into a job that hasn't started
+  const handleApplySettings = (job) => {
+    window.electronAPI.updateQueueJob(job.id, buildJobOptions(job.inputPath, job.outputPath, job.options.format));
+  };
+
+  const handleApplySettingsToAll = () => {
+    jobs
+      .filter(job => job.status === 'queued')
+      .forEach(handleApplySettings);
+  };
+
+  const hasQueued = jobs.some(job => job.status === 'queued');
+  const hasFinished = jobs.some(job => FINISHED_STATUSES.includes(job.status));
+
+  return (
+    <div className="setting-group queue-panel">
+      <div className="label-with-icon">
+        <span className="icon-picker">📋</span>
+        Batch Queue
+      </div>
+
+      <div className="queue-buttons">
+        <button
+          className="btn btn-secondary"
+          onClick={() => addClips(window.electronAPI.selectVideoFiles)}
+        >
+          Add Clips or Images
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={() => addClips(window.electronAPI.selectVideoFolder)}
+        >
+          Add Folder
+        </button>
+      </div>
+
+      <div className="queue-options">
+        <label htmlFor="queueFormat">
+          Format
+          <select
+            id="queueFormat"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="audio-select"
+          >
+            {formatsFor(false).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label htmlFor="queueImageFormat">
+          Images as
+          <select
+            id="queueImageFormat"
+            value={imageFormat}
+            onChange={(e) => setImageFormat(e.target.value)}
+            className="audio-select"
+          >
+            {formatsFor(true).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label htmlFor="queueConcurrency">
+          Parallel jobs
+          <input
+            type="number"
+            id="queueConcurrency"
+            min="1"
+            max="8"
+            value={concurrency}
+            onChange={(e) => handleConcurrencyChange(parseInt(e.target.value) || 1)}
+            className="queue-concurrency"
+          />
+        </label>
+      </div>
+
+      {outputFolder && (
+        <div className="queue-output">
+          <span className="background-filename" title={outputFolder}>
+            Output: {outputFolder}
+          </span>
+          <button className="btn-queue-action" onClick={handleChangeOutputFolder}>
+            Change
+          </button>
+        </div>
+      )}
+
+      {jobs.length > 0 && (
+        <ul className="queue-list">
+          {jobs.map(job => (
+            <li key={job.id} className={`queue-item queue-item-${job.status}`}>
+              <div className="queue-item-header">
+                <span className="queue-item-name" title={job.inputPath}>
+                  {getFileName(job.inputPath)}
+                </span>
+                <span className="queue-item-status">
+                  {job.status === 'processing'
+                    ? `${job.percent.toFixed(0)}%${job.eta != null ? ` · ${formatTime(job.eta)} left` : ''}`
+                    : STATUS_LABELS[job.status]}
+                </span>
+              </div>
+              {(job.status === 'processing' || job.status === 'paused') && (
+                <div className="queue-progress-bar">
+                  <div className="progress-fill" style={{ width: `${job.percent}%` }} />
+                </div>
+              )}
+              {job.error && (
+                <span className="queue-item-message" title={job.error}>{job.error}</span>
+              )}
+              {job.status === 'queued' && (
+                <div className="queue-item-actions">
+                  <button className="btn-queue-action" onClick={() => handleApplySettings(job)}>
+                    Use current settings
+                  </button>
+                  <button
+                    className="btn-queue-action"
+                    onClick={() => window.electronAPI.removeFromQueue(job.id)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+              {(job.status === 'processing' || job.status === 'paused') && (
+                <div className="queue-item-actions">
+                  {window.electronAPI.pauseSupported && (
+                    <button
+                      className="btn-queue-action"
+                      onClick={() => (job.status === 'paused'
+                        ? window.electronAPI.resumeProcessing(job.id)
+                        : window.electronAPI.pauseProcessing(job.id))}
+                    >
+                      {job.status === 'paused' ? 'Resume' : 'Pause'}
+                    </button>
+                  )}
+                  <button
+                    className="btn-queue-action"
+                    onClick={() => window.electronAPI.cancelProcessing(job.id)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {(hasQueued || hasFinished) && (
+        <div className="queue-item-actions">
+          {hasQueued && (
+            <button className="btn-queue-action" onClick={handleApplySettingsToAll}>
+              Apply current settings to all queued
+            </button>
+          )}
+          {hasFinished && (
+            <button
+              className="btn-queue-action"
+              onClick={() => window.electronAPI.clearFinishedJobs()}
+            >
+              Clear finished
+            </button>
+          )}
+        </div>
+      )}
+
+      <span className="setting-hint">Clips are keyed with the settings above at the time they are added</span>
+    </div>
+  );
+}
+
+export default QueuePanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { formatTime } from '../formatTime.js';
+
+/**
+ * In/out points for Preview and Export, set from the player's current
+ * position, and a quick preview of a few seconds around it.
+ */
+function TrimPanel({ trim, sectionLength, onSetIn, onSetOut, onClear, onPreviewSection, disabled }) {
+  const trimmed = trim.inPoint !== null || trim.outPoint !== null;
+
+  return (
+    <div className="trim-panel">
+      <button className="btn-queue-action" onClick={onSetIn} disabled={disabled} title="Start processing at the current frame">
+        Set In
+      </button>
+      <button className="btn-queue-action" onClick={onSetOut} disabled={disabled} title="Stop processing at the current frame">
+        Set Out
+      </button>
+      <span className="trim-range">
+        {trimmed
+          ? `${formatTime(trim.inPoint || 0)} – ${trim.outPoint !== null ? formatTime(trim.outPoint) : 'end'}`
+          : 'Whole clip'}
+      </span>
+      {trimmed && (
+        <button className="btn-queue-action" onClick={onClear} disabled={disabled}>
+          Clear
+        </button>
+      )}
+      <button
+        className="btn-queue-action trim-preview-section"
+        onClick={onPreviewSection}
+        disabled={disabled}
+        title={`Render ${sectionLength} seconds around the current frame`}
+      >
+        Preview Section
+      </button>
+    </div>
+  );
+}
+
+export default TrimPanel;
@@ -0,0 +1,56 @@
+// The export formats, presets and encoder defaults come from
+// public/exportFormats.js through the preload script, so the UI offers exactly
+// what the encoder supports. Without Electron there are none.
+const { formats, presets, lossyAudioCodecs, resolutions, stillExtensions } = (window.electronAPI && window.electronAPI.exportFormats) || {
+  formats: [],
+  presets: [],
+  lossyAudioCodecs: [],
+  resolutions: [],
+  stillExtensions: []
+};
+
+export const EXPORT_FORMATS = formats;
+export const EXPORT_PRESETS = presets;
+export const RESOLUTIONS = resolutions;
+
+export function isStillImage(filePath) {
+  return Boolean(filePath) && stillExtensions.includes(filePath.split('.').pop().toLowerCase());
+}
+
+/**
+ * The formats offered for a video or a still image input.
+ */
+export function formatsFor(still) {
+  return EXPORT_FORMATS.filter(format => format.still === still);
+}
+
+const AUDIO_CODEC_LABELS = {
+  aac: 'AAC',
+  libopus: 'Opus',
+  libvorbis: 'Vorbis',
+  pcm_s16le: 'PCM 16-bit',
+  pcm_s24le: 'PCM 24-bit'
+};
+
+/**
+ * The audio codecs a format can write, labelled for the UI.
+ */
+export function audioCodecsFor(format) {
+  return format.audioCodecs.map(value => ({
+    value,
+    label: AUDIO_CODEC_LABELS[value] || value,
+    lossy: lossyAudioCodecs.includes(value)
+  }));
+}
+
+export function getExportFormat(value) {
+  return EXPORT_FORMATS.find(format => format.value === value) || EXPORT_FORMATS[0];
+}
+
+/**
+ * A format's default encoder settings.
+ */
+export function defaultEncoderSettings(value) {
+  const format = getExportFormat(value);
+  return format ? { ...format.defaults } : {};
+}
@@ -0,0 +1,14 @@
+/**
+ * Formats seconds as m:ss (h:mm:ss from an hour on) for time displays.
+ */
+export function formatTime(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '0:00';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
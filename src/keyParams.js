@@ -0,0 +1,317 @@
+export const KEYERS = [
+  { value: 'chromakey', label: 'YUV chroma (chromakey)', hint: 'Compares color only, ignoring brightness. Best for evenly lit screens.' },
+  { value: 'colorkey', label: 'RGB (colorkey)', hint: 'Compares full RGB, brightness included. Good for flat, digital backgrounds.' },
+  { value: 'hsvkey', label: 'HSV (hsvkey)', hint: 'Compares hue, saturation and value separately, each tunable below.' }
+];
+
+export const OUTPUT_MODES = [
+  { value: 'composite', label: 'Composite', hint: 'The keyed video over the background, transparent in WebM without one.' },
+  { value: 'matte', label: 'Matte (black & white)', hint: 'The alpha channel only: white is kept, black is removed. Always opaque.' },
+  { value: 'split', label: 'Split: original | matte | result', hint: 'Three frames side by side to compare the key with the source. Always opaque.' },
+  { value: 'checkerboard', label: 'Checkerboard', hint: 'The keyed video over a checkerboard, to spot holes and fringes. Always opaque.' }
+];
+
+export const BACKGROUND_FITS = [
+  { value: 'stretch', label: 'Stretch', hint: 'Fills the frame exactly, distorting backgrounds of another shape.' },
+  { value: 'contain', label: 'Contain (letterbox)', hint: 'Shows the whole background; the bars use the letterbox color.' },
+  { value: 'cover', label: 'Cover (crop)', hint: 'Fills the frame and crops the background edges that don\'t fit.' }
+];
+
+/**
+ * hsvkey parameters for a key color, computed the way FFmpeg's hsvkey derives
+ * them per pixel: hue/saturation from the CCIR 601 U/V angle and length, value from luma.
+ */
+export function colorToHsvKey(color) {
+  const [r, g, b] = hexToRgb(color).map(c => c * 255);
+  const y = 16 + ((0.299 * r + 0.587 * g + 0.114 * b) * 219) / 255;
+  const u = ((-0.16874 * r - 0.33126 * g + 0.5 * b) * 224) / 255;
+  const v = ((0.5 * r - 0.41869 * g - 0.08131 * b) * 224) / 255;
+
+  const hue = ((Math.atan2(u, v) + Math.PI) * 180) / Math.PI;
+  return {
+    hsvHue: Math.round(hue) % 360,
+    hsvSat: Math.round(Math.sqrt((u * u + v * v) / (128 * 128 * 2)) * 100) / 100,
+    hsvVal: Math.round((y / 255) * 100) / 100
+  };
+}
+
+/**
+ * Converts the Strength slider (0-100) to the keyer's similarity (0.01-0.4).
+ * Higher strength = higher similarity = stronger keying.
+ */
+export function strengthToSimilarity(strength) {
+  return 0.01 + (strength / 100) * 0.39;
+}
+
+/**
+ * The Strength slider value for a keyer similarity, the inverse of strengthToSimilarity.
+ */
+export function similarityToStrength(similarity) {
+  return Math.min(100, Math.max(0, Math.round(((similarity - 0.01) / 0.39) * 100)));
+}
+
+/**
+ * Translates the UI key settings into FFmpeg filter parameters.
+ * Used for both `process-video` jobs and the live WebGL preview so they stay in sync.
+ */
+export function toKeyParams(settings) {
+  // Convert hex color to 0xRRGGBB format for FFmpeg
+  const hex = settings.color.replace('#', '');
+  const color = `0x${hex}`;
+
+  const similarity = strengthToSimilarity(settings.strength);
+
+  // Convert blend (0-100) to the keyer's 0-1 range
+  // Lower values give a harder matte edge, typically 0.1-0.2 works well
+  const blend = settings.blend / 100;
+
+  const params = { keyer: settings.keyer, color, similarity, blend };
+
+  // Matte refinement is already in FFmpeg units: pixels for choke/expand, sigma for feather
+  params.matteChoke = settings.matteChoke;
+  params.matteExpand = settings.matteExpand;
+  params.matteFeather = settings.matteFeather;
+
+  // Spill suppression mix/expand (0-100) map to despill's 0-1 range
+  params.despill = settings.despill;
+  if (settings.despill) {
+    params.despillType = settings.despillType;
+    params.despillMix = settings.despillMix / 100;
+    params.despillExpand = settings.despillExpand / 100;
+  }
+
+  if (settings.keyer === 'hsvkey') {
+    Object.assign(params, settings.hsvAuto
+      ? colorToHsvKey(color)
+      : { hsvHue: settings.hsvHue, hsvSat: settings.hsvSat, hsvVal: settings.hsvVal });
+  }
+
+  return params;
+}
+
+/**
+ * Translates the UI placement settings (percentages, #RRGGBB) into the
+ * `process-video` background fit and foreground transform options.
+ */
+export function toPlacementParams(placement) {
+  return {
+    backgroundFit: placement.backgroundFit,
+    letterboxColor: `0x${placement.letterboxColor.replace('#', '')}`,
+    fgScale: placement.fgScale / 100,
+    fgOffsetX: placement.fgOffsetX / 100,
+    fgOffsetY: placement.fgOffsetY / 100,
+    fgFlipH: placement.fgFlipH,
+    fgFlipV: placement.fgFlipV
+  };
+}
+
+/**
+ * Translates the UI color correction (exposure in stops, contrast and
+ * saturation in percent, temperature and tint from -100 to 100) into the
+ * `process-video` foreground correction options.
+ */
+export function toColorCorrectionParams(correction) {
+  return {
+    fgExposure: correction.exposure,
+    fgContrast: correction.contrast / 100,
+    fgSaturation: correction.saturation / 100,
+    fgTemperature: correction.temperature / 100,
+    fgTint: correction.tint / 100,
+    fgLutPath: correction.lutPath
+  };
+}
+
+/**
+ * UI color correction values for `process-video` correction options, the
+ * inverse of toColorCorrectionParams; only the options given are returned.
+ */
+export function fromColorCorrectionParams(options) {
+  const percent = value => Math.round(value * 100);
+  const mapping = {
+    exposure: ['fgExposure', value => value],
+    contrast: ['fgContrast', percent],
+    saturation: ['fgSaturation', percent],
+    temperature: ['fgTemperature', percent],
+    tint: ['fgTint', percent]
+  };
+  return Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, [name]]) => options[name] !== undefined)
+      .map(([key, [name, convert]]) => [key, convert(options[name])])
+  );
+}
+
+// The main clip's entry in the UI layer list
+export const MAIN_LAYER_ID = 'main';
+
+/**
+ * Translates the UI layer list into `process-video` layers. The list is in
+ * stacking order, top first, and holds the main clip as `{ id: MAIN_LAYER_ID }`;
+ * each layer's zIndex is its distance above (or below) the main clip.
+ * Layers are { id, path, settings, placement, correction, startOffset } with
+ * key settings, placement and color correction in the same UI units as the
+ * main clip's; missing clips are left out.
+ */
+export function toLayerParams(layers) {
+  const mainIndex = layers.findIndex(layer => layer.id === MAIN_LAYER_ID);
+  return layers.flatMap((layer, index) => (layer.id === MAIN_LAYER_ID || !layer.path ? [] : [{
+    inputPath: layer.path,
+    ...toKeyParams(layer.settings),
+    fgScale: layer.placement.fgScale / 100,
+    fgOffsetX: layer.placement.fgOffsetX / 100,
+    fgOffsetY: layer.placement.fgOffsetY / 100,
+    fgFlipH: layer.placement.fgFlipH,
+    fgFlipV: layer.placement.fgFlipV,
+    ...toColorCorrectionParams(layer.correction),
+    startOffset: layer.startOffset,
+    zIndex: mainIndex - index
+  }]));
+}
+
+/**
+ * Options for a generated background ('color', 'gradient' or 'blur') from the
+ * UI settings; image and video backgrounds need none.
+ */
+export function toBackgroundParams(backgroundType, generated) {
+  if (backgroundType === 'color') {
+    return { backgroundColor: `0x${generated.color.replace('#', '')}` };
+  }
+  if (backgroundType === 'gradient') {
+    return {
+      gradientType: generated.gradientType,
+      gradientStart: `0x${generated.gradientStart.replace('#', '')}`,
+      gradientEnd: `0x${generated.gradientEnd.replace('#', '')}`,
+      gradientAngle: generated.gradientAngle
+    };
+  }
+  if (backgroundType === 'blur') {
+    return { backgroundBlur: generated.blur };
+  }
+  return {};
+}
+
+/**
+ * Translates UI keyframes ({ time, color as #RRGGBB, strength, matteFeather,
+ * interpolation }) into `process-video` keyframes, sorted by time.
+ */
+export function toKeyframeParams(keyframes) {
+  return keyframes
+    .map(keyframe => ({
+      time: keyframe.time,
+      color: `0x${keyframe.color.replace('#', '')}`,
+      similarity: strengthToSimilarity(keyframe.strength),
+      matteFeather: keyframe.matteFeather,
+      interpolation: keyframe.interpolation
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Trim options (`start`, `duration`) from the in/out points in seconds;
+ * either point may be null for the start or end of the clip.
+ */
+export function toTrimParams({ inPoint, outPoint }) {
+  const start = inPoint || 0;
+  return {
+    start,
+    duration: outPoint !== null ? outPoint - start : null
+  };
+}
+
+const GENERATED_BACKGROUNDS = ['color', 'gradient', 'blur'];
+
+function toHex(color) {
+  return `#${color.replace(/^0x/i, '')}`;
+}
+
+/**
+ * The `process-video` options a user preset stores: key, matte, placement,
+ * color correction, generated background and audio. An image or video
+ * background and a LUT file are left out, since files belong to the shot.
+ */
+export function toPresetParams({ keyParams, placementParams, colorCorrectionParams, backgroundType, backgroundParams, backgroundEnd, audioMode }) {
+  const { fgLutPath, ...correction } = colorCorrectionParams;
+  return {
+    ...keyParams,
+    ...placementParams,
+    ...correction,
+    ...(GENERATED_BACKGROUNDS.includes(backgroundType) ? { backgroundType, ...backgroundParams } : {}),
+    backgroundEnd,
+    audioMode
+  };
+}
+
+/**
+ * Translates preset options back into UI settings. Each part only holds the
+ * values the preset has, to be merged over the current ones; `backgroundType`
+ * is undefined when the preset leaves the background alone.
+ * @returns {{ settings: Object, placement: Object, correction: Object, generatedBackground: Object,
+ *   backgroundType: string|undefined, backgroundEnd: string|undefined, audioMode: string|undefined }}
+ */
+export function fromPresetParams(options) {
+  const pick = (mapping) => Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, [name]]) => options[name] !== undefined)
+      .map(([key, [name, convert = value => value]]) => [key, convert(options[name])])
+  );
+  const percent = value => Math.round(value * 100);
+
+  const settings = pick({
+    keyer: ['keyer'],
+    color: ['color', toHex],
+    strength: ['similarity', similarityToStrength],
+    blend: ['blend', percent],
+    matteChoke: ['matteChoke'],
+    matteExpand: ['matteExpand'],
+    matteFeather: ['matteFeather'],
+    despill: ['despill'],
+    despillType: ['despillType'],
+    despillMix: ['despillMix', percent],
+    despillExpand: ['despillExpand', percent],
+    hsvHue: ['hsvHue'],
+    hsvSat: ['hsvSat'],
+    hsvVal: ['hsvVal']
+  });
+  if (options.keyer === 'hsvkey' && options.color) {
+    // Values derived from the key color stay derived
+    const derived = colorToHsvKey(options.color);
+    settings.hsvAuto = ['hsvHue', 'hsvSat', 'hsvVal'].every(name => derived[name] === options[name]);
+  }
+
+  return {
+    settings,
+    placement: pick({
+      backgroundFit: ['backgroundFit'],
+      letterboxColor: ['letterboxColor', toHex],
+      fgScale: ['fgScale', percent],
+      fgOffsetX: ['fgOffsetX', percent],
+      fgOffsetY: ['fgOffsetY', percent],
+      fgFlipH: ['fgFlipH'],
+      fgFlipV: ['fgFlipV']
+    }),
+    correction: fromColorCorrectionParams(options),
+    generatedBackground: pick({
+      color: ['backgroundColor', toHex],
+      gradientType: ['gradientType'],
+      gradientStart: ['gradientStart', toHex],
+      gradientEnd: ['gradientEnd', toHex],
+      gradientAngle: ['gradientAngle'],
+      blur: ['backgroundBlur']
+    }),
+    backgroundType: options.backgroundType,
+    backgroundEnd: options.backgroundEnd,
+    audioMode: options.audioMode
+  };
+}
+
+/**
+ * Parses a 0xRRGGBB or #RRGGBB color into normalized [r, g, b] components.
+ */
+export function hexToRgb(color) {
+  const value = parseInt(color.replace(/^(0x|#)/i, ''), 16);
+  return [
+    ((value >> 16) & 0xff) / 255,
+    ((value >> 8) & 0xff) / 255,
+    (value & 0xff) / 255
+  ];
+}
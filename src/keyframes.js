@@ -0,0 +1,26 @@
+export const KEYFRAME_INTERPOLATIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'hold', label: 'Hold' }
+];
+
+/**
+ * The keyframes, in `process-video` units sorted by time (see
+ * toKeyframeParams), as spans of one key color over which the numbers change
+ * linearly. The main process makes them with keyframeSpans in
+ * public/keyframes.js, so the live preview changes the key over time the same
+ * way the export's sendcmd commands do. Without Electron nothing is animated.
+ */
+export function keyframeSpans(keyframes) {
+  return keyframes.length > 0 && window.electronAPI ? window.electronAPI.keyframeSpans(keyframes) : [];
+}
+
+/**
+ * Key color, similarity and feather at a time in the clip, read from the
+ * spans as keyframeValuesAt in public/keyframes.js reads them.
+ */
+export function keyframeValuesAt(spans, time) {
+  const span = spans.find(candidate => candidate.end === null || time < candidate.end) || spans[spans.length - 1];
+  const amount = span.end === null ? 0 : Math.min(1, Math.max(0, (time - span.start) / (span.end - span.start)));
+  const lerp = ([from, to]) => from + (to - from) * amount;
+  return { color: span.color, similarity: lerp(span.similarity), matteFeather: lerp(span.matteFeather) };
+}
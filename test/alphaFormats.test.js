@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS, pixelFormat } = require('./fixtures');
+
+describe('alpha formats', () => {
+  it('writes ProRes 4444 with alpha and the Apple vendor tag', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'prores4444', outputPath: '/clips/out.mov' }));
+    assert.deepEqual(graph.outputOptions.slice(0, 8), [
+      '-c:v', 'prores_ks', '-profile:v', '4444', '-vendor', 'apl0', '-pix_fmt', 'yuva444p10le'
+    ]);
+  });
+
+  it('numbers the frames of a PNG sequence after the file name', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'pngseq', outputPath: '/clips/shot.png' }));
+    assert.equal(graph.outputPath, '/clips/shot_%05d.png');
+    assert.equal(pixelFormat(graph.outputOptions), 'rgba');
+    assert.deepEqual(graph.maps, ['-map', '[out]']);
+  });
+
+  it('keeps a sequence pattern that is already given', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'pngseq', outputPath: '/clips/frame%04d.png' }));
+    assert.equal(graph.outputPath, '/clips/frame%04d.png');
+  });
+
+  it('turns off alt-ref frames for transparent VP9 only', () => {
+    assert.ok(buildFilterGraph(jobOptions({ format: 'webm' })).outputOptions.includes('-auto-alt-ref'));
+    assert.ok(!buildFilterGraph(jobOptions({ ...BACKGROUNDS.color, format: 'webm' })).outputOptions.includes('-auto-alt-ref'));
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('background timing', () => {
+  it('converts backgrounds to the probed frame rate and timebase', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, frameRate: '60/1', timeBase: '1/15360' }));
+    assert.ok(graph.filterComplex.includes('[1:v]fps=fps=60/1,settb=1/15360[bgfps]'));
+  });
+
+  it('holds the last frame of a frozen background', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, backgroundEnd: 'freeze' }));
+    assert.deepEqual(graph.inputs[1].options, []);
+    assert.ok(graph.filterComplex.includes('[1:v]tpad=stop_mode=clone:stop=-1,fps=fps=25[bgfps]'));
+    assert.ok(!graph.outputOptions.includes('-shortest'));
+  });
+
+  it('ends the audio with a background that stops the output', () => {
+    for (const audioMode of ['foreground', 'background', 'mix']) {
+      const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, backgroundEnd: 'stop', audioMode }));
+      assert.deepEqual(graph.inputs[1].options, []);
+      assert.ok(graph.outputOptions.includes('-shortest'), audioMode);
+    }
+  });
+
+  it('mixes audio for as long as the video runs', () => {
+    const amix = backgroundEnd => buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, backgroundEnd, audioMode: 'mix' }))
+      .filterComplex.match(/amix=inputs=2:duration=(\w+)/)[1];
+    assert.equal(amix('loop'), 'first');
+    assert.equal(amix('freeze'), 'first');
+    assert.equal(amix('stop'), 'shortest');
+  });
+});
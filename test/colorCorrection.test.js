@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph, buildColorCorrectionFilter } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('color correction', () => {
+  it('adds nothing at the defaults', () => {
+    assert.equal(buildColorCorrectionFilter({ fgExposure: 0, fgContrast: 1, fgSaturation: 1, fgTemperature: 0, fgTint: 0, fgLutPath: null }), null);
+  });
+
+  it('applies exposure, temperature, tint and contrast as one lookup', () => {
+    assert.equal(
+      buildColorCorrectionFilter({ fgExposure: 1, fgContrast: 1.2, fgTemperature: 0.5, fgTint: -0.5 }),
+      "lutrgb=r='clip(128+(val*2.2-128)*1.2,0,255)':g='clip(128+(val*2.2-128)*1.2,0,255)':b='clip(128+(val*1.8-128)*1.2,0,255)'"
+    );
+  });
+
+  it('mixes the channels around luma for saturation', () => {
+    assert.equal(
+      buildColorCorrectionFilter({ fgSaturation: 0 }),
+      'colorchannelmixer=rr=0.2126:rg=0.7152:rb=0.0722:gr=0.2126:gg=0.7152:gb=0.0722:br=0.2126:bg=0.7152:bb=0.0722'
+    );
+  });
+
+  it('applies the LUT first, with the path escaped for the graph', () => {
+    assert.equal(
+      buildColorCorrectionFilter({ fgExposure: 0.5, fgLutPath: 'C:\\luts\\film:1.cube' }).split(',lutrgb')[0],
+      'lut3d=file=C\\\\:/luts/film\\\\:1.cube'
+    );
+  });
+
+  it('corrects the keyed subject after the matte is merged back', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.image, matteFeather: 1, fgSaturation: 0.5 }));
+    assert.ok(graph.filterComplex.includes('[fgcolor][matte]alphamerge,colorchannelmixer='));
+  });
+
+  it('corrects each layer on its own', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color,
+      layers: [{
+        inputPath: '/clips/guest.mp4', color: '0x00ff00', similarity: 0.2, blend: 0.1,
+        fgScale: 1, fgOffsetX: 0, fgOffsetY: 0, startOffset: 0, zIndex: 1, fgLutPath: '/luts/warm.cube'
+      }]
+    }));
+    assert.ok(graph.filterComplex.includes('[layer1src]chromakey=0x00ff00:0.2:0.1,lut3d=file=/luts/warm.cube[layer1]'));
+    assert.ok(graph.filterComplex.includes('[0:v]chromakey=0x00ff00:0.127:0.1[fg]'));
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions } = require('./fixtures');
+
+describe('spill suppression', () => {
+  it('despills green screens after the key', () => {
+    const graph = buildFilterGraph(jobOptions({
+      format: 'webm', despill: true, despillType: 'green', despillMix: 0.5, despillExpand: 0
+    }));
+    assert.equal(
+      graph.filterComplex,
+      '[0:v]chromakey=0x00ff00:0.127:0.1,despill=type=green:mix=0.5:expand=0:green=-1:blue=0[out]'
+    );
+  });
+
+  it('swaps the channel scales for blue screens', () => {
+    const graph = buildFilterGraph(jobOptions({
+      format: 'webm', color: '0x0000ff', despill: true, despillType: 'blue', despillMix: 0.3, despillExpand: 0.2
+    }));
+    assert.ok(graph.filterComplex.includes(',despill=type=blue:mix=0.3:expand=0.2:green=0:blue=-1[out]'));
+  });
+
+  it('leaves the kept pixels alone when disabled', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', despill: false, despillType: 'green' }));
+    assert.ok(!graph.filterComplex.includes('despill'));
+  });
+});
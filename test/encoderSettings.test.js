@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('encoder settings', () => {
+  it('uses the format defaults', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'mp4' }));
+    assert.deepEqual(graph.outputOptions.slice(0, 12), [
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'medium', '-c:a', 'aac', '-b:a', '192k'
+    ]);
+  });
+
+  it('caps the VP9 bitrate at 0 for constant quality', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', encoder: { crf: 40, preset: 'best' } }));
+    const crf = graph.outputOptions.indexOf('-crf');
+    assert.deepEqual(graph.outputOptions.slice(crf, crf + 6), ['-crf', '40', '-b:v', '0', '-deadline', 'best']);
+  });
+
+  it('targets a bitrate instead of a quality', () => {
+    const graph = buildFilterGraph(jobOptions({ encoder: { rateControl: 'bitrate', videoBitrate: 6000 } }));
+    assert.ok(!graph.outputOptions.includes('-crf'));
+    assert.ok(graph.outputOptions.join(' ').includes('-b:v 6000k'));
+  });
+
+  it('gives uncompressed audio no bitrate', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'prores4444', encoder: { audioCodec: 'pcm_s24le' } }));
+    assert.ok(graph.outputOptions.join(' ').includes('-c:a pcm_s24le'));
+    assert.ok(!graph.outputOptions.includes('-b:a'));
+  });
+
+  it('resizes and converts the frame rate of the finished picture', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.color, encoder: { resolution: 720, fps: 30 } }));
+    assert.ok(graph.filterComplex.includes('overlay=shortest=1[picture]'));
+    assert.ok(graph.filterComplex.endsWith('[picture]scale=-2:720,fps=fps=30[out]'));
+  });
+
+  it('resizes a transparent key without compositing it', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', encoder: { resolution: 480 } }));
+    assert.equal(graph.filterComplex, '[0:v]chromakey=0x00ff00:0.127:0.1[picture];[picture]scale=-2:480[out]');
+  });
+});
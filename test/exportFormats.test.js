@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EXPORT_FORMATS,
+  EXPORT_PRESETS,
+  resolveEncoderSettings,
+  adaptEncoderSettings,
+  describeExportFormats
+} = require('../public/exportFormats');
+
+describe('adaptEncoderSettings', () => {
+  it('keeps the settings the new format supports', () => {
+    const encoder = { rateControl: 'bitrate', crf: 20, videoBitrate: 5000, preset: 'good', resolution: 720, fps: 30, audioCodec: 'libopus', audioBitrate: 128 };
+    assert.deepEqual(adaptEncoderSettings('webm', encoder), encoder);
+  });
+
+  it('clamps the CRF to the format range', () => {
+    assert.equal(adaptEncoderSettings('mp4', { crf: 60 }).crf, 51);
+  });
+
+  it('falls back to the defaults for presets and audio codecs the format lacks', () => {
+    const adapted = adaptEncoderSettings('mp4', { preset: 'good', audioCodec: 'libopus' });
+    assert.equal(adapted.preset, 'medium');
+    assert.equal(adapted.audioCodec, 'aac');
+  });
+
+  it('drops rate control for formats without it', () => {
+    const adapted = adaptEncoderSettings('prores4444', { rateControl: 'crf', crf: 18, preset: 'slow', audioCodec: 'aac' });
+    assert.equal(adapted.rateControl, null);
+    assert.equal(adapted.crf, null);
+    assert.equal(adapted.preset, null);
+    assert.equal(adapted.audioCodec, 'aac');
+  });
+});
+
+describe('describeExportFormats', () => {
+  it('describes every format with its resolved defaults', () => {
+    const { formats } = describeExportFormats();
+    assert.deepEqual(formats.map(format => format.value), Object.keys(EXPORT_FORMATS));
+    for (const format of formats) {
+      assert.deepEqual(format.defaults, resolveEncoderSettings(format.value));
+      assert.equal(format.alpha, Boolean(EXPORT_FORMATS[format.value].alphaPixelFormat));
+    }
+  });
+
+  it('resolves the presets the way a job does', () => {
+    const { presets } = describeExportFormats();
+    for (const preset of presets) {
+      const { format, encoder } = EXPORT_PRESETS[preset.value];
+      assert.equal(preset.format, format);
+      assert.deepEqual(preset.encoder, resolveEncoderSettings(format, encoder));
+    }
+  });
+
+  it('can be sent over IPC', () => {
+    const described = describeExportFormats();
+    assert.deepEqual(JSON.parse(JSON.stringify(described)), described);
+  });
+});
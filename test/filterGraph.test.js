@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph, resolveAudioMode } = require('../public/filterGraph');
+const { EXPORT_FORMATS } = require('../public/exportFormats');
+const { jobOptions, BACKGROUNDS, countLabel, pixelFormat } = require('./fixtures');
+
+const AUDIO_MODES = ['foreground', 'background', 'mix', 'none'];
+
+/**
+ * The audio a job should end up with: formats without audio codecs have none,
+ * and background audio needs a background video.
+ */
+function expectedAudio(format, background, audioMode) {
+  if (EXPORT_FORMATS[format].encoder.audioCodecs.length === 0) {
+    return 'none';
+  }
+  if ((audioMode === 'background' || audioMode === 'mix') && background !== 'video') {
+    return 'foreground';
+  }
+  return audioMode;
+}
+
+const AUDIO_MAPS = {
+  foreground: ['-map', '0:a?'],
+  background: ['-map', '1:a?'],
+  mix: ['-map', '[audio_out]'],
+  none: []
+};
+
+describe('buildFilterGraph', () => {
+  for (const [background, backgroundOptions] of Object.entries(BACKGROUNDS)) {
+    for (const format of Object.keys(EXPORT_FORMATS)) {
+      for (const audioMode of AUDIO_MODES) {
+        it(`keys with ${background} background to ${format}, ${audioMode} audio`, () => {
+          const graph = buildFilterGraph(jobOptions({ ...backgroundOptions, format, audioMode }));
+          const audio = expectedAudio(format, background, audioMode);
+
+          assert.equal(graph.inputs[0].path, '/clips/in.mp4');
+          if (background === 'image') {
+            assert.deepEqual(graph.inputs[1], { path: '/clips/bg.png', options: ['-loop', '1'] });
+          } else if (background === 'video') {
+            assert.deepEqual(graph.inputs[1], { path: '/clips/bg.mp4', options: ['-stream_loop', '-1'] });
+          } else {
+            assert.equal(graph.inputs.length, 1);
+          }
+
+          assert.match(graph.filterComplex, /^\[0:v\]/);
+          // [out] is made once and only read by the map
+          assert.equal(countLabel(graph.filterComplex, 'out'), 1);
+          assert.match(graph.filterComplex.split(';').find(filter => filter.includes('[out]')), /\[out\]$/);
+          assert.deepEqual(graph.maps, ['-map', '[out]', ...AUDIO_MAPS[audio]]);
+          assert.equal(graph.filterComplex.includes('amix'), audio === 'mix');
+
+          // Only a plain key without a background keeps the alpha channel
+          const exportFormat = EXPORT_FORMATS[format];
+          const keepsAlpha = background === 'none' && Boolean(exportFormat.alphaPixelFormat);
+          assert.equal(pixelFormat(graph.outputOptions), keepsAlpha ? exportFormat.alphaPixelFormat : exportFormat.pixelFormat);
+          assert.deepEqual(graph.outputOptions.slice(0, exportFormat.videoOptions.length), exportFormat.videoOptions);
+          assert.equal(graph.outputOptions.includes('-c:a'), exportFormat.encoder.audioCodecs.length > 0);
+          assert.equal(graph.outputOptions.includes('-shortest'), background === 'video');
+        });
+      }
+    }
+  }
+
+  it('keys without a background straight to the output', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm' }));
+    assert.equal(graph.filterComplex, '[0:v]chromakey=0x00ff00:0.127:0.1[out]');
+  });
+
+  it('overlays the key on a background image scaled to the frame', () => {
+    const graph = buildFilterGraph(jobOptions(BACKGROUNDS.image));
+    assert.equal(graph.filterComplex, [
+      '[0:v]chromakey=0x00ff00:0.127:0.1[fg]',
+      '[1:v]fps=fps=25[bgfps]',
+      '[bgfps][fg]scale2ref[bg][fg_scaled]',
+      '[bg][fg_scaled]overlay=shortest=1[out]'
+    ].join(';'));
+  });
+
+  it('composites on black without a background in formats without alpha', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'mp4' }));
+    assert.ok(graph.filterComplex.includes('color=c=black'));
+    assert.equal(pixelFormat(graph.outputOptions), 'yuv420p');
+  });
+
+  it('mixes the audio of a looped background for as long as the foreground runs', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, audioMode: 'mix' }));
+    assert.ok(graph.filterComplex.endsWith(';[0:a][1:a]amix=inputs=2:duration=first:dropout_transition=2[audio_out]'));
+  });
+});
+
+describe('resolveAudioMode', () => {
+  it('defaults to the foreground audio', () => {
+    assert.equal(resolveAudioMode(undefined, false), 'foreground');
+  });
+
+  it('uses the foreground when background audio needs a missing background video', () => {
+    assert.equal(resolveAudioMode('background', false), 'foreground');
+    assert.equal(resolveAudioMode('mix', false), 'foreground');
+  });
+
+  it('keeps the chosen mode when the inputs were not probed', () => {
+    for (const mode of AUDIO_MODES) {
+      assert.equal(resolveAudioMode(mode, true), mode);
+    }
+  });
+
+  it('mixes only when both sides have audio', () => {
+    assert.equal(resolveAudioMode('mix', true, { foregroundHasAudio: true, backgroundHasAudio: false }), 'foreground');
+    assert.equal(resolveAudioMode('mix', true, { foregroundHasAudio: false, backgroundHasAudio: true }), 'background');
+    assert.equal(resolveAudioMode('mix', true, { foregroundHasAudio: false, backgroundHasAudio: false }), 'none');
+    assert.equal(resolveAudioMode('mix', true, { foregroundHasAudio: true, backgroundHasAudio: true }), 'mix');
+  });
+
+  it('has no audio when the chosen side has none', () => {
+    assert.equal(resolveAudioMode('foreground', true, { foregroundHasAudio: false }), 'none');
+    assert.equal(resolveAudioMode('background', true, { backgroundHasAudio: false }), 'none');
+    assert.equal(resolveAudioMode('foreground', false, { foregroundHasAudio: false }), 'none');
+  });
+});
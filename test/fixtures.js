@@ -0,0 +1,62 @@
+// Jobs and backgrounds shared by the filter graph tests
+
+/**
+ * Options for a plain job, as validateProcessOptions would pass them on.
+ */
+function jobOptions(overrides = {}) {
+  return {
+    inputPath: '/clips/in.mp4',
+    outputPath: '/clips/out.mp4',
+    color: '0x00ff00',
+    similarity: 0.127,
+    blend: 0.1,
+    ...overrides
+  };
+}
+
+// Every background type, with the options it needs
+const BACKGROUNDS = {
+  none: {},
+  image: { backgroundType: 'image', backgroundPath: '/clips/bg.png' },
+  video: { backgroundType: 'video', backgroundPath: '/clips/bg.mp4' },
+  color: { backgroundType: 'color', backgroundColor: '0x336699' },
+  gradient: {
+    backgroundType: 'gradient',
+    gradientType: 'linear',
+    gradientStart: '0x1e3a8a',
+    gradientEnd: '0x60a5fa',
+    gradientAngle: 90
+  },
+  blur: { backgroundType: 'blur', backgroundBlur: 20 }
+};
+
+/**
+ * How often a label appears in a filter graph.
+ */
+function countLabel(filterComplex, label) {
+  return filterComplex.split(`[${label}]`).length - 1;
+}
+
+/**
+ * Labels a filter graph makes but never reads, or reads but never makes; FFmpeg
+ * refuses to run a graph with either. [out] and [audio_out] are read by the maps.
+ */
+function danglingLabels(filterComplex) {
+  // Quoted arguments, like the sendcmd commands, may hold ';' and '[...]'
+  const filters = filterComplex.replace(/'[^']*'/g, "''").split(';');
+  const made = [];
+  const read = [];
+  for (const filter of filters) {
+    read.push(...filter.match(/^(\[[^\]]+\])*/)[0].match(/[^[\]]+/g) || []);
+    made.push(...filter.match(/(\[[^\]]+\])*$/)[0].match(/[^[\]]+/g) || []);
+  }
+  const unread = made.filter(label => !read.includes(label) && label !== 'out' && label !== 'audio_out');
+  const unmade = read.filter(label => !made.includes(label) && !/^\d+:[va]$/.test(label));
+  return [...unread, ...unmade];
+}
+
+function pixelFormat(outputOptions) {
+  return outputOptions[outputOptions.indexOf('-pix_fmt') + 1];
+}
+
+module.exports = { jobOptions, BACKGROUNDS, countLabel, danglingLabels, pixelFormat };
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { rasterizeGarbageMattes } = require('../public/garbageMatte');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('garbage mattes', () => {
+  it('loops the mask as an extra input and merges it into the keyed alpha', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', garbageMaskPath: '/tmp/garbage_1.pgm' }));
+    assert.deepEqual(graph.inputs[1], { path: '/tmp/garbage_1.pgm', options: ['-loop', '1'] });
+    assert.equal(graph.filterComplex, [
+      '[0:v]chromakey=0x00ff00:0.127:0.1,split[fgcolor][fgalpha]',
+      '[fgalpha]alphaextract[keyalpha]',
+      '[1:v]format=gray[garbagesrc]',
+      '[garbagesrc][keyalpha]scale2ref=flags=neighbor[garbage][keyalpharef]',
+      "[keyalpharef][garbage]blend=all_expr='if(lt(B,64),0,if(gt(B,192),255,A))':shortest=1[matte]",
+      '[fgcolor][matte]alphamerge[out]'
+    ].join(';'));
+  });
+
+  it('comes after a background file in the inputs', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, garbageMaskPath: '/tmp/garbage_1.pgm' }));
+    assert.equal(graph.inputs[2].path, '/tmp/garbage_1.pgm');
+    assert.ok(graph.filterComplex.includes('[2:v]format=gray[garbagesrc]'));
+  });
+
+  it('masks the matte before it is feathered', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', garbageMaskPath: '/tmp/garbage_1.pgm', matteFeather: 2 }));
+    assert.ok(graph.filterComplex.includes(':shortest=1,gblur=sigma=2[matte]'));
+  });
+});
+
+describe('rasterizeGarbageMattes', () => {
+  /**
+   * A mask as one string per row: '-' removed, '#' kept, '.' left to the key.
+   */
+  function rows(mask, width) {
+    const result = [];
+    for (let i = 0; i < mask.length; i += width) {
+      result.push([...mask.subarray(i, i + width)].map(value => ({ 0: '-', 255: '#' })[value] || '.').join(''));
+    }
+    return result;
+  }
+
+  const rectangle = (left, top, right, bottom) => [
+    { x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }
+  ];
+
+  it('leaves the key alone without mattes', () => {
+    assert.deepEqual([...rasterizeGarbageMattes([], 3, 2)], [128, 128, 128, 128, 128, 128]);
+  });
+
+  it('fills the pixels whose centers are inside the polygon', () => {
+    const triangle = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }];
+    assert.deepEqual(rows(rasterizeGarbageMattes([{ mode: 'remove', points: triangle }], 4, 4), 4), [
+      '---.',
+      '--..',
+      '-...',
+      '....'
+    ]);
+  });
+
+  it('scales the normalized points to the mask size', () => {
+    const mattes = [{ mode: 'keep', points: rectangle(0, 0, 0.5, 1) }];
+    assert.deepEqual(rows(rasterizeGarbageMattes(mattes, 4, 2), 4), ['##..', '##..']);
+    assert.deepEqual(rows(rasterizeGarbageMattes(mattes, 8, 1), 8), ['####....']);
+  });
+
+  it('lets keep regions win over remove regions, whatever the order', () => {
+    const mattes = [
+      { mode: 'keep', points: rectangle(0.25, 0.25, 0.75, 0.75) },
+      { mode: 'remove', points: rectangle(0, 0, 1, 1) }
+    ];
+    assert.deepEqual(rows(rasterizeGarbageMattes(mattes, 4, 4), 4), ['----', '-##-', '-##-', '----']);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('generated backgrounds', () => {
+  it('draws a solid color at the clip frame rate', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.color, frameRate: '30000/1001', timeBase: '1/30000' }));
+    assert.ok(graph.filterComplex.includes('color=c=0x336699:size=2x2:rate=30000/1001,settb=1/30000[bgsrc]'));
+    assert.equal(graph.inputs.length, 1);
+  });
+
+  it('draws a linear gradient along its angle on a shrunken copy of the frame', () => {
+    const graph = buildFilterGraph(jobOptions(BACKGROUNDS.gradient));
+    assert.ok(graph.filterComplex.includes('[fg]split[fggradient][fggradientsrc]'));
+    assert.ok(graph.filterComplex.includes(
+      "[fggradientsrc]scale=w=iw/8:h=ih/8,format=gbrp,geq=r='30+66*(0.5+((X/W-0.5)*0+(Y/H-0.5)*1)/1)'"
+    ));
+    assert.ok(graph.filterComplex.includes('[bgsrc][fggradient]scale2ref[bg][fg_scaled]'));
+  });
+
+  it('draws a radial gradient from the center to the corners', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.gradient, gradientType: 'radial' }));
+    assert.ok(graph.filterComplex.includes('min(1,hypot(X/W-0.5,Y/H-0.5)/hypot(0.5,0.5))'));
+  });
+
+  it('blurs the unkeyed source behind the subject', () => {
+    const graph = buildFilterGraph(jobOptions(BACKGROUNDS.blur));
+    assert.match(graph.filterComplex, /^\[0:v\]split=2\[fgsrc\]\[blursrc\];\[fgsrc\]chromakey/);
+    assert.ok(graph.filterComplex.includes('[blursrc]gblur=sigma=20[bgsrc]'));
+  });
+});
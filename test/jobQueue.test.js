@@ -0,0 +1,167 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../public/jobQueue');
+const { JobCancelledError } = require('../public/processVideo');
+
+/**
+ * A stand-in for startVideoJob whose jobs finish when the test says so.
+ * `started` lists the jobs in the order they started.
+ */
+function fakeJobs() {
+  const started = [];
+  const startJob = (options, { onProgress }) => {
+    let settle;
+    const promise = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    const job = {
+      options,
+      onProgress,
+      paused: false,
+      finish: () => settle.resolve(),
+      fail: (message) => settle.reject(new Error(message)),
+      promise,
+      cancel: () => {
+        settle.reject(new JobCancelledError());
+        return true;
+      },
+      pause: () => {
+        job.paused = true;
+        return true;
+      },
+      resume: () => {
+        job.paused = false;
+        return true;
+      }
+    };
+    started.push(job);
+    return job;
+  };
+  return { started, startJob };
+}
+
+function clips(...names) {
+  return names.map(name => ({ inputPath: `/clips/${name}.mp4`, outputPath: `/out/${name}_keyed.mp4` }));
+}
+
+/**
+ * Lets the settled job promises run their handlers.
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function statuses(queue) {
+  return queue.list().map(job => job.status);
+}
+
+describe('JobQueue', () => {
+  it('runs no more jobs at once than the concurrency allows', () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 2, startJob });
+    queue.add(clips('a', 'b', 'c'));
+    assert.equal(started.length, 2);
+    assert.deepEqual(statuses(queue), ['processing', 'processing', 'queued']);
+  });
+
+  it('starts queued jobs in order as running ones finish', async () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    queue.add(clips('a', 'b', 'c'));
+    started[0].finish();
+    await settle();
+    assert.deepEqual(started.map(job => job.options.inputPath), ['/clips/a.mp4', '/clips/b.mp4']);
+    assert.deepEqual(statuses(queue), ['completed', 'processing', 'queued']);
+    assert.equal(queue.list()[0].percent, 100);
+  });
+
+  it('keeps going after a job fails', async () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    queue.add(clips('a', 'b'));
+    started[0].fail('ffmpeg exited with code 1');
+    await settle();
+    assert.deepEqual(statuses(queue), ['error', 'processing']);
+    assert.equal(queue.list()[0].error, 'ffmpeg exited with code 1');
+  });
+
+  it('cancels a queued job without starting it', async () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    const [, second, third] = queue.add(clips('a', 'b', 'c'));
+    assert.equal(queue.cancel(second), true);
+    started[0].finish();
+    await settle();
+    assert.equal(started[1].options.inputPath, '/clips/c.mp4');
+    assert.deepEqual(statuses(queue), ['completed', 'cancelled', 'processing']);
+    assert.equal(queue.list()[2].id, third);
+  });
+
+  it('cancels a running job and starts the next one', async () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    const [first] = queue.add(clips('a', 'b'));
+    assert.equal(queue.cancel(first), true);
+    await settle();
+    assert.deepEqual(statuses(queue), ['cancelled', 'processing']);
+    assert.equal(queue.list()[0].error, null);
+    assert.equal(queue.cancel('job-99'), false);
+  });
+
+  it('pauses and resumes running jobs only', () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    const [first, second] = queue.add(clips('a', 'b'));
+    assert.equal(queue.pause(first), true);
+    assert.equal(started[0].paused, true);
+    assert.equal(queue.pause(second), false);
+    assert.equal(queue.resume(first), true);
+    assert.equal(started[0].paused, false);
+  });
+
+  it('reports progress and pauses from the running job', () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    const updates = [];
+    queue.on('update', jobs => updates.push(jobs[0]));
+    queue.add(clips('a'));
+    started[0].onProgress({ status: 'processing', percent: 40, eta: 12 });
+    started[0].onProgress({ status: 'paused', percent: 40, eta: null });
+    assert.deepEqual(updates.slice(-2).map(job => [job.status, job.percent, job.eta]), [
+      ['processing', 40, 12],
+      ['paused', 40, null]
+    ]);
+  });
+
+  it('starts more jobs when the concurrency goes up', () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    queue.add(clips('a', 'b', 'c'));
+    queue.setConcurrency(3);
+    assert.equal(started.length, 3);
+    queue.setConcurrency(0);
+    assert.equal(queue.concurrency, 1);
+  });
+
+  it('edits and removes only jobs that are not running', () => {
+    const { startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    const [first, second] = queue.add(clips('a', 'b'));
+    assert.equal(queue.update(first, { similarity: 0.2 }), false);
+    assert.equal(queue.update(second, { similarity: 0.2 }), true);
+    assert.equal(queue.list()[1].options.similarity, 0.2);
+    assert.equal(queue.remove(first), false);
+    assert.equal(queue.remove(second), true);
+    assert.equal(queue.list().length, 1);
+  });
+
+  it('clears finished jobs and keeps queued and running ones', async () => {
+    const { started, startJob } = fakeJobs();
+    const queue = new JobQueue({ concurrency: 1, startJob });
+    queue.add(clips('a', 'b', 'c'));
+    started[0].finish();
+    await settle();
+    queue.clearFinished();
+    assert.deepEqual(statuses(queue), ['processing', 'queued']);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFrames } = require('../public/keyColorDetection');
+
+/**
+ * An RGB24 frame of `size`×`size` pixels colored by `colorAt(x, y)`.
+ */
+function frame(colorAt, size = 20) {
+  const data = new Uint8Array(size * size * 3);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      data.set(colorAt(x, y), (y * size + x) * 3);
+    }
+  }
+  return { width: size, height: size, data };
+}
+
+// A red subject in the middle of the frame, clear of the border
+const withSubject = screen => (x, y) => (x > 5 && x < 14 && y > 5 && y < 14 ? [200, 50, 50] : screen);
+
+describe('analyzeFrames', () => {
+  it('finds a green screen around the subject', () => {
+    assert.deepEqual(analyzeFrames([frame(withSubject([30, 200, 60]))]), {
+      color: '#1ec83c',
+      screen: 'green',
+      confidence: 1,
+      similarity: 0.02
+    });
+  });
+
+  it('finds a blue screen', () => {
+    const result = analyzeFrames([frame(withSubject([20, 60, 220]))]);
+    assert.equal(result.screen, 'blue');
+    assert.equal(result.color, '#143cdc');
+  });
+
+  it('falls back to green without a saturated screen in the border', () => {
+    assert.deepEqual(analyzeFrames([frame(() => [120, 120, 120])]), {
+      color: '#00ff00',
+      screen: 'green',
+      confidence: 0,
+      similarity: null
+    });
+  });
+
+  it('is less confident when the subject reaches into the border', () => {
+    const result = analyzeFrames([frame((x) => (x < 10 ? [30, 200, 60] : [200, 50, 50]))]);
+    assert.equal(result.color, '#1ec83c');
+    assert.equal(result.confidence, 0.5);
+  });
+
+  it('averages the screen over every frame', () => {
+    const result = analyzeFrames([frame(() => [30, 200, 60]), frame(() => [26, 190, 70])]);
+    assert.equal(result.color, '#1cc341');
+  });
+
+  it('suggests a wider similarity for an unevenly lit screen', () => {
+    const even = analyzeFrames([frame(() => [30, 200, 60])]);
+    const uneven = analyzeFrames([frame((x, y) => [30 + x * 2, 200 - y, 60 + y])]);
+    assert.equal(uneven.screen, 'green');
+    assert.ok(uneven.similarity > even.similarity);
+    assert.ok(uneven.similarity <= 0.4);
+  });
+});
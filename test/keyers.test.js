@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph, buildKeyFilter } = require('../public/filterGraph');
+const { jobOptions } = require('./fixtures');
+
+describe('keyers', () => {
+  it('keys in YUV with chromakey by default', () => {
+    assert.equal(buildKeyFilter({ color: '0x00ff00', similarity: 0.2, blend: 0.05 }), 'chromakey=0x00ff00:0.2:0.05');
+  });
+
+  it('keys in RGB with colorkey', () => {
+    const graph = buildFilterGraph(jobOptions({ keyer: 'colorkey', format: 'webm' }));
+    assert.equal(graph.filterComplex, '[0:v]colorkey=0x00ff00:0.127:0.1[out]');
+  });
+
+  it('passes the HSV parameters to hsvkey', () => {
+    const graph = buildFilterGraph(jobOptions({ keyer: 'hsvkey', hsvHue: 120, hsvSat: 0.5, hsvVal: 0.4, format: 'webm' }));
+    assert.equal(graph.filterComplex, '[0:v]hsvkey=hue=120:sat=0.5:val=0.4:similarity=0.127:blend=0.1[out]');
+  });
+
+  it('names the key filter for keyframe commands', () => {
+    assert.equal(buildKeyFilter({ keyer: 'colorkey', color: '0x0000ff', similarity: 0.3, blend: 0 }, 'key'), 'colorkey@key=0x0000ff:0.3:0');
+  });
+});
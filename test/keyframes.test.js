@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { keyframeSpans, keyframeValuesAt } = require('../public/keyframes');
+const { jobOptions } = require('./fixtures');
+
+describe('keyframes', () => {
+  const KEYFRAMES = [
+    { time: 0, color: '0x00ff00', similarity: 0.1, matteFeather: 0, interpolation: 'linear' },
+    { time: 1, color: '0x0000ff', similarity: 0.3, matteFeather: 2, interpolation: 'hold' }
+  ];
+
+  /**
+   * The key colors the sendcmd commands set, by output time.
+   */
+  function colorCommands(filterComplex) {
+    return [...filterComplex.matchAll(/([\d.]+) \[enter\][^;']*?chromakey@key color (0x[0-9a-f]{6})/g)]
+      .map(([, time, color]) => ({ time: Number(time), color }));
+  }
+
+  it('changes the named key and feather filters with sendcmd', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', keyframes: KEYFRAMES }));
+    assert.match(graph.filterComplex, /^\[0:v\]sendcmd=c='0 \[enter\] chromakey@key similarity 0\.1, chromakey@key color 0x00ff00, gblur@feather sigma 0;/);
+    assert.ok(graph.filterComplex.includes('0-1 [expr] chromakey@key similarity 0.1+(0.2)*(T-(0))/1'));
+    assert.ok(graph.filterComplex.includes(',chromakey@key=0x00ff00:0.1:0.1,split[fgcolor][fgalpha]'));
+    assert.ok(graph.filterComplex.includes('[fgalpha]alphaextract,gblur@feather=sigma=0[matte]'));
+  });
+
+  it('steps the color at a fixed rate', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', keyframes: KEYFRAMES }));
+    assert.deepEqual(colorCommands(graph.filterComplex).map(command => command.time), [0, 0.25, 0.5, 0.75, 1]);
+  });
+
+  it('reports the color the export renders at any time', () => {
+    const commands = colorCommands(buildFilterGraph(jobOptions({ format: 'webm', keyframes: KEYFRAMES })).filterComplex);
+    const spans = keyframeSpans(KEYFRAMES);
+    for (let step = 0; step <= 24; step++) {
+      const time = step / 20;
+      const rendered = commands.filter(command => command.time <= time).pop();
+      assert.equal(keyframeValuesAt(spans, time).color, rendered.color, `at ${time}s`);
+    }
+  });
+
+  it('changes the numbers on every frame and holds the ends', () => {
+    const spans = keyframeSpans(KEYFRAMES);
+    assert.equal(spans.length, 5);
+    assert.deepEqual(keyframeValuesAt(spans, -1), { color: '0x00ff00', similarity: 0.1, matteFeather: 0 });
+    const between = keyframeValuesAt(spans, 0.6);
+    assert.equal(between.color, '0x008080');
+    assert.ok(Math.abs(between.similarity - 0.22) < 1e-9);
+    assert.ok(Math.abs(between.matteFeather - 1.2) < 1e-9);
+    assert.deepEqual(keyframeValuesAt(spans, 5), { color: '0x0000ff', similarity: 0.3, matteFeather: 2 });
+  });
+
+  it('can be sent over IPC', () => {
+    const spans = keyframeSpans(KEYFRAMES);
+    assert.deepEqual(JSON.parse(JSON.stringify(spans)), spans);
+  });
+
+  it('starts a trimmed job with the values at the trim start', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', keyframes: KEYFRAMES, start: 0.6 }));
+    assert.ok(graph.filterComplex.includes(',chromakey@key=0x008080:'));
+    assert.ok(graph.filterComplex.includes('0.15 [enter] chromakey@key color 0x0040bf'));
+  });
+
+  it('holds values until the next keyframe', () => {
+    const held = KEYFRAMES.map(keyframe => ({ ...keyframe, interpolation: 'hold' }));
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', keyframes: held }));
+    assert.ok(!graph.filterComplex.includes('[expr]'));
+    assert.deepEqual(colorCommands(graph.filterComplex).map(command => command.time), [0, 1]);
+  });
+
+  it('leaves the color alone for hsvkey', () => {
+    const graph = buildFilterGraph(jobOptions({
+      format: 'webm', keyer: 'hsvkey', hsvHue: 120, hsvSat: 0.5, hsvVal: 0.4, keyframes: KEYFRAMES
+    }));
+    assert.ok(graph.filterComplex.includes('hsvkey@key=hue=120'));
+    assert.ok(!graph.filterComplex.includes(' color '));
+  });
+});
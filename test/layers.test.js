@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS, pixelFormat } = require('./fixtures');
+
+describe('layers', () => {
+  const layer = (overrides = {}) => ({
+    inputPath: '/clips/guest.mp4',
+    keyer: 'chromakey',
+    color: '0x0000ff',
+    similarity: 0.2,
+    blend: 0.1,
+    fgScale: 1,
+    fgOffsetX: 0,
+    fgOffsetY: 0,
+    startOffset: 0,
+    zIndex: 1,
+    ...overrides
+  });
+
+  it('keys each layer from its own input on the main clip timeline', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.image, layers: [layer({ startOffset: 5 })] }));
+    assert.deepEqual(graph.inputs[2], { path: '/clips/guest.mp4', options: [] });
+    assert.ok(graph.filterComplex.includes('[2:v]fps=fps=25,setpts=PTS-STARTPTS+5/TB[layer1src]'));
+    assert.ok(graph.filterComplex.includes('[layer1src]chromakey=0x0000ff:0.2:0.1[layer1]'));
+  });
+
+  it('stacks layers by z-order around the main clip, which sets the length', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color,
+      layers: [layer({ zIndex: 1 }), layer({ inputPath: '/clips/back.mp4', zIndex: -1 })]
+    }));
+    const overlays = graph.filterComplex.split(';').filter(filter => filter.includes('overlay'));
+    assert.deepEqual(overlays, [
+      '[bg][layer2]overlay=eof_action=pass[stack1]',
+      '[stack1][fg_scaled]overlay=shortest=1[stack2]',
+      '[stack2][layer1]overlay=eof_action=pass[out]'
+    ]);
+  });
+
+  it('fits a layer of another size inside the frame before scaling it', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color,
+      frameWidth: 1920,
+      frameHeight: 1080,
+      layers: [layer({ fgScale: 0.5, fgOffsetX: 0.25, sourceWidth: 1280, sourceHeight: 720 })]
+    }));
+    assert.ok(graph.filterComplex.includes('[layer1]scale=w=trunc(iw*0.75/2)*2:h=trunc(ih*0.75/2)*2[layer1_placed]'));
+    assert.ok(graph.filterComplex.includes('[stack1][layer1_placed]overlay=x=(W-w)/2+0.25*W:y=(H-h)/2+0*H:eof_action=pass[out]'));
+  });
+
+  it('seeks a layer that started before the trim start and delays one that starts after it', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color,
+      start: 4,
+      layers: [layer({ startOffset: 1 }), layer({ inputPath: '/clips/late.mp4', startOffset: 10 })]
+    }));
+    assert.deepEqual(graph.inputs[1].options, ['-ss', '3']);
+    assert.ok(graph.filterComplex.includes('setpts=PTS-STARTPTS+0/TB[layer1src]'));
+    assert.deepEqual(graph.inputs[2].options, []);
+    assert.ok(graph.filterComplex.includes('setpts=PTS-STARTPTS+6/TB[layer2src]'));
+  });
+
+  it('keeps the alpha channel when layers are stacked without a background', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', layers: [layer()] }));
+    assert.ok(graph.filterComplex.includes('[canvas][fgplace]overlay=format=auto:shortest=1[stack1]'));
+    assert.ok(graph.filterComplex.includes('[stack1][layer1]overlay=format=auto:eof_action=pass[out]'));
+    assert.equal(pixelFormat(graph.outputOptions), 'yuva420p');
+  });
+
+  it('keys layers with their own matte settings but without the main clip keyframes', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color,
+      keyframes: [{ time: 0, color: '0x00ff00', similarity: 0.1, matteFeather: 0, interpolation: 'hold' }],
+      layers: [layer({ matteFeather: 1 })]
+    }));
+    assert.ok(graph.filterComplex.includes('[layer1src]chromakey=0x0000ff:0.2:0.1,split[layer1fgcolor][layer1fgalpha]'));
+    assert.ok(graph.filterComplex.includes('[layer1fgalpha]alphaextract,gblur=sigma=1[layer1matte]'));
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchLighting, averageFrame } = require('../public/lightMatch');
+const { colorGains } = require('../public/filterGraph');
+
+/**
+ * A frame of the given 0xRRGGBB pixels in a row.
+ */
+function frame(...colors) {
+  const data = colors.flatMap(color => [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff]);
+  return { width: colors.length, height: 1, data: Uint8Array.from(data) };
+}
+
+describe('matchLighting', () => {
+  const subject = { r: 130, g: 140, b: 150 };
+
+  it('corrects nothing when the subject already matches', () => {
+    assert.deepEqual(matchLighting(subject, subject), { fgExposure: 0, fgTemperature: 0, fgTint: 0 });
+  });
+
+  it('brightens a subject darker than the scene, by half the difference', () => {
+    const { fgExposure } = matchLighting({ r: 50, g: 50, b: 50 }, { r: 200, g: 200, b: 200 });
+    assert.equal(fgExposure, 1);
+  });
+
+  it('clamps the exposure', () => {
+    assert.equal(matchLighting({ r: 2, g: 2, b: 2 }, { r: 250, g: 250, b: 250 }).fgExposure, 2);
+  });
+
+  it('warms a subject toward a warmer scene and cools it toward a cooler one', () => {
+    assert.ok(matchLighting(subject, { r: 150, g: 140, b: 130 }).fgTemperature > 0);
+    assert.ok(matchLighting(subject, { r: 110, g: 140, b: 170 }).fgTemperature < 0);
+  });
+
+  it('tints toward magenta when the scene has less green', () => {
+    const gray = { r: 120, g: 120, b: 120 };
+    assert.ok(matchLighting(gray, { r: 130, g: 110, b: 130 }).fgTint > 0);
+    assert.ok(matchLighting(gray, { r: 110, g: 130, b: 110 }).fgTint < 0);
+  });
+
+  it('gives the subject the scene color balance through the export gains at full strength', () => {
+    const background = { r: 150, g: 140, b: 130 };
+    const gains = colorGains(matchLighting(subject, background, 1));
+    const warmth = (subject.r * gains[0]) / (subject.b * gains[2]);
+    assert.ok(Math.abs(warmth - background.r / background.b) < 0.01, `${warmth}`);
+  });
+});
+
+describe('averageFrame', () => {
+  it('averages every pixel without a key color', () => {
+    assert.deepEqual(averageFrame(frame(0x00ff00, 0xc86432)), { r: 100, g: 177.5, b: 25 });
+  });
+
+  it('leaves out the pixels the keyer removes', () => {
+    assert.deepEqual(averageFrame(frame(0x00ff00, 0xc86432, 0x10f010), '0x00ff00', 0.2), { r: 200, g: 100, b: 50 });
+  });
+
+  it('has no average when everything is keyed out', () => {
+    assert.equal(averageFrame(frame(0x00ff00), '0x00ff00', 0.2), null);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('matte refinement', () => {
+  it('erodes, dilates and feathers only the alpha plane', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', matteChoke: 2, matteExpand: 1, matteFeather: 1.5 }));
+    assert.equal(graph.filterComplex, [
+      '[0:v]chromakey=0x00ff00:0.127:0.1,split[fgcolor][fgalpha]',
+      '[fgalpha]alphaextract,erosion,erosion,dilation,gblur=sigma=1.5[matte]',
+      '[fgcolor][matte]alphamerge[out]'
+    ].join(';'));
+  });
+
+  it('splits nothing off when the matte is untouched', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', matteChoke: 0, matteExpand: 0, matteFeather: 0 }));
+    assert.ok(!graph.filterComplex.includes('alphaextract'));
+  });
+
+  it('refines the matte before compositing', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.color, matteFeather: 2 }));
+    const filters = graph.filterComplex.split(';');
+    const merge = filters.indexOf('[fgcolor][matte]alphamerge[fg]');
+    assert.notEqual(merge, -1);
+    assert.ok(merge < filters.findIndex(filter => filter.includes('overlay')));
+  });
+});
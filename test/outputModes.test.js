@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS, danglingLabels, pixelFormat } = require('./fixtures');
+
+describe('debug output modes', () => {
+  for (const outputMode of ['matte', 'split', 'checkerboard']) {
+    for (const [background, backgroundOptions] of Object.entries(BACKGROUNDS)) {
+      it(`connects every label of the ${outputMode} view with ${background} background`, () => {
+        const graph = buildFilterGraph(jobOptions({ ...backgroundOptions, outputMode }));
+        assert.deepEqual(danglingLabels(graph.filterComplex), []);
+        assert.match(graph.filterComplex, /\[out\]$/);
+      });
+    }
+  }
+
+  it('renders the matte as opaque black and white video', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', outputMode: 'matte' }));
+    assert.equal(graph.filterComplex, '[0:v]chromakey=0x00ff00:0.127:0.1[fg];[fg]alphaextract,format=yuv420p[out]');
+    assert.equal(pixelFormat(graph.outputOptions), 'yuv420p');
+  });
+
+  it('shows the key over a checkerboard', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'prores4444', outputMode: 'checkerboard' }));
+    assert.ok(graph.filterComplex.includes('[fgchecker][fgover]overlay=shortest=1[out]'));
+    assert.equal(pixelFormat(graph.outputOptions), 'yuv444p10le');
+  });
+
+  it('puts the original, matte and result side by side', () => {
+    const graph = buildFilterGraph(jobOptions({ outputMode: 'split' }));
+    assert.match(graph.filterComplex, /^\[0:v\]split=2\[fgsrc\]\[original\];\[fgsrc\]chromakey/);
+    assert.ok(graph.filterComplex.includes('[fgresultchecker][fgresultover]overlay=shortest=1[result]'));
+    assert.ok(graph.filterComplex.endsWith('[originalview][matteview][resultview]hstack=inputs=3[out]'));
+  });
+
+  it('uses the background for the split view result when there is one', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.image, outputMode: 'split' }));
+    assert.ok(graph.filterComplex.includes('[bgfps][fgresult]scale2ref[bg][fg_scaled]'));
+    assert.ok(!graph.filterComplex.includes('checker'));
+  });
+
+  it('shares one copy of the source between the split view and a blurred background', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.blur, outputMode: 'split' }));
+    assert.match(graph.filterComplex, /^\[0:v\]split=3\[fgsrc\]\[original\]\[blursrc\];/);
+  });
+
+  it('blurs no copy of the source for views without the background', () => {
+    for (const outputMode of ['matte', 'checkerboard']) {
+      const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.blur, outputMode }));
+      assert.match(graph.filterComplex, /^\[0:v\]chromakey/, outputMode);
+      assert.ok(!graph.filterComplex.includes('blursrc'), outputMode);
+    }
+  });
+
+  it('leaves layers out of the debug views', () => {
+    const graph = buildFilterGraph(jobOptions({
+      outputMode: 'matte',
+      layers: [{ inputPath: '/clips/layer.mp4', color: '0x00ff00', similarity: 0.2, blend: 0.1, fgScale: 1, startOffset: 0, zIndex: 1 }]
+    }));
+    assert.equal(graph.inputs.length, 1);
+  });
+});
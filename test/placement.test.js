@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { validateProcessOptions, DEFAULT_BACKGROUND_FIT } = require('../public/validateOptions');
+const { jobOptions, BACKGROUNDS, pixelFormat } = require('./fixtures');
+
+describe('placement', () => {
+  it('letterboxes a contained background on a bar-colored canvas', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.image, backgroundFit: 'contain', letterboxColor: '0x112233' }));
+    assert.ok(graph.filterComplex.includes('[fgcanvas]format=yuv420p,drawbox=c=0x112233:t=fill[canvassrc]'));
+    assert.ok(graph.filterComplex.includes('scale2ref=w=main_w:h=main_h:force_original_aspect_ratio=decrease[bgfit][canvas]'));
+    assert.ok(graph.filterComplex.includes('[canvas][bgfit]overlay=x=(W-w)/2:y=(H-h)/2:shortest=1[bg]'));
+  });
+
+  it('crops a covering background to the frame', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, backgroundFit: 'cover' }));
+    assert.ok(graph.filterComplex.includes('force_original_aspect_ratio=increase'));
+  });
+
+  it('stretches a background by default, like a validated job', () => {
+    const graph = buildFilterGraph(jobOptions(BACKGROUNDS.image));
+    assert.equal(validateProcessOptions(jobOptions(BACKGROUNDS.image)).backgroundFit, DEFAULT_BACKGROUND_FIT);
+    assert.equal(DEFAULT_BACKGROUND_FIT, 'stretch');
+    assert.ok(graph.filterComplex.includes('[bgfps][fg]scale2ref[bg][fg_scaled]'));
+  });
+
+  it('always stretches generated backgrounds', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.color, backgroundFit: 'cover' }));
+    assert.ok(graph.filterComplex.includes('[bgsrc][fg]scale2ref[bg][fg_scaled]'));
+    assert.ok(!graph.filterComplex.includes('force_original_aspect_ratio'));
+  });
+
+  it('scales, mirrors and moves the subject', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color, fgScale: 0.5, fgOffsetX: -0.25, fgOffsetY: 0.1, fgFlipH: true, fgFlipV: true
+    }));
+    assert.ok(graph.filterComplex.includes('[fg_scaled]scale=w=trunc(iw*0.5/2)*2:h=trunc(ih*0.5/2)*2,hflip,vflip[fg_scaled_placed]'));
+    assert.ok(graph.filterComplex.includes('[bg][fg_scaled_placed]overlay=x=(W-w)/2-0.25*W:y=(H-h)/2+0.1*H:shortest=1[out]'));
+  });
+
+  it('places a transparent subject on a clear canvas of the frame size', () => {
+    const graph = buildFilterGraph(jobOptions({ format: 'webm', fgScale: 0.8 }));
+    assert.ok(graph.filterComplex.includes('[fgcanvas]format=rgba,colorchannelmixer=aa=0[canvas]'));
+    assert.ok(graph.filterComplex.endsWith('overlay=x=(W-w)/2+0*W:y=(H-h)/2+0*H:format=auto:shortest=1[out]'));
+    assert.equal(pixelFormat(graph.outputOptions), 'yuva420p');
+  });
+});
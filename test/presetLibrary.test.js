@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  toPresetOptions,
+  loadPresets,
+  savePreset,
+  renamePreset,
+  deletePreset,
+  exportPresets,
+  importPresets
+} = require('../public/presetLibrary');
+
+// Key settings a preset needs to pass validation
+const KEY = { color: '0x00ff00', similarity: 0.2, blend: 0.1 };
+
+let userData;
+
+beforeEach(() => {
+  userData = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(userData, { recursive: true, force: true });
+});
+
+function names(presets) {
+  return presets.map(preset => preset.name);
+}
+
+describe('toPresetOptions', () => {
+  it('keeps only the options a preset covers', () => {
+    const options = toPresetOptions({
+      ...KEY,
+      inputPath: '/clips/in.mp4',
+      fgLutPath: '/luts/warm.cube',
+      backgroundType: 'color',
+      backgroundColor: '0x336699'
+    });
+    assert.deepEqual(options, { ...KEY, backgroundType: 'color', backgroundColor: '0x336699' });
+  });
+
+  it('leaves a background file with the shot', () => {
+    const options = toPresetOptions({ ...KEY, backgroundType: 'video', backgroundPath: '/clips/bg.mp4', backgroundFit: 'cover' });
+    assert.deepEqual(options, { ...KEY, backgroundFit: 'cover' });
+  });
+
+  it('validates the options like a job', () => {
+    assert.throws(() => toPresetOptions({ ...KEY, similarity: 2 }), /similarity must be a number between/);
+    assert.throws(() => toPresetOptions(null), /Preset options must be an object/);
+  });
+});
+
+describe('preset library', () => {
+  it('starts empty', () => {
+    assert.deepEqual(loadPresets(userData), []);
+  });
+
+  it('saves presets in creation order and replaces one with the same name', () => {
+    savePreset(userData, 'Stage A', KEY);
+    savePreset(userData, 'Stage B', KEY);
+    const presets = savePreset(userData, '  Stage A ', { ...KEY, similarity: 0.3 });
+    assert.deepEqual(names(presets), ['Stage A', 'Stage B']);
+    assert.equal(loadPresets(userData)[0].options.similarity, 0.3);
+  });
+
+  it('needs a name of reasonable length', () => {
+    assert.throws(() => savePreset(userData, '   ', KEY), /A preset needs a name/);
+    assert.throws(() => savePreset(userData, 'x'.repeat(61), KEY), /at most 60 characters/);
+  });
+
+  it('renames a preset unless the new name is taken', () => {
+    savePreset(userData, 'Stage A', KEY);
+    savePreset(userData, 'Stage B', KEY);
+    assert.deepEqual(names(renamePreset(userData, 'Stage A', 'Blue stage')), ['Blue stage', 'Stage B']);
+    assert.throws(() => renamePreset(userData, 'Blue stage', 'Stage B'), /A preset named Stage B already exists/);
+    assert.throws(() => renamePreset(userData, 'Stage A', 'Other'), /There is no preset named Stage A/);
+  });
+
+  it('deletes a preset', () => {
+    savePreset(userData, 'Stage A', KEY);
+    savePreset(userData, 'Stage B', KEY);
+    assert.deepEqual(names(deletePreset(userData, 'Stage A')), ['Stage B']);
+  });
+});
+
+describe('preset import and export', () => {
+  it('moves presets to another machine, replacing ones with the same name', () => {
+    savePreset(userData, 'Stage A', { ...KEY, similarity: 0.3 });
+    savePreset(userData, 'Stage B', KEY);
+    const filePath = path.join(userData, 'shared.json');
+    assert.equal(exportPresets(userData, filePath, ['Stage A']), 1);
+
+    const otherMachine = path.join(userData, 'other');
+    savePreset(otherMachine, 'Stage A', KEY);
+    savePreset(otherMachine, 'Local', KEY);
+    const { presets, imported } = importPresets(otherMachine, filePath);
+    assert.equal(imported, 1);
+    assert.deepEqual(names(presets), ['Local', 'Stage A']);
+    assert.equal(presets[1].options.similarity, 0.3);
+  });
+
+  it('imports nothing when one preset is invalid', () => {
+    const filePath = path.join(userData, 'shared.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: 1,
+      presets: [{ name: 'Good', options: KEY }, { name: 'Bad', options: { ...KEY, blend: 5 } }]
+    }));
+    assert.throws(() => importPresets(userData, filePath), /Preset 2 in shared\.json: blend must be/);
+    assert.deepEqual(loadPresets(userData), []);
+  });
+
+  it('rejects files that are not presets', () => {
+    const filePath = path.join(userData, 'other.json');
+    fs.writeFileSync(filePath, '{"name": "clip"}');
+    assert.throws(() => importPresets(userData, filePath), /other\.json is not a presets file/);
+    fs.writeFileSync(filePath, JSON.stringify({ version: 2, presets: [] }));
+    assert.throws(() => importPresets(userData, filePath), /exported by a newer version/);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  writeProject,
+  readProject,
+  findMovedMedia,
+  getRecentProjects,
+  addRecentProject
+} = require('../public/projectFile');
+
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'gsproj-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+/**
+ * Creates an empty file under the test folder and returns its path.
+ */
+function touch(...segments) {
+  const filePath = path.join(root, ...segments);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '');
+  return filePath;
+}
+
+describe('readProject', () => {
+  it('reopens the media and settings that were saved', () => {
+    const input = touch('shoot', 'clip.mp4');
+    const projectPath = path.join(root, 'shoot', 'clip.gsproj');
+    writeProject(projectPath, { media: { input, background: null }, settings: { strength: 40 } });
+    assert.deepEqual(readProject(projectPath), {
+      media: { input, background: null },
+      missing: {},
+      settings: { strength: 40 }
+    });
+  });
+
+  it('finds media moved together with the project by its relative path', () => {
+    const input = touch('shoot', 'media', 'clip.mp4');
+    writeProject(path.join(root, 'shoot', 'clip.gsproj'), { media: { input }, settings: {} });
+    fs.renameSync(path.join(root, 'shoot'), path.join(root, 'archive'));
+    const { media, missing } = readProject(path.join(root, 'archive', 'clip.gsproj'));
+    assert.equal(media.input, path.join(root, 'archive', 'media', 'clip.mp4'));
+    assert.deepEqual(missing, {});
+  });
+
+  it('finds media by its absolute path when only the project moved', () => {
+    const input = touch('media', 'clip.mp4');
+    fs.mkdirSync(path.join(root, 'projects'));
+    writeProject(path.join(root, 'projects', 'clip.gsproj'), { media: { input }, settings: {} });
+    fs.mkdirSync(path.join(root, 'elsewhere', 'deeper'), { recursive: true });
+    fs.renameSync(path.join(root, 'projects', 'clip.gsproj'), path.join(root, 'elsewhere', 'deeper', 'clip.gsproj'));
+    assert.equal(readProject(path.join(root, 'elsewhere', 'deeper', 'clip.gsproj')).media.input, input);
+  });
+
+  it('reports media it cannot find with its last known path', () => {
+    const input = touch('media', 'clip.mp4');
+    const projectPath = path.join(root, 'clip.gsproj');
+    writeProject(projectPath, { media: { input }, settings: {} });
+    fs.rmSync(input);
+    assert.deepEqual(readProject(projectPath), { media: { input: null }, missing: { input }, settings: {} });
+  });
+
+  it('rejects files that are not projects', () => {
+    const notJson = path.join(root, 'broken.gsproj');
+    fs.writeFileSync(notJson, '{');
+    assert.throws(() => readProject(notJson), /Could not read project broken\.gsproj/);
+
+    const notProject = path.join(root, 'other.gsproj');
+    fs.writeFileSync(notProject, '{"name": "clip"}');
+    assert.throws(() => readProject(notProject), /other\.gsproj is not a project file/);
+  });
+
+  it('rejects projects from a newer version', () => {
+    const projectPath = path.join(root, 'new.gsproj');
+    fs.writeFileSync(projectPath, JSON.stringify({ version: 99, media: {}, settings: {} }));
+    assert.throws(() => readProject(projectPath), /saved by a newer version/);
+  });
+});
+
+describe('findMovedMedia', () => {
+  it('looks for the missing files by name in the folder of a relinked one', () => {
+    const background = touch('moved', 'bg.png');
+    const found = findMovedMedia({ background: '/old/place/bg.png', input: '/old/place/clip.mp4' }, path.dirname(background));
+    assert.deepEqual(found, { background });
+  });
+
+  it('takes the file name from Windows paths too', () => {
+    const layer = touch('moved', 'guest.mp4');
+    assert.deepEqual(findMovedMedia({ layer: 'C:\\old\\place\\guest.mp4' }, path.dirname(layer)), { layer });
+  });
+});
+
+describe('recent projects', () => {
+  it('keeps the most recent first, without duplicates or deleted projects', () => {
+    const userData = path.join(root, 'userData');
+    const first = touch('first.gsproj');
+    const second = touch('second.gsproj');
+    addRecentProject(userData, first);
+    addRecentProject(userData, second);
+    assert.deepEqual(addRecentProject(userData, first), [first, second]);
+    fs.rmSync(second);
+    assert.deepEqual(getRecentProjects(userData), [first]);
+  });
+
+  it('starts empty', () => {
+    assert.deepEqual(getRecentProjects(path.join(root, 'none')), []);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS, pixelFormat } = require('./fixtures');
+
+describe('still images', () => {
+  const still = (format, overrides = {}) => jobOptions({
+    inputPath: '/clips/shot.tiff',
+    outputPath: `/clips/shot_keyed.${format}`,
+    format,
+    audioMode: 'foreground',
+    ...overrides
+  });
+
+  for (const format of ['png', 'webp', 'jpg']) {
+    it(`writes one ${format} picture without audio`, () => {
+      const graph = buildFilterGraph(still(format));
+      assert.equal(graph.outputPath, `/clips/shot_keyed.${format}`);
+      const frames = graph.outputOptions.indexOf('-frames:v');
+      assert.deepEqual(graph.outputOptions.slice(frames, frames + 4), ['-frames:v', '1', '-update', '1']);
+      assert.ok(!graph.outputOptions.includes('-c:a'));
+      assert.deepEqual(graph.maps, ['-map', '[out]']);
+    });
+  }
+
+  it('keeps alpha in webp and png, but not in jpg', () => {
+    assert.equal(pixelFormat(buildFilterGraph(still('webp')).outputOptions), 'yuva420p');
+    assert.equal(pixelFormat(buildFilterGraph(still('png')).outputOptions), 'rgba');
+    assert.equal(pixelFormat(buildFilterGraph(still('jpg', BACKGROUNDS.image)).outputOptions), 'yuvj444p');
+  });
+
+  it('holds a still layer for the whole clip instead of seeking it', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.color,
+      start: 2,
+      layers: [{
+        inputPath: '/clips/logo.TIF', color: '0x00ff00', similarity: 0.2, blend: 0.1,
+        fgScale: 1, fgOffsetX: 0, fgOffsetY: 0, startOffset: 0, zIndex: 1
+      }]
+    }));
+    assert.deepEqual(graph.inputs[1], { path: '/clips/logo.TIF', options: ['-loop', '1'] });
+  });
+});
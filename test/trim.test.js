@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph } = require('../public/filterGraph');
+const { jobOptions, BACKGROUNDS } = require('./fixtures');
+
+describe('trim', () => {
+  it('seeks the input and limits the output length', () => {
+    const graph = buildFilterGraph(jobOptions({ start: 12.5, duration: 4 }));
+    assert.deepEqual(graph.inputs[0].options, ['-ss', '12.5']);
+    assert.deepEqual(graph.outputOptions.slice(-2), ['-t', '4']);
+  });
+
+  it('runs whole clips without seeking', () => {
+    const graph = buildFilterGraph(jobOptions());
+    assert.deepEqual(graph.inputs[0].options, []);
+    assert.ok(!graph.outputOptions.includes('-t'));
+  });
+
+  it('wraps the seek of a looped background video around its length', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, start: 25, backgroundDuration: 10 }));
+    assert.deepEqual(graph.inputs[1].options, ['-stream_loop', '-1', '-ss', '5']);
+  });
+
+  it('seeks a frozen background no further than its last frame', () => {
+    const graph = buildFilterGraph(jobOptions({
+      ...BACKGROUNDS.video, backgroundEnd: 'freeze', start: 25, backgroundDuration: 10, backgroundFrameRate: '25/1'
+    }));
+    assert.deepEqual(graph.inputs[1].options, ['-ss', '9.96']);
+  });
+
+  it('seeks an unprobed background like the foreground', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.video, start: 3 }));
+    assert.deepEqual(graph.inputs[1].options, ['-stream_loop', '-1', '-ss', '3']);
+  });
+
+  it('never seeks a background image', () => {
+    const graph = buildFilterGraph(jobOptions({ ...BACKGROUNDS.image, start: 3 }));
+    assert.deepEqual(graph.inputs[1].options, ['-loop', '1']);
+  });
+});
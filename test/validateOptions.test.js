@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProcessOptions } = require('../public/validateOptions');
+const { resolveEncoderSettings } = require('../public/exportFormats');
+const { jobOptions } = require('./fixtures');
+
+describe('validateProcessOptions', () => {
+  it('fills in the defaults of a plain job', () => {
+    const normalized = validateProcessOptions(jobOptions());
+    assert.equal(normalized.keyer, 'chromakey');
+    assert.equal(normalized.despill, false);
+    assert.equal(normalized.matteFeather, 0);
+    assert.equal(normalized.audioMode, 'foreground');
+    assert.equal(normalized.outputMode, 'composite');
+    assert.equal(normalized.format, 'mp4');
+    assert.equal(normalized.fgScale, 1);
+    assert.equal(normalized.start, 0);
+    assert.equal(normalized.duration, null);
+    assert.deepEqual(normalized.keyframes, []);
+    assert.deepEqual(normalized.encoder, resolveEncoderSettings('mp4'));
+  });
+
+  it('needs an input and an output', () => {
+    assert.throws(() => validateProcessOptions(jobOptions({ inputPath: '' })), /inputPath and outputPath are required/);
+    assert.throws(() => validateProcessOptions(jobOptions({ outputPath: undefined })), /inputPath and outputPath are required/);
+  });
+
+  it('rejects values that would end up unchecked in the filter graph', () => {
+    const invalid = {
+      keyer: 'lumakey',
+      color: '#00ff00',
+      similarity: 0,
+      blend: 1.5,
+      matteChoke: 1.5,
+      matteFeather: '2',
+      audioMode: 'left',
+      outputMode: 'alpha',
+      backgroundFit: 'tile',
+      letterboxColor: '0x00ff00,drawtext'
+    };
+    for (const [name, value] of Object.entries(invalid)) {
+      assert.throws(() => validateProcessOptions(jobOptions({ [name]: value })), new RegExp(`^Error: ${name} must`), name);
+    }
+  });
+
+  it('checks the HSV settings only for hsvkey', () => {
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ keyer: 'hsvkey', hsvHue: 400, hsvSat: 0, hsvVal: 0 })),
+      /hsvHue must be a number between 0 and 360/
+    );
+    assert.doesNotThrow(() => validateProcessOptions(jobOptions({ keyer: 'colorkey', hsvHue: 400 })));
+  });
+
+  it('checks the spill settings only with despill on', () => {
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ despill: true, despillType: 'red', despillMix: 0.5, despillExpand: 0 })),
+      /despillType must be one of green, blue/
+    );
+    assert.doesNotThrow(() => validateProcessOptions(jobOptions({ despill: false, despillType: 'red' })));
+  });
+
+  it('needs a file background to be an image or a video', () => {
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ backgroundPath: '/clips/bg.png', backgroundType: 'color' })),
+      /backgroundType must be one of image, video/
+    );
+  });
+
+  it('checks the generated background settings', () => {
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ backgroundType: 'color', backgroundColor: 'red' })),
+      /backgroundColor must be 0xRRGGBB/
+    );
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ backgroundType: 'blur', backgroundBlur: 0 })),
+      /backgroundBlur must be a number between 1 and 100/
+    );
+  });
+
+  it('sorts keyframes and rejects two at the same time', () => {
+    const keyframe = time => ({ time, color: '0x00ff00', similarity: 0.1, matteFeather: 0, interpolation: 'linear' });
+    const normalized = validateProcessOptions(jobOptions({ keyframes: [keyframe(2), keyframe(1)] }));
+    assert.deepEqual(normalized.keyframes.map(k => k.time), [1, 2]);
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ keyframes: [keyframe(1), keyframe(1)] })),
+      /two keyframes at 1s/
+    );
+  });
+
+  it('fills in the defaults of layers and checks their settings', () => {
+    const layer = { inputPath: '/clips/guest.mp4', color: '0x0000ff', similarity: 0.2, blend: 0.1 };
+    const [normalized] = validateProcessOptions(jobOptions({ layers: [layer] })).layers;
+    assert.equal(normalized.zIndex, 1);
+    assert.equal(normalized.fgScale, 1);
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ layers: [{ ...layer, blend: 2 }] })),
+      /layers\[0\]\.blend must be/
+    );
+  });
+
+  it('takes the format and encoder settings from a preset, letting explicit settings win', () => {
+    const normalized = validateProcessOptions(jobOptions({ exportPreset: 'web-overlay-webm', encoder: { crf: 30 } }));
+    assert.equal(normalized.format, 'webm');
+    assert.equal(normalized.encoder.crf, 30);
+    assert.equal(normalized.encoder.resolution, 720);
+    assert.throws(() => validateProcessOptions(jobOptions({ exportPreset: 'nope' })), /exportPreset must be one of/);
+  });
+
+  it('checks the encoder settings against the format', () => {
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ format: 'mp4', encoder: { crf: 60 } })),
+      /encoder\.crf must be a number between 0 and 51/
+    );
+    assert.throws(
+      () => validateProcessOptions(jobOptions({ format: 'mp4', encoder: { audioCodec: 'libopus' } })),
+      /encoder\.audioCodec must be one of/
+    );
+  });
+});